@@ -0,0 +1,703 @@
+#!/usr/bin/env node
+// cli/gwr.js
+
+/**
+ * Gemini Watermark Remover - 命令列批次處理工具
+ *
+ * 用法：node cli/gwr.js clean <輸入...> [-o <輸出目錄>] [選項]
+ *       node cli/gwr.js calibrate <輸入...> [-o <輸出目錄>] [--name <名稱>]
+ * 使用與網頁版 Worker 相同的 watermark-core.js，確保命令列與網頁版的處理結果一致。
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const WatermarkCore = require('../watermark-core');
+const { decodePng, encodePng, isPng } = require('./png');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+/**
+ * 結束代碼
+ * OK: 全部成功；FAILED: 至少一個檔案處理失敗；USAGE: 參數錯誤；NO_INPUT: 找不到任何輸入圖片
+ */
+const EXIT = {
+    OK: 0,
+    FAILED: 1,
+    USAGE: 2,
+    NO_INPUT: 3
+};
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp'];
+
+// 輸出檔名的後綴；展開目錄與萬用字元時略過帶有此後綴的檔案，重複執行時不會再處理上次的輸出
+const OUTPUT_SUFFIX = '_clean';
+
+const FORMATS = {
+    png: { ext: '.png' },
+    jpeg: { ext: '.jpg' },
+    webp: { ext: '.webp' }
+};
+
+const USAGE = `Usage: gwr clean <input...> [options]
+       gwr calibrate <input...> [-o <dir>] [--name <name>]
+
+clean      Remove the visible Gemini watermark from images, files, directories or globs.
+calibrate  Build a new mask profile from watermarked renders of flat black and
+           flat white, or from a set of same-generation images. Writes
+           <name>.png (mask) and <name>.json (size and margins).
+Directories are searched recursively for ${IMAGE_EXTENSIONS.join(', ')} files;
+globs are matched relative to their leading directory ("*.png" only looks in
+the current directory, "**/*.png" also in sub-directories). Files ending in
+"${OUTPUT_SUFFIX}" (earlier output) are skipped unless given by name.
+Options take their value as "--opt value" or "--opt=value".
+
+Options:
+  -o, --out <dir>        Output directory (default: next to each input;
+                         calibrate: current directory)
+      --name <name>      Profile name for calibrate (default: calibrated)
+      --profiles <file>  Profile registry JSON (default: assets/profiles.json);
+                         a single profile written by calibrate also works
+      --profile <id>     Only use this profile (default: auto, all enabled)
+      --mode <mode>      Watermark size: auto | scaled | a size of the profile,
+                         small | large for Gemini (default: auto)
+      --position <pos>   Watermark margin: auto | new | old | search (default: auto)
+      --search-window <px>
+                         Max margin scanned by --position search (default: 256)
+      --gain <gain>      Strength gain: auto | 0.1 ~ 3.0 (default: auto)
+      --inpaint [<s>]    Repair clipped / JPEG-damaged pixels after removal,
+                         strength 0 ~ 1 (default: off, 0.5 when given)
+      --format <fmt>     Output format: png | jpeg | webp (default: png)
+      --quality <q>      JPEG/WebP quality 1 ~ 100 (default: 85)
+  -q, --quiet            Only print errors
+  -h, --help             Show this help
+
+Exit codes:
+  0  all images processed
+  1  at least one image failed
+  2  invalid arguments
+  3  no input images found
+
+JPEG/WebP input and output require the optional "sharp" package.`;
+
+class UsageError extends Error {}
+
+// =============================================================================
+// 參數解析
+// =============================================================================
+
+/**
+ * 解析命令列參數
+ * 支援 "--name value" 與 "--name=value" 兩種寫法；
+ * 值可省略的選項（--inpaint）只在下一個參數是數字時才把它當成值
+ */
+function parseArgs(argv) {
+    const options = {
+        command: null,
+        inputs: [],
+        outDir: null,
+        profiles: path.join(ROOT_DIR, 'assets', 'profiles.json'),
+        profile: 'auto',
+        mode: 'auto',
+        position: 'auto',
+        gain: 'auto',
+        searchWindow: WatermarkCore.CONSTANTS.SEARCH_WINDOW,
+        inpaint: null,
+        format: 'png',
+        quality: 85,
+        name: 'calibrated',
+        quiet: false,
+        help: false
+    };
+
+    const args = argv.slice();
+    const takeValue = (name, inline) => {
+        if (inline !== undefined) return inline;
+        if (args.length === 0) throw new UsageError(`Missing value for ${name}`);
+        return args.shift();
+    };
+    const takeOptionalNumber = (inline) => {
+        if (inline !== undefined) return inline;
+        if (args.length > 0 && /^(?:\d+\.?\d*|\.\d+)$/.test(args[0])) return args.shift();
+        return undefined;
+    };
+
+    while (args.length > 0) {
+        const arg = args.shift();
+
+        if (arg === '--') {
+            options.inputs.push(...args.splice(0));
+            break;
+        }
+
+        if (!arg.startsWith('-') || arg === '-') {
+            if (options.command === null) {
+                options.command = arg;
+            } else {
+                options.inputs.push(arg);
+            }
+            continue;
+        }
+
+        const eq = arg.indexOf('=');
+        const name = eq === -1 ? arg : arg.slice(0, eq);
+        const inline = eq === -1 ? undefined : arg.slice(eq + 1);
+
+        switch (name) {
+            case '-o':
+            case '--out':
+                options.outDir = takeValue(name, inline);
+                break;
+            case '--profiles':
+                options.profiles = takeValue(name, inline);
+                break;
+            case '--profile':
+                options.profile = takeValue(name, inline);
+                break;
+            case '--mode':
+                options.mode = takeValue(name, inline);
+                break;
+            case '--position':
+                options.position = takeValue(name, inline);
+                break;
+            case '--search-window':
+                options.searchWindow = Number(takeValue(name, inline));
+                break;
+            case '--gain':
+                options.gain = takeValue(name, inline);
+                break;
+            case '--inpaint': {
+                const value = takeOptionalNumber(inline);
+                options.inpaint = value !== undefined ? Number(value) : WatermarkCore.DEFAULT_OPTIONS.inpaintStrength;
+                break;
+            }
+            case '--format':
+                options.format = takeValue(name, inline);
+                break;
+            case '--quality':
+                options.quality = Number(takeValue(name, inline));
+                break;
+            case '--name':
+                options.name = takeValue(name, inline);
+                break;
+            case '-q':
+            case '--quiet':
+                options.quiet = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                throw new UsageError(`Unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * 驗證參數並轉換為 WatermarkCore 使用的處理選項
+ */
+function buildConfig(options) {
+    if (!options.mode) {
+        throw new UsageError('Invalid --mode (expected auto, scaled or a profile size)');
+    }
+    if (!['auto', 'new', 'old', 'search'].includes(options.position)) {
+        throw new UsageError(`Invalid --position "${options.position}" (expected auto, new, old or search)`);
+    }
+    if (!Number.isInteger(options.searchWindow) || options.searchWindow < 0) {
+        throw new UsageError('Invalid --search-window (expected a non-negative integer)');
+    }
+    if (options.inpaint !== null && !(options.inpaint >= 0 && options.inpaint <= 1)) {
+        throw new UsageError('Invalid --inpaint strength (expected 0 ~ 1)');
+    }
+    if (!FORMATS[options.format]) {
+        throw new UsageError(`Invalid --format "${options.format}" (expected png, jpeg or webp)`);
+    }
+    if (!Number.isFinite(options.quality) || options.quality < 1 || options.quality > 100) {
+        throw new UsageError('Invalid --quality (expected 1 ~ 100)');
+    }
+
+    const autoStrength = options.gain === 'auto';
+    const alphaGain = autoStrength ? 0.5 : Number(options.gain);
+    if (!autoStrength && (!Number.isFinite(alphaGain) || alphaGain < 0.1 || alphaGain > 3.0)) {
+        throw new UsageError(`Invalid --gain "${options.gain}" (expected auto or 0.1 ~ 3.0)`);
+    }
+
+    return {
+        profile: options.profile,
+        forceMode: options.mode,
+        forcePosition: options.position,
+        alphaGain,
+        autoStrength,
+        searchWindow: options.searchWindow,
+        inpaint: options.inpaint !== null,
+        inpaintStrength: options.inpaint !== null ? options.inpaint : WatermarkCore.DEFAULT_OPTIONS.inpaintStrength
+    };
+}
+
+// =============================================================================
+// 輸入檔案展開（檔案、目錄、萬用字元）
+// =============================================================================
+
+function hasGlobMagic(pattern) {
+    return /[*?[{]/.test(pattern);
+}
+
+/**
+ * 將 glob 樣式轉為正規表示式
+ * 支援 *、**、?、[abc] 與 {a,b}
+ */
+function globToRegExp(pattern) {
+    let re = '';
+    let inGroup = false;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const ch = pattern[i];
+
+        if (ch === '*') {
+            if (pattern[i + 1] === '*') {
+                // "**/" 可匹配零或多層目錄
+                if (pattern[i + 2] === '/') {
+                    re += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    re += '.*';
+                    i += 1;
+                }
+            } else {
+                re += '[^/]*';
+            }
+        } else if (ch === '?') {
+            re += '[^/]';
+        } else if (ch === '[') {
+            const end = pattern.indexOf(']', i + 1);
+            if (end === -1) {
+                re += '\\[';
+            } else {
+                re += '[' + pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+                i = end;
+            }
+        } else if (ch === '{') {
+            inGroup = true;
+            re += '(?:';
+        } else if (ch === '}' && inGroup) {
+            inGroup = false;
+            re += ')';
+        } else if (ch === ',' && inGroup) {
+            re += '|';
+        } else {
+            re += ch.replace(/[.+^$()|\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${re}$`, process.platform === 'win32' ? 'i' : '');
+}
+
+async function walkDirectory(dir) {
+    const entries = await fsp.readdir(dir, { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...await walkDirectory(full));
+        } else if (entry.isFile()) {
+            files.push(full);
+        }
+    }
+
+    return files;
+}
+
+function isImagePath(file) {
+    return IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase());
+}
+
+/**
+ * 是否為本工具先前的輸出（檔名以 OUTPUT_SUFFIX 結尾）
+ */
+function isOutputPath(file) {
+    return path.parse(file).name.endsWith(OUTPUT_SUFFIX);
+}
+
+/**
+ * 逐層展開 glob：每一層只讀取符合該段樣式的目錄，"**" 才會遞迴進入子目錄
+ * 隱藏檔案與目錄只在該段樣式以 "." 開頭時才會符合
+ * @param {string} dir - 目前的目錄
+ * @param {string[]} segments - 剩下的樣式（以 "/" 分段）
+ * @returns {Promise<string[]>}
+ */
+async function expandGlob(dir, segments) {
+    let entries;
+    try {
+        entries = await fsp.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+        return [];
+    }
+
+    const [segment, ...rest] = segments;
+    const files = [];
+
+    if (segment === '**') {
+        // 對應零層目錄：以剩下的樣式比對目前目錄；"**" 位於結尾時符合所有檔案
+        if (rest.length > 0) {
+            files.push(...await expandGlob(dir, rest));
+        }
+        for (const entry of entries) {
+            if (entry.name.startsWith('.')) continue;
+            const full = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...await expandGlob(full, segments));
+            } else if (entry.isFile() && rest.length === 0) {
+                files.push(full);
+            }
+        }
+        return files;
+    }
+
+    const matcher = globToRegExp(segment);
+    for (const entry of entries) {
+        if (entry.name.startsWith('.') && !segment.startsWith('.')) continue;
+        if (!matcher.test(entry.name)) continue;
+        const full = path.join(dir, entry.name);
+        if (rest.length === 0) {
+            if (entry.isFile()) files.push(full);
+        } else if (entry.isDirectory()) {
+            files.push(...await expandGlob(full, rest));
+        }
+    }
+    return files;
+}
+
+/**
+ * 將命令列輸入展開為 { file, root } 清單
+ * root 為相對路徑的基準目錄，用於在輸出目錄中重建相同的資料夾結構
+ */
+async function collectInputs(inputs) {
+    const results = [];
+    const seen = new Set();
+    const add = (file, root) => {
+        const resolved = path.resolve(file);
+        if (seen.has(resolved)) return;
+        seen.add(resolved);
+        results.push({ file: resolved, root: path.resolve(root) });
+    };
+
+    for (const input of inputs) {
+        const normalized = input.split(path.sep).join('/');
+
+        if (hasGlobMagic(normalized)) {
+            const segments = normalized.split('/');
+            const firstMagic = segments.findIndex(hasGlobMagic);
+            const base = segments.slice(0, firstMagic).join('/') || '.';
+            const files = await expandGlob(base, segments.slice(firstMagic).filter(Boolean));
+            files.filter(file => isImagePath(file) && !isOutputPath(file)).sort().forEach(file => add(file, base));
+            continue;
+        }
+
+        let stat;
+        try {
+            stat = await fsp.stat(input);
+        } catch (err) {
+            throw new UsageError(`Input not found: ${input}`);
+        }
+
+        if (stat.isDirectory()) {
+            const files = await walkDirectory(input);
+            files.filter(file => isImagePath(file) && !isOutputPath(file)).sort().forEach(file => add(file, input));
+        } else {
+            add(input, path.dirname(input));
+        }
+    }
+
+    return results;
+}
+
+// =============================================================================
+// 影像編解碼
+// =============================================================================
+
+let sharpModule;
+
+/**
+ * 載入選用的 sharp 套件（處理 JPEG/WebP 用），不存在時回傳 null
+ */
+function loadSharp() {
+    if (sharpModule === undefined) {
+        try {
+            sharpModule = require('sharp');
+        } catch (err) {
+            sharpModule = null;
+        }
+    }
+    return sharpModule;
+}
+
+function requireSharp(reason) {
+    const sharp = loadSharp();
+    if (!sharp) {
+        throw new Error(`${reason} requires the "sharp" package (npm install sharp)`);
+    }
+    return sharp;
+}
+
+/**
+ * 依檔頭判斷是否為 JPEG（FF D8 FF）或 WebP（RIFF....WEBP），只有這兩種需要 sharp
+ */
+function isJpegOrWebp(buf) {
+    if (buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return true;
+    return buf.length >= 12 && buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WEBP';
+}
+
+/**
+ * 解碼輸入圖片；PNG 使用內建的解碼器，JPEG/WebP 使用 sharp
+ * 其他格式或損壞的 PNG 回報為無法辨識，不提示安裝 sharp（安裝了也無法解碼）
+ */
+async function decodeImage(buf) {
+    if (isPng(buf)) {
+        try {
+            return decodePng(buf);
+        } catch (err) {
+            throw new Error(`Unsupported or corrupt image (${err.message})`);
+        }
+    }
+    if (!isJpegOrWebp(buf)) {
+        throw new Error('Unsupported or corrupt image (expected PNG, JPEG or WebP)');
+    }
+
+    const sharp = requireSharp('Decoding JPEG/WebP input');
+    const { data, info } = await sharp(buf)
+        .rotate() // 依 EXIF 方向轉正
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    return {
+        width: info.width,
+        height: info.height,
+        data: new Uint8ClampedArray(data.buffer, data.byteOffset, data.length)
+    };
+}
+
+async function encodeImage(imageData, format, quality) {
+    if (format === 'png') return encodePng(imageData);
+
+    const sharp = requireSharp(`Writing ${format.toUpperCase()} output`);
+    const { width, height, data } = imageData;
+    const pipeline = sharp(Buffer.from(data.buffer, data.byteOffset, data.length), {
+        raw: { width, height, channels: 4 }
+    });
+
+    return format === 'jpeg'
+        ? pipeline.flatten({ background: '#ffffff' }).jpeg({ quality }).toBuffer()
+        : pipeline.webp({ quality }).toBuffer();
+}
+
+// =============================================================================
+// 演算法載入
+// =============================================================================
+
+/**
+ * 讀取遮罩 PNG 並轉換為 alpha 陣列（與網頁版共用 WatermarkCore.decodeMask）
+ */
+function loadMaskFile(file) {
+    return WatermarkCore.decodeMask(decodePng(fs.readFileSync(file)));
+}
+
+/**
+ * 讀取 Profile 登錄檔，遮罩路徑相對於登錄檔所在的目錄
+ * 同一個遮罩檔只解碼一次，共用遮罩的 Profile 才會被視為同一個遮罩（滑動視窗搜尋只搜尋一次）
+ * 登錄檔或遮罩有誤時視為參數錯誤
+ */
+function loadProfileRegistry(file) {
+    const dir = path.dirname(path.resolve(file));
+    const masks = new Map();
+    const resolveMask = (mask) => {
+        const maskFile = path.resolve(dir, mask);
+        if (!masks.has(maskFile)) masks.set(maskFile, loadMaskFile(maskFile));
+        return masks.get(maskFile);
+    };
+    try {
+        const registry = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return WatermarkCore.loadProfiles(registry, resolveMask);
+    } catch (err) {
+        throw new UsageError(`Cannot load profiles from ${file}: ${err.message}`);
+    }
+}
+
+/**
+ * 建立與網頁版相同的去除器，並確認 --profile 與 --mode 存在於登錄檔中
+ */
+function loadRemover(options) {
+    const profiles = loadProfileRegistry(options.profiles);
+
+    const selected = options.profile === 'auto'
+        ? profiles.filter(profile => profile.enabled)
+        : profiles.filter(profile => profile.id === options.profile);
+    if (selected.length === 0) {
+        const ids = profiles.map(profile => profile.id).join(', ');
+        throw new UsageError(`Invalid --profile "${options.profile}" (expected auto or one of: ${ids})`);
+    }
+
+    const sizes = new Set(['auto', 'scaled']);
+    selected.forEach(profile => Object.keys(profile.sizes).forEach(size => sizes.add(size)));
+    if (!sizes.has(options.mode)) {
+        throw new UsageError(`Invalid --mode "${options.mode}" (expected ${Array.from(sizes).join(', ')})`);
+    }
+
+    return WatermarkCore.createRemover({ profiles });
+}
+
+// =============================================================================
+// 主流程
+// =============================================================================
+
+function outputPathFor(input, outDir, format) {
+    const parsed = path.parse(input.file);
+    const name = `${parsed.name}${OUTPUT_SUFFIX}${FORMATS[format].ext}`;
+
+    if (!outDir) return path.join(parsed.dir, name);
+
+    const relDir = path.relative(input.root, parsed.dir);
+    return path.join(path.resolve(outDir), relDir, name);
+}
+
+async function runClean(options) {
+    const config = buildConfig(options);
+    if (options.inputs.length === 0) {
+        throw new UsageError('No input given');
+    }
+
+    if (options.format !== 'png' && !loadSharp()) {
+        throw new UsageError(`--format ${options.format} requires the "sharp" package (npm install sharp)`);
+    }
+
+    const remover = loadRemover(options);
+    const inputs = await collectInputs(options.inputs);
+    if (inputs.length === 0) {
+        console.error('gwr: no input images found');
+        return EXIT.NO_INPUT;
+    }
+
+    const log = options.quiet ? () => {} : (msg) => console.log(msg);
+    let failed = 0;
+    let skipped = 0;
+
+    for (const input of inputs) {
+        const label = path.relative(process.cwd(), input.file) || input.file;
+        try {
+            const imageData = await decodeImage(await fsp.readFile(input.file));
+            const result = remover.remove(imageData, config);
+
+            // 沒有找到浮水印時不輸出檔案（remove() 不會修改像素，輸出只是重新編碼的原圖）
+            if (!result.modified) {
+                skipped++;
+                log(`skipped   ${label} (no watermark found)`);
+                continue;
+            }
+
+            const outFile = outputPathFor(input, options.outDir, options.format);
+            await fsp.mkdir(path.dirname(outFile), { recursive: true });
+            await fsp.writeFile(outFile, await encodeImage(imageData, options.format, options.quality));
+
+            const outLabel = path.relative(process.cwd(), outFile) || outFile;
+            const { region, appliedGain } = result;
+            log(`cleaned   ${label} -> ${outLabel} (profile=${result.profile} x=${region.x} y=${region.y} size=${region.width} score=${region.score.toFixed(2)} gain=${appliedGain.toFixed(2)} color=${result.overlayColor.join(',')} confidence=${result.confidence})`);
+        } catch (err) {
+            failed++;
+            console.error(`failed    ${label}: ${err.message}`);
+        }
+    }
+
+    log(`\n${inputs.length - failed - skipped} cleaned, ${skipped} skipped (no watermark found), ${failed} failed`);
+    return failed > 0 ? EXIT.FAILED : EXIT.OK;
+}
+
+/**
+ * 由帶浮水印的圖片校正出新的遮罩，輸出遮罩 PNG 與描述尺寸、邊距的 profile JSON
+ */
+async function runCalibrate(options) {
+    if (options.inputs.length === 0) {
+        throw new UsageError('No input given');
+    }
+    if (!/^[\w.-]+$/.test(options.name)) {
+        throw new UsageError(`Invalid --name "${options.name}" (letters, digits, "-", "_" and "." only)`);
+    }
+
+    const inputs = await collectInputs(options.inputs);
+    if (inputs.length === 0) {
+        console.error('gwr: no input images found');
+        return EXIT.NO_INPUT;
+    }
+
+    const log = options.quiet ? () => {} : (msg) => console.log(msg);
+    const images = [];
+    for (const input of inputs) {
+        images.push(await decodeImage(await fsp.readFile(input.file)));
+    }
+
+    const result = WatermarkCore.calibrateMask(images);
+    const outDir = options.outDir || process.cwd();
+    const maskFile = `${options.name}.png`;
+    const profile = {
+        name: options.name,
+        mask: maskFile,
+        size: result.size,
+        marginX: result.marginX,
+        marginY: result.marginY,
+        color: result.color,
+        method: result.method,
+        images: result.imageCount
+    };
+
+    await fsp.mkdir(outDir, { recursive: true });
+    await fsp.writeFile(path.join(outDir, maskFile), encodePng(WatermarkCore.encodeMask(result.mask)));
+    await fsp.writeFile(path.join(outDir, `${options.name}.json`), `${JSON.stringify(profile, null, 2)}\n`);
+
+    log(`calibrated ${result.imageCount} image(s) using ${result.method === 'flat' ? 'black/white renders' : 'background regression'}`);
+    log(`  size ${result.size}px, margin ${result.marginX}/${result.marginY}px, color ${result.color.join(',')}, peak alpha ${result.maxAlpha.toFixed(2)}`);
+    log(`  wrote ${path.join(outDir, maskFile)} and ${options.name}.json`);
+    return EXIT.OK;
+}
+
+async function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (err) {
+        console.error(`gwr: ${err.message}\n\n${USAGE}`);
+        return EXIT.USAGE;
+    }
+
+    if (options.help || options.command === null || options.command === 'help') {
+        console.log(USAGE);
+        return options.command === null && !options.help ? EXIT.USAGE : EXIT.OK;
+    }
+
+    const commands = { clean: runClean, calibrate: runCalibrate };
+    if (!commands[options.command]) {
+        console.error(`gwr: unknown command "${options.command}"\n\n${USAGE}`);
+        return EXIT.USAGE;
+    }
+
+    try {
+        return await commands[options.command](options);
+    } catch (err) {
+        if (err instanceof UsageError) {
+            console.error(`gwr: ${err.message}`);
+            return EXIT.USAGE;
+        }
+        console.error(`gwr: ${err.stack || err.message}`);
+        return EXIT.FAILED;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { main, parseArgs, globToRegExp, EXIT };
@@ -0,0 +1,307 @@
+// cli/png.js
+
+/**
+ * 純 Node.js 的 PNG 編解碼器（只依賴內建 zlib）
+ * 讓命令列工具不需要瀏覽器 Canvas 就能讀取遮罩與圖片。
+ * 輸出/輸入格式與 Canvas ImageData 相同：{ width, height, data: Uint8ClampedArray (RGBA) }
+ */
+
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// 每種 color type 的通道數
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Adam7 交錯掃描的起點與間距：[startX, startY, stepX, stepY]
+const ADAM7 = [
+    [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4],
+    [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]
+];
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buf) {
+    let c = 0xffffffff;
+    for (let i = 0; i < buf.length; i++) {
+        c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+    }
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    if (pb <= pc) return b;
+    return c;
+}
+
+function isPng(buf) {
+    return buf.length >= 8 && buf.subarray(0, 8).equals(PNG_SIGNATURE);
+}
+
+/**
+ * 還原單一子影像（非交錯時即整張圖）的掃描線濾波
+ * 回傳去除濾波位元組後的原始像素列資料
+ */
+function unfilter(raw, offset, width, height, bpp, rowBytes) {
+    const out = Buffer.alloc(rowBytes * height);
+    let pos = offset;
+
+    for (let y = 0; y < height; y++) {
+        const filter = raw[pos++];
+        const row = y * rowBytes;
+        const prev = row - rowBytes;
+
+        for (let x = 0; x < rowBytes; x++) {
+            const left = x >= bpp ? out[row + x - bpp] : 0;
+            const up = y > 0 ? out[prev + x] : 0;
+            const upLeft = (y > 0 && x >= bpp) ? out[prev + x - bpp] : 0;
+            let value = raw[pos++];
+
+            switch (filter) {
+                case 0: break;
+                case 1: value += left; break;
+                case 2: value += up; break;
+                case 3: value += (left + up) >> 1; break;
+                case 4: value += paeth(left, up, upLeft); break;
+                default: throw new Error(`Unsupported PNG filter type ${filter}`);
+            }
+            out[row + x] = value & 0xff;
+        }
+    }
+
+    return { rows: out, next: pos };
+}
+
+/**
+ * 讀取一個樣本值（支援 1/2/4/8/16 位元深度）
+ * 16 位元只取高位元組；低於 8 位元時回傳原始值，由呼叫端換算
+ */
+function readSample(rows, rowStart, index, bitDepth) {
+    if (bitDepth === 8) return rows[rowStart + index];
+    if (bitDepth === 16) return rows[rowStart + index * 2];
+
+    const perByte = 8 / bitDepth;
+    const byte = rows[rowStart + Math.floor(index / perByte)];
+    const shift = 8 - bitDepth * ((index % perByte) + 1);
+    return (byte >> shift) & ((1 << bitDepth) - 1);
+}
+
+/**
+ * 取得灰階/RGB 影像 tRNS 區塊中的透明色鍵值（以 readSample 相同的尺度比較）
+ */
+function transparencyKey(transparency, channel, bitDepth) {
+    return bitDepth === 16 ? transparency[channel * 2] : transparency.readUInt16BE(channel * 2);
+}
+
+/**
+ * 解碼 PNG Buffer 為 RGBA ImageData 形狀的物件
+ * @param {Buffer} buf - PNG 檔案內容
+ * @returns {{ width: number, height: number, data: Uint8ClampedArray }}
+ */
+function decodePng(buf) {
+    if (!isPng(buf)) {
+        throw new Error('Not a PNG file');
+    }
+
+    let pos = 8;
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const idat = [];
+
+    while (pos < buf.length) {
+        const length = buf.readUInt32BE(pos);
+        const type = buf.toString('latin1', pos + 4, pos + 8);
+        const chunk = buf.subarray(pos + 8, pos + 8 + length);
+        pos += 12 + length;
+
+        if (type === 'IHDR') {
+            header = {
+                width: chunk.readUInt32BE(0),
+                height: chunk.readUInt32BE(4),
+                bitDepth: chunk[8],
+                colorType: chunk[9],
+                interlace: chunk[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = chunk;
+        } else if (type === 'tRNS') {
+            transparency = chunk;
+        } else if (type === 'IDAT') {
+            idat.push(chunk);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (!header) throw new Error('PNG is missing IHDR');
+
+    const { width, height, bitDepth, colorType, interlace } = header;
+    const channels = CHANNELS[colorType];
+    if (!channels) throw new Error(`Unsupported PNG color type ${colorType}`);
+    if (colorType === 3 && !palette) throw new Error('Indexed PNG is missing PLTE');
+
+    const raw = zlib.inflateSync(Buffer.concat(idat));
+    const bitsPerPixel = channels * bitDepth;
+    const bpp = Math.max(1, bitsPerPixel >> 3);
+    const data = new Uint8ClampedArray(width * height * 4);
+    const scale = bitDepth < 8 && colorType !== 3 ? 255 / ((1 << bitDepth) - 1) : 1;
+
+    // 將一列子影像像素寫入最終 RGBA 緩衝區
+    const writePixels = (rows, subWidth, subHeight, rowBytes, startX, startY, stepX, stepY) => {
+        for (let y = 0; y < subHeight; y++) {
+            const rowStart = y * rowBytes;
+            const iy = startY + y * stepY;
+            for (let x = 0; x < subWidth; x++) {
+                const ix = startX + x * stepX;
+                const idx = (iy * width + ix) * 4;
+                const s = (n) => readSample(rows, rowStart, x * channels + n, bitDepth);
+                let r, g, b, a = 255;
+
+                if (colorType === 0) {
+                    const gray = s(0);
+                    r = g = b = gray * scale;
+                    if (transparency && transparency.length >= 2 && gray === transparencyKey(transparency, 0, bitDepth)) {
+                        a = 0;
+                    }
+                } else if (colorType === 2) {
+                    r = s(0); g = s(1); b = s(2);
+                    if (
+                        transparency && transparency.length >= 6 &&
+                        r === transparencyKey(transparency, 0, bitDepth) &&
+                        g === transparencyKey(transparency, 1, bitDepth) &&
+                        b === transparencyKey(transparency, 2, bitDepth)
+                    ) {
+                        a = 0;
+                    }
+                } else if (colorType === 3) {
+                    const entry = s(0);
+                    r = palette[entry * 3];
+                    g = palette[entry * 3 + 1];
+                    b = palette[entry * 3 + 2];
+                    if (transparency && entry < transparency.length) a = transparency[entry];
+                } else if (colorType === 4) {
+                    r = g = b = s(0); a = s(1);
+                } else {
+                    r = s(0); g = s(1); b = s(2); a = s(3);
+                }
+
+                data[idx] = r;
+                data[idx + 1] = g;
+                data[idx + 2] = b;
+                data[idx + 3] = a;
+            }
+        }
+    };
+
+    if (interlace) {
+        let offset = 0;
+        for (const [startX, startY, stepX, stepY] of ADAM7) {
+            const subWidth = Math.ceil((width - startX) / stepX);
+            const subHeight = Math.ceil((height - startY) / stepY);
+            if (subWidth <= 0 || subHeight <= 0) continue;
+            const rowBytes = Math.ceil(subWidth * bitsPerPixel / 8);
+            const { rows, next } = unfilter(raw, offset, subWidth, subHeight, bpp, rowBytes);
+            writePixels(rows, subWidth, subHeight, rowBytes, startX, startY, stepX, stepY);
+            offset = next;
+        }
+    } else {
+        const rowBytes = Math.ceil(width * bitsPerPixel / 8);
+        const { rows } = unfilter(raw, 0, width, height, bpp, rowBytes);
+        writePixels(rows, width, height, rowBytes, 0, 0, 1, 1);
+    }
+
+    return { width, height, data };
+}
+
+function makeChunk(type, body) {
+    const head = Buffer.alloc(8);
+    head.writeUInt32BE(body.length, 0);
+    head.write(type, 4, 'latin1');
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), body])), 0);
+    return Buffer.concat([head, body, crc]);
+}
+
+/**
+ * 將 RGBA ImageData 編碼為 8-bit PNG
+ * 每列以「最小絕對差總和」挑選濾波方式，檔案大小接近瀏覽器 toBlob 的輸出。
+ * @param {{ width: number, height: number, data: Uint8ClampedArray }} imageData
+ * @returns {Buffer}
+ */
+function encodePng(imageData) {
+    const { width, height, data } = imageData;
+    const rowBytes = width * 4;
+    const filtered = Buffer.alloc((rowBytes + 1) * height);
+    const candidate = Buffer.alloc(rowBytes);
+
+    for (let y = 0; y < height; y++) {
+        const row = y * rowBytes;
+        let bestFilter = 0;
+        let bestSum = Number.MAX_VALUE;
+        let best = null;
+
+        for (let filter = 0; filter <= 4; filter++) {
+            let sum = 0;
+            for (let x = 0; x < rowBytes; x++) {
+                const value = data[row + x];
+                const left = x >= 4 ? data[row + x - 4] : 0;
+                const up = y > 0 ? data[row - rowBytes + x] : 0;
+                const upLeft = (y > 0 && x >= 4) ? data[row - rowBytes + x - 4] : 0;
+                let out;
+                switch (filter) {
+                    case 0: out = value; break;
+                    case 1: out = value - left; break;
+                    case 2: out = value - up; break;
+                    case 3: out = value - ((left + up) >> 1); break;
+                    default: out = value - paeth(left, up, upLeft); break;
+                }
+                out &= 0xff;
+                candidate[x] = out;
+                sum += out < 128 ? out : 256 - out;
+            }
+            if (sum < bestSum) {
+                bestSum = sum;
+                bestFilter = filter;
+                best = Buffer.from(candidate);
+            }
+        }
+
+        const target = y * (rowBytes + 1);
+        filtered[target] = bestFilter;
+        best.copy(filtered, target + 1);
+    }
+
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8] = 8;  // bit depth
+    ihdr[9] = 6;  // RGBA
+    ihdr[10] = 0; // compression
+    ihdr[11] = 0; // filter
+    ihdr[12] = 0; // interlace
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        makeChunk('IHDR', ihdr),
+        makeChunk('IDAT', zlib.deflateSync(filtered, { level: 9 })),
+        makeChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+module.exports = { decodePng, encodePng, isPng, crc32 };
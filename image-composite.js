@@ -0,0 +1,192 @@
+// image-composite.js
+
+/**
+ * 單張圖片的合成結果：原圖 → 處理過的視窗 → 修飾筆觸 → 自訂 Logo
+ * 支援時由 Worker（worker.js 以 importScripts 載入）以卡片 id 保存，整張影像的像素不經過主執行緒，
+ * 網頁只收到縮小的預覽與編碼後的檔案；不支援 OffscreenCanvas 的瀏覽器由主執行緒持有同一個物件。
+ * 畫布以 image-encoder.js 的 createCanvas() 建立（兩邊都會先載入 image-encoder.js）。
+ */
+class ImageComposite {
+    /**
+     * @param {ImageData} source - 解碼後的原圖（已轉正）
+     */
+    constructor(source) {
+        this.source = source;
+        this.base = null;      // 原圖貼上處理過的視窗（尚未處理時為 null）
+        this.frame = null;     // base 中處理過的視窗 { x, y, width, height }
+        this.layered = null;   // base 加上修飾筆觸（沒有筆觸時與 base 相同）
+        this.composite = null; // layered 加上自訂 Logo，即輸出的內容
+    }
+
+    get width() {
+        return this.source.width;
+    }
+
+    get height() {
+        return this.source.height;
+    }
+
+    /**
+     * 由可繪製的圖片（ImageBitmap、<img> 或 canvas）建立
+     * @param {CanvasImageSource} image
+     */
+    static fromImage(image) {
+        const canvas = createCanvas(image.width, image.height);
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(image, 0, 0);
+        return new ImageComposite(ctx.getImageData(0, 0, image.width, image.height));
+    }
+
+    /**
+     * 複製原圖的處理視窗（WatermarkCore.getProcessingWindow）
+     * @returns {ImageData}
+     */
+    readWindow(frame) {
+        const data = new Uint8ClampedArray(frame.width * frame.height * 4);
+        copyRows(this.source, frame.x, frame.y, { width: frame.width, height: frame.height, data }, 0, 0, frame.width, frame.height);
+        return new ImageData(data, frame.width, frame.height);
+    }
+
+    /**
+     * 將處理過的視窗貼回原圖，之後需重新 render()
+     * 整張的複本只在第一次建立；之後只以原圖還原上一次的視窗，再寫入新的視窗
+     * @param {ImageData} imageData - remover.remove() 處理過的視窗
+     * @param {{ x: number, y: number }} frame
+     */
+    applyWindow(imageData, frame) {
+        if (!this.base) {
+            this.base = new ImageData(new Uint8ClampedArray(this.source.data), this.width, this.height);
+        } else {
+            const previous = this.frame;
+            copyRows(this.source, previous.x, previous.y, this.base, previous.x, previous.y, previous.width, previous.height);
+        }
+        copyRows(imageData, 0, 0, this.base, frame.x, frame.y, imageData.width, imageData.height);
+        this.frame = { x: frame.x, y: frame.y, width: imageData.width, height: imageData.height };
+        this.layered = null;
+        this.composite = null;
+    }
+
+    /**
+     * 依序疊加修飾筆觸與自訂 Logo，結果存入 composite
+     * @param {Object} layers
+     * @param {Object[]} [layers.strokes] - WatermarkCore.applyBrushStrokes() 的筆畫
+     * @param {{ image: CanvasImageSource, opacity: number, scale: number }} [layers.logo]
+     * @param {Object} [layers.region] - Logo 對齊的浮水印區域（手動區域、偵測結果或 WatermarkCore.expectedRegion）
+     * @returns {ImageData}
+     */
+    render({ strokes = [], logo = null, region = null } = {}) {
+        if (!this.base) return null;
+
+        this.layered = this.base;
+        if (strokes.length > 0) {
+            this.layered = new ImageData(new Uint8ClampedArray(this.base.data), this.width, this.height);
+            WatermarkCore.applyBrushStrokes(this.layered, strokes);
+        }
+
+        this.composite = this.layered;
+        const placement = logo && logo.image ? ImageComposite.placeLogo(logo, region) : null;
+        if (placement) {
+            this.composite = new ImageData(new Uint8ClampedArray(this.layered.data), this.width, this.height);
+            this.drawLogo(logo, placement);
+        }
+        return this.composite;
+    }
+
+    /**
+     * 計算 Logo 的位置與大小：縮放到浮水印區域的短邊（再乘上 logo.scale）並與區域置中對齊
+     * @returns {{ x: number, y: number, width: number, height: number }|null} 沒有區域或超出圖片左上方時為 null
+     */
+    static placeLogo(logo, region) {
+        if (!region) return null;
+        const image = logo.image;
+        const targetSize = Math.min(region.width, region.height);
+
+        // 計算縮放比例（保持寬高比）
+        const scale = Math.min(targetSize / image.width, targetSize / image.height) * logo.scale;
+        const width = image.width * scale;
+        const height = image.height * scale;
+        const x = region.x + (region.width - width) / 2;
+        const y = region.y + (region.height - height) / 2;
+
+        if (x < 0 || y < 0) return null;
+        return { x, y, width, height };
+    }
+
+    /**
+     * 只在 Logo 覆蓋的範圍建立小畫布繪製，再寫回 composite
+     */
+    drawLogo(logo, placement) {
+        const left = Math.max(0, Math.floor(placement.x));
+        const top = Math.max(0, Math.floor(placement.y));
+        const right = Math.min(this.width, Math.ceil(placement.x + placement.width));
+        const bottom = Math.min(this.height, Math.ceil(placement.y + placement.height));
+        if (right <= left || bottom <= top) return;
+
+        const canvas = createCanvas(right - left, bottom - top);
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.putImageData(this.composite, -left, -top, left, top, right - left, bottom - top);
+        ctx.globalAlpha = logo.opacity;
+        ctx.drawImage(logo.image, placement.x - left, placement.y - top, placement.width, placement.height);
+        copyRows(ctx.getImageData(0, 0, right - left, bottom - top), 0, 0, this.composite, left, top, right - left, bottom - top);
+    }
+
+    /**
+     * 原圖與輸出的差異熱度圖（WatermarkCore.renderDifferenceMap）
+     * @returns {{ imageData: ImageData, maxDiff: number, changed: number }|null}
+     */
+    differenceMap() {
+        if (!this.composite) return null;
+        const map = WatermarkCore.renderDifferenceMap(this.source, this.composite);
+        return {
+            imageData: new ImageData(map.imageData.data, this.width, this.height),
+            maxDiff: map.maxDiff,
+            changed: map.changed
+        };
+    }
+
+    /**
+     * 最長邊不超過 maxSize 的預覽尺寸
+     */
+    static previewSize(width, height, maxSize = ImageComposite.PREVIEW_SIZE) {
+        const scale = Math.min(1, maxSize / Math.max(width, height));
+        return {
+            width: Math.max(1, Math.round(width * scale)),
+            height: Math.max(1, Math.round(height * scale))
+        };
+    }
+
+    /**
+     * 將像素縮小成指定尺寸的預覽
+     * Worker 中回傳可轉移的 ImageBitmap，主執行緒回傳 canvas
+     * @param {ImageData} imageData
+     * @param {{ width: number, height: number }} size
+     * @returns {ImageBitmap|HTMLCanvasElement}
+     */
+    static toPreview(imageData, size) {
+        const full = createCanvas(imageData.width, imageData.height);
+        full.getContext('2d').putImageData(imageData, 0, 0);
+
+        let preview = full;
+        if (size.width !== imageData.width || size.height !== imageData.height) {
+            preview = createCanvas(size.width, size.height);
+            const ctx = preview.getContext('2d');
+            ctx.imageSmoothingQuality = 'high';
+            ctx.drawImage(full, 0, 0, size.width, size.height);
+        }
+        return preview.transferToImageBitmap ? preview.transferToImageBitmap() : preview;
+    }
+}
+
+// 卡片上的預覽最長邊（約為卡片寬度的兩倍，高解析度螢幕也清晰）
+ImageComposite.PREVIEW_SIZE = 1280;
+
+/**
+ * 複製一塊矩形像素（來源與目的地都是 { width, height, data }）
+ */
+function copyRows(from, fromX, fromY, to, toX, toY, width, height) {
+    const rowBytes = width * 4;
+    for (let y = 0; y < height; y++) {
+        const start = ((fromY + y) * from.width + fromX) * 4;
+        to.data.set(from.data.subarray(start, start + rowBytes), ((toY + y) * to.width + toX) * 4);
+    }
+}
@@ -0,0 +1,172 @@
+// image-encoder.js
+
+/**
+ * 輸出格式編碼器
+ * 單張下載、ZIP 打包與輸出資料夾共用同一個入口：encode(imageData, format, quality, metadata)。
+ * 優先使用瀏覽器內建的編碼（OffscreenCanvas.convertToBlob，不支援時為 canvas.toBlob）；
+ * 瀏覽器無法編碼該格式時（例如 Firefox / Safari 的 AVIF、Safari 的 WebP，或不保證無損的 WebP 無損模式），
+ * 改用 libs/ 內附的 WASM 編碼器（jSquash）。
+ *
+ * 同時供 Worker（worker.js 以 importScripts 載入）與網頁主執行緒（不支援 OffscreenCanvas 時）使用。
+ * 瀏覽器不支援的格式在編碼時會默默改輸出 PNG，因此以 1x1 的測試圖檢查實際輸出的格式；
+ * 檢查結果與 WASM 模組都只載入一次。
+ */
+class ImageEncoder {
+    /**
+     * @param {string} [wasmBase] - WASM 編碼器模組所在的目錄（相對於頁面或 Worker 腳本）
+     */
+    constructor(wasmBase = 'libs/jsquash/') {
+        this.wasmBase = wasmBase;
+        this.nativeSupport = new Map(); // format -> Promise<boolean>
+        this.wasmModules = new Map();   // 模組路徑 -> Promise<Module>
+    }
+
+    /**
+     * @param {string} format - ImageEncoder.FORMATS 的鍵
+     */
+    static getFormat(format) {
+        return ImageEncoder.FORMATS[format] || ImageEncoder.FORMATS.png;
+    }
+
+    /**
+     * 將像素編碼成指定格式，並寫回中繼資料（ImageMetadata 不支援的格式，例如 AVIF，會略過）
+     * @param {ImageData} imageData
+     * @param {string} format - ImageEncoder.FORMATS 的鍵
+     * @param {number} [quality] - 0 ~ 1，僅有損格式使用
+     * @param {{ icc?: Uint8Array, exif?: Uint8Array, xmp?: Uint8Array }} [metadata]
+     * @returns {Promise<Blob>}
+     */
+    async encode(imageData, format, quality, metadata) {
+        const spec = ImageEncoder.getFormat(format);
+        const blob = await this.encodePixels(imageData, format, quality);
+        if (!metadata || !ImageMetadata.hasMetadata(metadata)) return blob;
+
+        const bytes = await ImageMetadata.writeMetadata(new Uint8Array(await blob.arrayBuffer()), metadata);
+        return new Blob([bytes], { type: spec.mimeType });
+    }
+
+    async encodePixels(imageData, format, quality) {
+        const spec = ImageEncoder.getFormat(format);
+        const nativeQuality = spec.lossy ? quality : spec.nativeQuality;
+
+        if (await this.supportsNative(format)) {
+            const canvas = createCanvas(imageData.width, imageData.height);
+            canvas.getContext('2d').putImageData(imageData, 0, 0);
+            const blob = await canvasToBlob(canvas, spec.mimeType, nativeQuality);
+            if (blob && blob.type === spec.mimeType) return blob;
+        }
+        if (!spec.wasm) {
+            throw new Error(`Encoding ${format} is not supported by this browser`);
+        }
+
+        const module = await this.loadWasm(spec.wasm.module);
+        const buffer = await module.default(imageData, spec.wasm.options(quality));
+        return new Blob([buffer], { type: spec.mimeType });
+    }
+
+    /**
+     * 瀏覽器能否以內建編碼正確輸出此格式
+     * @returns {Promise<boolean>}
+     */
+    supportsNative(format) {
+        if (!this.nativeSupport.has(format)) {
+            const spec = ImageEncoder.getFormat(format);
+            const canvas = createCanvas(1, 1);
+            const check = canvasToBlob(canvas, spec.mimeType, spec.lossy ? 0.8 : spec.nativeQuality)
+                .then(async (blob) => {
+                    if (!blob || blob.type !== spec.mimeType) return false;
+                    return spec.verify ? spec.verify(new Uint8Array(await blob.arrayBuffer())) : true;
+                })
+                .catch(() => false);
+            this.nativeSupport.set(format, check);
+        }
+        return this.nativeSupport.get(format);
+    }
+
+    /**
+     * 載入 WASM 編碼器（ES Module，預設匯出 encode(imageData, options)）
+     * 載入失敗時清除快取，下次可重試（例如離線時尚未快取）
+     */
+    loadWasm(modulePath) {
+        if (!this.wasmModules.has(modulePath)) {
+            const base = typeof document !== 'undefined' ? document.baseURI : self.location.href;
+            const url = new URL(this.wasmBase + modulePath, base).href;
+            const promise = import(url);
+            promise.catch(() => this.wasmModules.delete(modulePath));
+            this.wasmModules.set(modulePath, promise);
+        }
+        return this.wasmModules.get(modulePath);
+    }
+}
+
+/**
+ * 可選的輸出格式
+ * - lossy：是否使用品質設定
+ * - nativeQuality：無損格式傳給內建編碼的品質參數
+ * - verify：檢查內建編碼的輸出是否真的符合需求（例如 WebP 無損必須是 VP8L）
+ * - wasm：瀏覽器不支援時改用的 jSquash 模組與其參數（品質為 0 ~ 100）
+ */
+ImageEncoder.FORMATS = {
+    png: { mimeType: 'image/png', ext: '.png', lossy: false },
+    jpeg: { mimeType: 'image/jpeg', ext: '.jpg', lossy: true },
+    webp: {
+        mimeType: 'image/webp',
+        ext: '.webp',
+        lossy: true,
+        wasm: {
+            module: 'webp/encode.js',
+            options: quality => ({ quality: Math.round(quality * 100) })
+        }
+    },
+    'webp-lossless': {
+        mimeType: 'image/webp',
+        ext: '.webp',
+        lossy: false,
+        nativeQuality: 1,
+        // Chromium 在品質為 1 時輸出無損的 VP8L，其他瀏覽器仍是有損的 VP8
+        verify: bytes => isLosslessWebp(bytes),
+        wasm: {
+            module: 'webp/encode.js',
+            options: () => ({ lossless: 1, exact: 1 })
+        }
+    },
+    avif: {
+        mimeType: 'image/avif',
+        ext: '.avif',
+        lossy: true,
+        wasm: {
+            module: 'avif/encode.js',
+            options: quality => ({ quality: Math.round(quality * 100) })
+        }
+    }
+};
+
+// Worker 中只有 OffscreenCanvas；主執行緒不支援時使用一般的 canvas
+function createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+function canvasToBlob(canvas, mimeType, quality) {
+    if (canvas.convertToBlob) return canvas.convertToBlob({ type: mimeType, quality });
+    return new Promise(resolve => canvas.toBlob(resolve, mimeType, quality));
+}
+
+/**
+ * WebP 的影像資料是否為無損的 VP8L（擴充格式 VP8X 之後的 chunk 也要檢查）
+ * @param {Uint8Array} bytes
+ */
+function isLosslessWebp(bytes) {
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+        const type = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+        if (type === 'VP8L') return true;
+        if (type === 'VP8 ') return false;
+        const size = bytes[offset + 4] | (bytes[offset + 5] << 8) | (bytes[offset + 6] << 16) | (bytes[offset + 7] << 24);
+        offset += 8 + size + (size & 1);
+    }
+    return false;
+}
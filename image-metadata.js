@@ -0,0 +1,495 @@
+// image-metadata.js
+
+/**
+ * 圖片中繼資料（ICC 色彩描述檔、EXIF、XMP）的讀取與寫回
+ * Canvas 重新編碼（toBlob）會丟掉所有中繼資料：廣色域圖片失去色彩描述檔後顏色會偏移，
+ * EXIF 的拍攝資訊與方向也會消失。這裡直接解析 JPEG / PNG / WebP 容器，
+ * 從原檔取出中繼資料，再插入編碼後的輸出檔，不經過任何影像解碼。
+ *
+ * 同時供網頁主執行緒（window.ImageMetadata）與 Node.js（require('./image-metadata')）使用。
+ * PNG 的 iCCP 以 zlib 壓縮，需要 CompressionStream / DecompressionStream（瀏覽器與 Node.js 18+ 內建）；
+ * 環境不支援時 PNG 的色彩描述檔會被略過，其餘中繼資料不受影響。
+ *
+ * 基本用法：
+ *   const metadata = await ImageMetadata.readMetadata(new Uint8Array(await file.arrayBuffer()));
+ *   // metadata: { format, icc, exif, xmp, orientation }
+ *   const output = await ImageMetadata.writeMetadata(encodedBytes, { ...metadata, exif: ImageMetadata.setOrientation(metadata.exif, 1) });
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ImageMetadata = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const JPEG_EXIF_HEADER = bytesOf('Exif\0\0');
+    const JPEG_XMP_HEADER = bytesOf('http://ns.adobe.com/xap/1.0/\0');
+    const JPEG_ICC_HEADER = bytesOf('ICC_PROFILE\0');
+    const JPEG_MAX_SEGMENT = 65533; // 區段長度欄位（16 位元）扣除自身的 2 位元組
+    const JPEG_ICC_CHUNK = JPEG_MAX_SEGMENT - JPEG_ICC_HEADER.length - 2; // 每段 ICC 資料的上限（另有序號與總數各 1 位元組）
+
+    const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+    const PNG_XMP_KEYWORD = 'XML:com.adobe.xmp';
+    // 與 iCCP 互斥或描述同一件事的色彩相關 chunk，寫入 ICC 時一併移除
+    const PNG_COLOR_CHUNKS = ['iCCP', 'sRGB', 'gAMA', 'cHRM'];
+
+    const WEBP_FLAGS = { ICC: 0x20, ALPHA: 0x10, EXIF: 0x08, XMP: 0x04 };
+
+    const CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    function bytesOf(text) {
+        return Uint8Array.from(text, ch => ch.charCodeAt(0));
+    }
+
+    function startsWith(bytes, prefix, offset = 0) {
+        if (bytes.length < offset + prefix.length) return false;
+        for (let i = 0; i < prefix.length; i++) {
+            if (bytes[offset + i] !== prefix[i]) return false;
+        }
+        return true;
+    }
+
+    function concat(parts) {
+        const total = parts.reduce((sum, part) => sum + part.length, 0);
+        const out = new Uint8Array(total);
+        let offset = 0;
+        parts.forEach(part => {
+            out.set(part, offset);
+            offset += part.length;
+        });
+        return out;
+    }
+
+    function crc32(bytes) {
+        let c = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+        }
+        return (c ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * zlib 壓縮 / 解壓縮（PNG 的 iCCP 與壓縮過的 iTXt）；環境不支援時回傳 null
+     */
+    async function zlib(bytes, inflate) {
+        const Stream = inflate
+            ? (typeof DecompressionStream !== 'undefined' ? DecompressionStream : null)
+            : (typeof CompressionStream !== 'undefined' ? CompressionStream : null);
+        if (!Stream || typeof Blob === 'undefined' || typeof Response === 'undefined') return null;
+        try {
+            const stream = new Blob([bytes]).stream().pipeThrough(new Stream('deflate'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        } catch (err) {
+            return null; // 資料損毀時視為沒有這項中繼資料
+        }
+    }
+
+    /**
+     * 依檔頭判斷容器格式
+     * @param {Uint8Array} bytes
+     * @returns {'jpeg'|'png'|'webp'|null}
+     */
+    function detectFormat(bytes) {
+        if (bytes.length >= 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'jpeg';
+        if (startsWith(bytes, PNG_SIGNATURE)) return 'png';
+        if (startsWith(bytes, bytesOf('RIFF')) && startsWith(bytes, bytesOf('WEBP'), 8)) return 'webp';
+        return null;
+    }
+
+    // =========================================================================
+    // EXIF（TIFF 結構）
+    // =========================================================================
+
+    /**
+     * 找出 IFD0 中 Orientation (0x0112) 欄位的位置；沒有時回傳 -1
+     */
+    function findOrientationEntry(tiff) {
+        if (!tiff || tiff.length < 8) return { offset: -1 };
+        const little = tiff[0] === 0x49 && tiff[1] === 0x49;
+        if (!little && !(tiff[0] === 0x4d && tiff[1] === 0x4d)) return { offset: -1 };
+        const u16 = (o) => (little ? tiff[o] | (tiff[o + 1] << 8) : (tiff[o] << 8) | tiff[o + 1]);
+        const u32 = (o) => (little
+            ? (tiff[o] | (tiff[o + 1] << 8) | (tiff[o + 2] << 16) | (tiff[o + 3] << 24)) >>> 0
+            : ((tiff[o] << 24) | (tiff[o + 1] << 16) | (tiff[o + 2] << 8) | tiff[o + 3]) >>> 0);
+
+        const ifd = u32(4);
+        if (ifd + 2 > tiff.length) return { offset: -1 };
+        const count = u16(ifd);
+        for (let i = 0; i < count; i++) {
+            const entry = ifd + 2 + i * 12;
+            if (entry + 12 > tiff.length) break;
+            if (u16(entry) === 0x0112 && u16(entry + 2) === 3) {
+                return { offset: entry + 8, little, value: u16(entry + 8) };
+            }
+        }
+        return { offset: -1 };
+    }
+
+    /**
+     * EXIF 方向（1 ~ 8，1 為不需旋轉）；沒有 EXIF 或欄位時為 1
+     * @param {Uint8Array|null} exif - TIFF 結構（不含 JPEG 的 "Exif\0\0" 標頭）
+     */
+    function getOrientation(exif) {
+        const entry = findOrientationEntry(exif);
+        return entry.offset !== -1 && entry.value >= 1 && entry.value <= 8 ? entry.value : 1;
+    }
+
+    /**
+     * 回傳改寫方向欄位後的 EXIF 複本（像素已依方向轉正後，輸出檔需標記為 1 以免再次旋轉）
+     * @param {Uint8Array|null} exif
+     * @param {number} orientation
+     * @returns {Uint8Array|null}
+     */
+    function setOrientation(exif, orientation) {
+        const entry = findOrientationEntry(exif);
+        if (entry.offset === -1) return exif;
+        const copy = exif.slice();
+        copy[entry.offset] = entry.little ? orientation & 0xff : orientation >> 8;
+        copy[entry.offset + 1] = entry.little ? orientation >> 8 : orientation & 0xff;
+        return copy;
+    }
+
+    // =========================================================================
+    // JPEG
+    // =========================================================================
+
+    /**
+     * 列出 JPEG 的標記區段，直到影像資料（SOS）為止；SOS 區段涵蓋檔案其餘部分
+     */
+    function readJpegSegments(bytes) {
+        const segments = [];
+        let offset = 2;
+        while (offset + 4 <= bytes.length) {
+            if (bytes[offset] !== 0xff) break;
+            const marker = bytes[offset + 1];
+            if (marker === 0xff) { // 填充位元組
+                offset++;
+                continue;
+            }
+            if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) { // 沒有長度欄位的標記
+                offset += 2;
+                continue;
+            }
+            if (marker === 0xda || marker === 0xd9) {
+                segments.push({ marker, start: offset, end: bytes.length, data: null });
+                break;
+            }
+            const end = offset + 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+            if (end > bytes.length) break;
+            segments.push({ marker, start: offset, end, data: bytes.subarray(offset + 4, end) });
+            offset = end;
+        }
+        return segments;
+    }
+
+    /**
+     * 區段是否為要被取代的中繼資料（只取代 metadata 中有提供的種類）
+     */
+    function isReplacedJpegSegment(segment, metadata) {
+        const { marker, data } = segment;
+        if (!data) return false;
+        if (marker === 0xe1 && metadata.exif && startsWith(data, JPEG_EXIF_HEADER)) return true;
+        if (marker === 0xe1 && metadata.xmp && startsWith(data, JPEG_XMP_HEADER)) return true;
+        return marker === 0xe2 && !!metadata.icc && startsWith(data, JPEG_ICC_HEADER);
+    }
+
+    function readJpeg(bytes, metadata) {
+        const iccChunks = [];
+        readJpegSegments(bytes).forEach(({ marker, data }) => {
+            if (!data) return;
+            if (marker === 0xe1 && !metadata.exif && startsWith(data, JPEG_EXIF_HEADER)) {
+                metadata.exif = data.slice(JPEG_EXIF_HEADER.length);
+            } else if (marker === 0xe1 && !metadata.xmp && startsWith(data, JPEG_XMP_HEADER)) {
+                metadata.xmp = data.slice(JPEG_XMP_HEADER.length);
+            } else if (marker === 0xe2 && startsWith(data, JPEG_ICC_HEADER)) {
+                const header = JPEG_ICC_HEADER.length;
+                iccChunks.push({ index: data[header], data: data.subarray(header + 2) });
+            }
+        });
+        if (iccChunks.length > 0) {
+            iccChunks.sort((a, b) => a.index - b.index);
+            metadata.icc = concat(iccChunks.map(chunk => chunk.data));
+        }
+    }
+
+    function jpegSegment(marker, parts) {
+        const body = concat(parts);
+        const length = body.length + 2;
+        return concat([Uint8Array.of(0xff, marker, length >> 8, length & 0xff), body]);
+    }
+
+    function writeJpeg(bytes, metadata) {
+        const inserted = [];
+        if (metadata.exif && metadata.exif.length + JPEG_EXIF_HEADER.length <= JPEG_MAX_SEGMENT) {
+            inserted.push(jpegSegment(0xe1, [JPEG_EXIF_HEADER, metadata.exif]));
+        }
+        if (metadata.xmp && metadata.xmp.length + JPEG_XMP_HEADER.length <= JPEG_MAX_SEGMENT) {
+            inserted.push(jpegSegment(0xe1, [JPEG_XMP_HEADER, metadata.xmp]));
+        }
+        if (metadata.icc) {
+            const count = Math.ceil(metadata.icc.length / JPEG_ICC_CHUNK);
+            if (count <= 255) {
+                for (let i = 0; i < count; i++) {
+                    const chunk = metadata.icc.subarray(i * JPEG_ICC_CHUNK, (i + 1) * JPEG_ICC_CHUNK);
+                    inserted.push(jpegSegment(0xe2, [JPEG_ICC_HEADER, Uint8Array.of(i + 1, count), chunk]));
+                }
+            }
+        }
+
+        // 中繼資料放在 SOI 之後；有 JFIF (APP0) 時依慣例放在它後面
+        const segments = readJpegSegments(bytes).filter(segment => !isReplacedJpegSegment(segment, metadata));
+        const parts = [bytes.subarray(0, 2)];
+        const jfif = segments.length > 0 && segments[0].marker === 0xe0 ? 1 : 0;
+        segments.slice(0, jfif).forEach(s => parts.push(bytes.subarray(s.start, s.end)));
+        parts.push(...inserted);
+        segments.slice(jfif).forEach(s => parts.push(bytes.subarray(s.start, s.end)));
+        return concat(parts);
+    }
+
+    // =========================================================================
+    // PNG
+    // =========================================================================
+
+    function readPngChunks(bytes) {
+        const chunks = [];
+        let offset = 8;
+        while (offset + 12 <= bytes.length) {
+            const length = ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+            const end = offset + 12 + length;
+            if (end > bytes.length) break;
+            const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+            chunks.push({ type, start: offset, end, data: bytes.subarray(offset + 8, offset + 8 + length) });
+            offset = end;
+            if (type === 'IEND') break;
+        }
+        return chunks;
+    }
+
+    function isPngXmp(chunk) {
+        return chunk.type === 'iTXt' && startsWith(chunk.data, bytesOf(`${PNG_XMP_KEYWORD}\0`));
+    }
+
+    async function readPng(bytes, metadata) {
+        for (const chunk of readPngChunks(bytes)) {
+            const { type, data } = chunk;
+            if (type === 'iCCP' && !metadata.icc) {
+                const nameEnd = data.indexOf(0);
+                if (nameEnd > 0) metadata.icc = await zlib(data.subarray(nameEnd + 2), true);
+            } else if (type === 'eXIf' && !metadata.exif) {
+                metadata.exif = data.slice();
+            } else if (isPngXmp(chunk) && !metadata.xmp) {
+                // keyword\0 壓縮旗標 壓縮方法 language\0 translated\0 text
+                let offset = PNG_XMP_KEYWORD.length + 1;
+                const compressed = data[offset] === 1;
+                offset += 2;
+                offset = data.indexOf(0, offset) + 1;
+                offset = data.indexOf(0, offset) + 1;
+                if (offset > 0) {
+                    const text = data.subarray(offset);
+                    metadata.xmp = compressed ? await zlib(text, true) : text.slice();
+                }
+            }
+        }
+    }
+
+    function pngChunk(type, data) {
+        const typeBytes = bytesOf(type);
+        const length = data.length;
+        const crc = crc32(concat([typeBytes, data]));
+        return concat([
+            Uint8Array.of(length >>> 24, (length >> 16) & 0xff, (length >> 8) & 0xff, length & 0xff),
+            typeBytes,
+            data,
+            Uint8Array.of(crc >>> 24, (crc >> 16) & 0xff, (crc >> 8) & 0xff, crc & 0xff)
+        ]);
+    }
+
+    async function writePng(bytes, metadata) {
+        const inserted = [];
+        const compressedIcc = metadata.icc ? await zlib(metadata.icc, false) : null;
+        if (compressedIcc) {
+            inserted.push(pngChunk('iCCP', concat([bytesOf('ICC Profile\0'), Uint8Array.of(0), compressedIcc])));
+        }
+        if (metadata.exif) inserted.push(pngChunk('eXIf', metadata.exif));
+        if (metadata.xmp) {
+            inserted.push(pngChunk('iTXt', concat([bytesOf(`${PNG_XMP_KEYWORD}\0`), Uint8Array.of(0, 0, 0, 0), metadata.xmp])));
+        }
+
+        // 中繼資料放在 IHDR 之後（iCCP 必須在 PLTE 與 IDAT 之前）
+        const parts = [bytes.subarray(0, 8)];
+        readPngChunks(bytes).forEach(chunk => {
+            const replaced = (compressedIcc && PNG_COLOR_CHUNKS.includes(chunk.type)) ||
+                (metadata.exif && chunk.type === 'eXIf') ||
+                (metadata.xmp && isPngXmp(chunk));
+            if (!replaced) parts.push(bytes.subarray(chunk.start, chunk.end));
+            if (chunk.type === 'IHDR') parts.push(...inserted);
+        });
+        return concat(parts);
+    }
+
+    // =========================================================================
+    // WebP
+    // =========================================================================
+
+    function readWebpChunks(bytes) {
+        const chunks = [];
+        let offset = 12;
+        while (offset + 8 <= bytes.length) {
+            const type = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+            const size = (bytes[offset + 4] | (bytes[offset + 5] << 8) | (bytes[offset + 6] << 16) | (bytes[offset + 7] << 24)) >>> 0;
+            const end = offset + 8 + size + (size & 1); // chunk 以偶數位元組對齊
+            if (offset + 8 + size > bytes.length) break;
+            chunks.push({ type, start: offset, end: Math.min(end, bytes.length), data: bytes.subarray(offset + 8, offset + 8 + size) });
+            offset = end;
+        }
+        return chunks;
+    }
+
+    function readWebp(bytes, metadata) {
+        readWebpChunks(bytes).forEach(({ type, data }) => {
+            if (type === 'ICCP' && !metadata.icc) {
+                metadata.icc = data.slice();
+            } else if (type === 'EXIF' && !metadata.exif) {
+                // 部分編碼器會保留 JPEG 的 "Exif\0\0" 標頭
+                metadata.exif = startsWith(data, JPEG_EXIF_HEADER) ? data.slice(JPEG_EXIF_HEADER.length) : data.slice();
+            } else if (type === 'XMP ' && !metadata.xmp) {
+                metadata.xmp = data.slice();
+            }
+        });
+    }
+
+    function webpChunk(type, data) {
+        const size = data.length;
+        const parts = [bytesOf(type), Uint8Array.of(size & 0xff, (size >> 8) & 0xff, (size >> 16) & 0xff, size >>> 24), data];
+        if (size & 1) parts.push(Uint8Array.of(0));
+        return concat(parts);
+    }
+
+    /**
+     * 由 VP8 / VP8L 位元流取得畫布尺寸與是否有透明度（簡單格式的 WebP 沒有 VP8X，需要自行建立）
+     */
+    function readWebpCanvas(chunks) {
+        for (const { type, data } of chunks) {
+            if (type === 'VP8 ' && data.length >= 10) {
+                return {
+                    width: (data[6] | (data[7] << 8)) & 0x3fff,
+                    height: (data[8] | (data[9] << 8)) & 0x3fff,
+                    alpha: chunks.some(chunk => chunk.type === 'ALPH')
+                };
+            }
+            if (type === 'VP8L' && data.length >= 5 && data[0] === 0x2f) {
+                const bits = (data[1] | (data[2] << 8) | (data[3] << 16) | (data[4] << 24)) >>> 0;
+                return {
+                    width: (bits & 0x3fff) + 1,
+                    height: ((bits >>> 14) & 0x3fff) + 1,
+                    alpha: ((bits >>> 28) & 1) === 1
+                };
+            }
+        }
+        return null;
+    }
+
+    function writeWebp(bytes, metadata) {
+        const chunks = readWebpChunks(bytes);
+        let header = chunks.find(chunk => chunk.type === 'VP8X');
+        let flags;
+        let canvas;
+        if (header) {
+            flags = header.data[0];
+            canvas = header.data.subarray(4, 10);
+        } else {
+            const info = readWebpCanvas(chunks);
+            if (!info) return bytes;
+            flags = info.alpha ? WEBP_FLAGS.ALPHA : 0;
+            const w = info.width - 1;
+            const h = info.height - 1;
+            canvas = Uint8Array.of(w & 0xff, (w >> 8) & 0xff, (w >> 16) & 0xff, h & 0xff, (h >> 8) & 0xff, (h >> 16) & 0xff);
+        }
+
+        flags &= ~(WEBP_FLAGS.ICC | WEBP_FLAGS.EXIF | WEBP_FLAGS.XMP);
+        if (metadata.icc) flags |= WEBP_FLAGS.ICC;
+        if (metadata.exif) flags |= WEBP_FLAGS.EXIF;
+        if (metadata.xmp) flags |= WEBP_FLAGS.XMP;
+
+        // 規範的 chunk 順序：VP8X、ICCP、影像資料（含 ANIM / ALPH 等）、EXIF、XMP
+        const body = [bytesOf('WEBP'), webpChunk('VP8X', concat([Uint8Array.of(flags, 0, 0, 0), canvas]))];
+        if (metadata.icc) body.push(webpChunk('ICCP', metadata.icc));
+        chunks.forEach(chunk => {
+            if (['VP8X', 'ICCP', 'EXIF', 'XMP '].includes(chunk.type)) return;
+            body.push(bytes.subarray(chunk.start, chunk.end));
+        });
+        if (metadata.exif) body.push(webpChunk('EXIF', metadata.exif));
+        if (metadata.xmp) body.push(webpChunk('XMP ', metadata.xmp));
+
+        const payload = concat(body);
+        const size = payload.length;
+        return concat([bytesOf('RIFF'), Uint8Array.of(size & 0xff, (size >> 8) & 0xff, (size >> 16) & 0xff, size >>> 24), payload]);
+    }
+
+    // =========================================================================
+    // 公開介面
+    // =========================================================================
+
+    /**
+     * 讀取圖片檔的中繼資料
+     * @param {Uint8Array} bytes - 原始檔案內容
+     * @returns {Promise<{ format: string|null, icc: Uint8Array|null, exif: Uint8Array|null, xmp: Uint8Array|null, orientation: number }>}
+     */
+    async function readMetadata(bytes) {
+        const metadata = { format: detectFormat(bytes), icc: null, exif: null, xmp: null, orientation: 1 };
+        if (metadata.format === 'jpeg') readJpeg(bytes, metadata);
+        else if (metadata.format === 'png') await readPng(bytes, metadata);
+        else if (metadata.format === 'webp') readWebp(bytes, metadata);
+        metadata.orientation = getOrientation(metadata.exif);
+        return metadata;
+    }
+
+    /**
+     * 是否有任何可寫回的中繼資料
+     */
+    function hasMetadata(metadata) {
+        return !!metadata && !!(metadata.icc || metadata.exif || metadata.xmp);
+    }
+
+    /**
+     * 將中繼資料插入編碼後的圖片（取代輸出檔中同類的資料）；不支援的格式原樣回傳
+     * 超過 JPEG 單一區段上限的 EXIF / XMP 會被略過。
+     * @param {Uint8Array} bytes - 編碼後的圖片（例如 canvas.toBlob 的結果）
+     * @param {{ icc?: Uint8Array, exif?: Uint8Array, xmp?: Uint8Array }} metadata
+     * @returns {Promise<Uint8Array>}
+     */
+    async function writeMetadata(bytes, metadata) {
+        if (!hasMetadata(metadata)) return bytes;
+        switch (detectFormat(bytes)) {
+            case 'jpeg':
+                return writeJpeg(bytes, metadata);
+            case 'png':
+                return writePng(bytes, metadata);
+            case 'webp':
+                return writeWebp(bytes, metadata);
+            default:
+                return bytes;
+        }
+    }
+
+    return {
+        detectFormat,
+        readMetadata,
+        writeMetadata,
+        hasMetadata,
+        getOrientation,
+        setOrientation
+    };
+});
@@ -0,0 +1,18 @@
+export const label = 'AVIF';
+export const mimeType = 'image/avif';
+export const extension = 'avif';
+export const defaultOptions = {
+    quality: 50,
+    qualityAlpha: -1,
+    denoiseLevel: 0,
+    tileColsLog2: 0,
+    tileRowsLog2: 0,
+    speed: 6,
+    subsample: 1,
+    chromaDeltaQ: false,
+    sharpness: 0,
+    tune: 0 /* AVIFTune.auto */,
+    enableSharpYUV: false,
+    bitDepth: 8,
+    lossless: false,
+};
@@ -3,18 +3,23 @@
  */
 
 const STATE = {
-    masks: {
-        small: null, // { width: 48, height: 48, alphas: Float32Array }
-        large: null  // { width: 96, height: 96, alphas: Float32Array }
-    },
-    worker: new Worker('worker.js'),
+    profiles: [], // WatermarkCore.loadProfiles() 產生的浮水印 Profile（遮罩已解碼），依 priority 排序
+    pool: new WorkerPool('worker.js', navigator.hardwareConcurrency), // 平行處理的 Worker 執行緒池
     processors: [], // Store active ImageProcessor instances
+    activeProcessor: null, // 最後操作的卡片，Ctrl+Z / Ctrl+Shift+Z 作用於此
+    session: new SessionStore('gemini-watermark-session'), // 以 IndexedDB 保存卡片與 Logo，重新整理後還原
+    nextCardOrder: 0, // 下一張卡片的排列順序（還原時接續已保存的順序）
     customLogo: {
         image: null,     // HTMLImageElement - 使用者上傳的 Logo 圖片
+        file: null,      // Blob - Logo 原始檔案（保存工作階段用）
         opacity: 0.8,    // 0.0 ~ 1.0 - Logo 透明度
         scale: 1.0       // 0.1 ~ 2.0 - Logo 縮放比例 (預設 1.0)
     },
-    downloadFormat: 'png' // 'png' or 'jpeg' - 全域下載格式設定
+    downloadFormat: 'png', // ImageEncoder.FORMATS 的鍵（png / jpeg / webp / webp-lossless / avif）- 全域下載格式設定
+    outputQuality: 0.85,   // 0.0 ~ 1.0 - 有損格式（JPEG / WebP / AVIF）的壓縮品質
+    encoder: new ImageEncoder(), // 輸出編碼器（瀏覽器不支援的格式改用 WASM）
+    skipUnmodified: false, // 全部下載時略過沒有去除浮水印的圖片
+    stripMetadata: false   // 輸出時不寫回原檔的 ICC / EXIF / XMP
 };
 
 // Global DOM Elements
@@ -35,6 +40,10 @@ const logoScaleValue = document.getElementById('logoScaleValue');
 const logoControls = document.getElementById('logoControls');
 const clearLogoBtn = document.getElementById('clearLogoBtn');
 
+// 工作階段相關 DOM 元素
+const storageUsage = document.getElementById('storageUsage');
+const clearSessionBtn = document.getElementById('clearSessionBtn');
+
 // =============================================================================
 // Localization Manager
 // =============================================================================
@@ -98,6 +107,23 @@ const Localization = {
         return translations[this.lang][key] || key;
     },
 
+    /**
+     * 從 { 'zh-TW': ..., en: ... } 形式的多語系值取出目前語言的字串（例如 Profile 名稱），純字串直接回傳
+     */
+    pick(value) {
+        if (!value || typeof value !== 'object') return value;
+        return value[this.lang] || value.en || Object.values(value)[0];
+    },
+
+    /**
+     * 取得翻譯字串並代入 {name} 形式的參數
+     */
+    format(key, values) {
+        return this.get(key).replace(/\{(\w+)\}/g, (match, name) => (
+            values[name] !== undefined ? values[name] : match
+        ));
+    },
+
     apply() {
         document.documentElement.lang = this.lang;
         const elements = document.querySelectorAll('[data-i18n]');
@@ -118,6 +144,15 @@ function reprocessAllUIStrings() {
     STATE.processors.forEach(p => p.updateStrings());
     // Update Logo Upload Text if empty
     updateLogoPreviewUI();
+    MaskCalibration.updateStrings();
+    DefaultSettings.renderProfileOptions();
+    Selection.render();
+    OutputFolder.render();
+    FilenameTemplate.render();
+    OutputQuality.render();
+    const stripMetadataLabel = document.getElementById('stripMetadataLabel');
+    if (stripMetadataLabel) stripMetadataLabel.title = Localization.get('stripMetadataTitle');
+    updateStorageIndicator();
 }
 
 
@@ -129,50 +164,31 @@ async function init() {
     // Init Localization first
     Localization.init();
 
-    // Setup Worker Listener
-    STATE.worker.onmessage = (e) => {
-        const { type, payload, id } = e.data;
-        if (type === 'PROCESS_COMPLETE') {
-            const processor = STATE.processors.find(p => p.id === id);
-            if (processor) {
-                processor.handleWorkerResult(payload.imageData);
-            }
-        } else if (type === 'PROCESS_ERROR') {
-            console.error('Worker error:', payload);
-            const processor = STATE.processors.find(p => p.id === id);
-            if (processor) {
-                processor.elements.loading.style.display = 'none';
-                alert(Localization.get('processingError') + payload);
-            }
-        }
-    };
-
     try {
-        await Promise.all([
-            loadMask('assets/mask_48.png', 'small'),
-            loadMask('assets/mask_96.png', 'large')
-        ]);
-        console.log('Masks loaded successfully');
+        STATE.profiles = await loadProfileRegistry('assets/profiles.json');
+        console.log('Profiles loaded successfully');
+    } catch (e) {
+        console.error('Failed to load masks:', e);
+        alert(Localization.get('loadAssetsError'));
+        STATE.profiles = [];
+    }
 
-        // Send masks to worker
-        STATE.worker.postMessage({
-            type: 'INIT_MASKS',
-            payload: STATE.masks
-        });
+    // Send profiles to every worker in the pool (also replayed to respawned workers)
+    // 載入失敗時也要以空的 Profile 啟動執行緒池，否則排隊中的工作永遠不會被分派；
+    // 解碼仍可進行，處理則會回報錯誤，之後以遮罩校正加入 Profile 即可恢復
+    syncProfiles();
 
-        // Fetch GitHub Stars
-        fetchGitHubStars();
+    // 還原上次的工作階段（需要 Profile 才能正確顯示各卡片的設定）
+    await restoreSession();
 
-        // Init Theme
-        ThemeManager.init();
+    // Fetch GitHub Stars
+    fetchGitHubStars();
 
-        // Init Runaway Banana Effect
-        initRunawayBananaEffect();
+    // Init Theme
+    ThemeManager.init();
 
-    } catch (e) {
-        console.error('Failed to load masks:', e);
-        alert(Localization.get('loadAssetsError'));
-    }
+    // Init Runaway Banana Effect
+    initRunawayBananaEffect();
 }
 
 function initRunawayBananaEffect() {
@@ -203,7 +219,68 @@ function initRunawayBananaEffect() {
     });
 }
 
-function loadMask(url, type) {
+/**
+ * 讀取 Profile 登錄檔並解碼其中的遮罩（遮罩路徑相對於登錄檔）
+ * 新增其他產生器的浮水印只需編輯登錄檔，不必修改程式碼
+ */
+async function loadProfileRegistry(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Failed to load ${url}: ${response.status}`);
+    const registry = await response.json();
+
+    const baseUrl = new URL(url, location.href);
+    const masks = {};
+    await Promise.all(WatermarkCore.listProfileMasks(registry).map(async (file) => {
+        masks[file] = await loadMask(new URL(file, baseUrl).href);
+    }));
+    return WatermarkCore.loadProfiles(registry, (file) => masks[file]);
+}
+
+/**
+ * 將目前的 Profile 送到所有 Worker，並更新每張卡片的 Profile 選單
+ */
+function syncProfiles() {
+    STATE.pool.initialize([{
+        type: 'INIT_PROFILES',
+        payload: STATE.profiles
+    }]);
+    STATE.processors.forEach(p => p.renderProfileOptions());
+    DefaultSettings.renderProfileOptions();
+}
+
+/**
+ * 產生尺寸選單：自動、Profile 宣告的各尺寸與任意尺寸
+ * 'auto' 時列出所有啟用 Profile 的尺寸（聯集），強制的尺寸才一定有 Profile 可以套用
+ * @param {HTMLSelectElement} select
+ * @param {string} profileId - 選取的 Profile id 或 'auto'
+ * @returns {string[]} 選單中可強制的尺寸 id
+ */
+function renderSizeOptions(select, profileId) {
+    const profiles = STATE.profiles.filter(profile => (
+        profileId === 'auto' ? profile.enabled : profile.id === profileId
+    ));
+    const widths = new Map(); // 尺寸 id -> 各 Profile 的遮罩寬度
+    profiles.forEach(profile => {
+        Object.keys(profile.sizes).forEach(size => {
+            if (!widths.has(size)) widths.set(size, new Set());
+            widths.get(size).add(profile.sizes[size].mask.width);
+        });
+    });
+
+    const names = { small: 'sizeNameSmall', large: 'sizeNameLarge', default: 'sizeNameDefault' };
+    select.innerHTML = '';
+    select.add(new Option(Localization.get('sizeAuto'), 'auto'));
+    widths.forEach((values, size) => {
+        select.add(new Option(Localization.format('sizeForce', {
+            size: names[size] ? Localization.get(names[size]) : size,
+            px: Array.from(values).sort((a, b) => a - b).join('/')
+        }), size));
+    });
+    select.add(new Option(Localization.get('sizeScaled'), 'scaled'));
+    return Array.from(widths.keys());
+}
+
+function loadMask(url) {
     return new Promise((resolve, reject) => {
         const img = new Image();
         img.src = url;
@@ -216,25 +293,110 @@ function loadMask(url, type) {
             const tCtx = tempCanvas.getContext('2d');
             tCtx.drawImage(img, 0, 0);
 
-            const imageData = tCtx.getImageData(0, 0, w, h);
-            const data = imageData.data;
-            const alphas = new Float32Array(w * h);
-
-            for (let i = 0; i < w * h; i++) {
-                const r = data[i * 4];
-                const g = data[i * 4 + 1];
-                const b = data[i * 4 + 2];
-                const maxVal = Math.max(r, Math.max(g, b));
-                alphas[i] = maxVal / 255.0;
-            }
-
-            STATE.masks[type] = { width: w, height: h, alphas };
-            resolve();
+            // 與 Worker / 命令列共用同一份遮罩解碼邏輯
+            resolve(WatermarkCore.decodeMask(tCtx.getImageData(0, 0, w, h)));
         };
         img.onerror = reject;
     });
 }
 
+/**
+ * 能否在 Worker 中解碼、合成與編碼，由 Worker 保存原圖（需要 createImageBitmap 與 OffscreenCanvas）
+ */
+function supportsWorkerCodecs() {
+    return typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap === 'function';
+}
+
+/**
+ * 不支援 Worker 解碼時在主執行緒解碼（與 worker.js 的 decodeImage() 相同的結果，另附原圖 URL）
+ * @param {File} file
+ * @returns {Promise<{ bitmap: CanvasImageSource, metadata: Object|null, raw: boolean, url: string }>}
+ */
+async function decodeOnMainThread(file) {
+    let metadata = null;
+    try {
+        metadata = await ImageMetadata.readMetadata(new Uint8Array(await file.arrayBuffer()));
+    } catch (err) {
+        console.warn('Failed to read metadata:', err);
+    }
+
+    const url = URL.createObjectURL(file);
+    const img = await new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error(`Failed to decode ${file.name}`));
+        image.src = url;
+    });
+
+    const oriented = await orientImage(img, metadata ? metadata.orientation : 1);
+    if (oriented !== img) URL.revokeObjectURL(url); // 改用轉正後的圖片
+    const bitmap = oriented === img && metadata && metadata.icc
+        ? await decodeWithoutColorConversion(file, oriented)
+        : oriented;
+    return {
+        bitmap,
+        metadata,
+        raw: bitmap !== oriented,
+        url: oriented === img ? url : oriented.src
+    };
+}
+
+/**
+ * 依 EXIF 方向轉正圖片
+ * 現代瀏覽器繪製 <img> 時已自動套用方向（image-orientation: from-image），只有不支援的瀏覽器需要自行旋轉
+ * @param {HTMLImageElement} img
+ * @param {number} orientation - EXIF 方向 1 ~ 8
+ * @returns {Promise<HTMLImageElement>}
+ */
+function orientImage(img, orientation) {
+    const autoOriented = typeof CSS !== 'undefined' && CSS.supports && CSS.supports('image-orientation', 'from-image');
+    if (orientation === 1 || autoOriented) return Promise.resolve(img);
+
+    const { width, height } = img;
+    const swap = orientation >= 5; // 5 ~ 8 需要對調寬高
+    const canvas = document.createElement('canvas');
+    canvas.width = swap ? height : width;
+    canvas.height = swap ? width : height;
+    const ctx = canvas.getContext('2d');
+    const transforms = {
+        2: [-1, 0, 0, 1, width, 0],
+        3: [-1, 0, 0, -1, width, height],
+        4: [1, 0, 0, -1, 0, height],
+        5: [0, 1, 1, 0, 0, 0],
+        6: [0, 1, -1, 0, height, 0],
+        7: [0, -1, -1, 0, height, width],
+        8: [0, -1, 1, 0, 0, width]
+    };
+    ctx.setTransform(...transforms[orientation]);
+    ctx.drawImage(img, 0, 0);
+
+    return new Promise((resolve) => {
+        const oriented = new Image();
+        oriented.onload = () => resolve(oriented);
+        oriented.onerror = () => resolve(img);
+        oriented.src = canvas.toDataURL('image/png');
+    });
+}
+
+/**
+ * 以檔案本身的色彩空間解碼（不轉換成 sRGB）
+ * 輸出時會寫回原本的色彩描述檔，像素必須維持原檔的數值，否則廣色域圖片會被轉換兩次而偏色；
+ * 浮水印也是在原檔的色彩空間中疊加，反向混合在同一個空間中計算才準確。
+ * 瀏覽器不支援時使用一般解碼的圖片。
+ * @returns {Promise<CanvasImageSource>}
+ */
+async function decodeWithoutColorConversion(file, fallback) {
+    if (typeof createImageBitmap !== 'function') return fallback;
+    try {
+        const bitmap = await createImageBitmap(file, { colorSpaceConversion: 'none', imageOrientation: 'from-image' });
+        if (bitmap.width === fallback.width && bitmap.height === fallback.height) return bitmap;
+        bitmap.close();
+    } catch (err) {
+        console.warn('Falling back to color-managed decoding:', err);
+    }
+    return fallback;
+}
+
 function fetchGitHubStars() {
     const starCountElement = document.getElementById('githubStarCount');
     if (!starCountElement) return;
@@ -258,22 +420,67 @@ function fetchGitHubStars() {
 // Image Processor Class (Per Image Logic)
 // =============================================================================
 
+const HISTORY_LIMIT = 50; // 每張卡片保留的歷史紀錄筆數
+
 class ImageProcessor {
-    constructor(file) {
+    /**
+     * @param {File} file - 原始圖片
+     * @param {Object} [options]
+     * @param {string} [options.path] - 相對路徑（例如 ZIP 內的 `renders/set1/a.png`），全部下載時依此重建資料夾結構
+     * @param {Object} [options.saved] - 由工作階段還原時的卡片紀錄（SessionStore.loadCards() 的項目）
+     */
+    constructor(file, { path = file.name, saved = null } = {}) {
         this.file = file;
-        this.id = Math.random().toString(36).substr(2, 9);
+        this.path = path;
+        this.saved = saved;
+        this.id = saved ? saved.id : Math.random().toString(36).substr(2, 9);
+        this.order = saved ? saved.order : STATE.nextCardOrder;
+        STATE.nextCardOrder = Math.max(STATE.nextCardOrder, this.order + 1);
         this.config = {
-            forceMode: 'auto',
-            forcePosition: 'auto', // 浮水印位置設定，預設為 auto
-            alphaGain: 0.5, // 浮水印強度增益，預設 0.5 適用最新 Gemini 浮水印
-            autoStrength: true // 是否開啟自動強度偵測
+            ...DefaultSettings.config, // Profile、大小、位置、強度與修補設定（全域預設設定）
+            manualRegion: null // 手動指定的浮水印區域 { x, y, width, height }，設定後略過自動偵測
         };
+        if (saved) Object.assign(this.config, saved.config);
+        this.metadata = null; // 原檔的中繼資料（ImageMetadata.readMetadata），輸出時寫回
+        // 原圖與合成結果保存在 Worker（以卡片 id 綁定，見 worker.js）；不支援 OffscreenCanvas 時才在主執行緒保存 ImageComposite
+        this.composite = null;
+        this.layersVersion = 0; // 修飾筆觸或 Logo 每次變更時遞增，Worker 依此判斷是否需要重新合成
         this.state = {
-            originalImage: null,
-            processedImageData: null,
+            originalUrl: null,    // 原圖的 URL（燈箱顯示用）
+            imageSize: null,      // 原圖尺寸 { width, height }；卡片上的 canvas 只有預覽大小
+            sourcePreview: null,  // 原圖的預覽（比較用）；有色彩描述檔時未經色彩轉換
+            preview: null,        // 合成結果的預覽（ImageBitmap，主執行緒保存時為 canvas）
+            layerPreview: null,   // 修飾筆刷模式時另外取得的預覽：只到筆觸為止、不含 Logo（即時繪製時在這上面取樣）
+            rawColor: false,      // 原圖是否保留原檔色彩空間的數值（輸出時才能寫回色彩描述檔）
+            ready: false,         // 是否已有合成結果（可下載、編輯）
             watermarkRegion: null, // 儲存偵測到的浮水印位置與大小
-            isProcessing: false
+            detection: null,
+            isProcessing: false,
+            editingRegion: false, // 是否正在手動調整浮水印區域
+            regionDraft: null,    // 調整中的區域 { x, y, width, height }（原圖像素座標）
+            touchingUp: false,    // 是否正在使用修飾筆刷
+            debugView: false      // 是否以差異熱度圖取代處理結果顯示
+        };
+        // 修飾筆刷：筆觸以資料保存，重新處理後會重新套用在新的 Worker 輸出上
+        this.touchUp = {
+            tool: 'clone',   // 'clone' | 'heal' | 'blur'
+            size: 24,        // 筆刷直徑（原圖像素）
+            hardness: 0.5,   // 0 ~ 1
+            source: null,    // 仿製 / 修復的取樣點 { x, y }
+            offset: null,    // 取樣點相對於筆觸的位移，設定來源後的第一筆決定，之後的筆畫沿用（對齊模式）
+            pickingSource: false,
+            strokes: saved && saved.strokes ? saved.strokes : [] // WatermarkCore.applyBrushStrokes() 的筆畫
         };
+        this.regionCommitTimer = null;
+        this.persistTimer = null;
+        this.logo = { ...STATE.customLogo }; // 這張卡片目前疊加的 Logo 設定（復原時可與全域設定不同）
+        // 設定與手動編輯的歷史紀錄，entries[index] 為目前狀態
+        this.history = {
+            entries: [],
+            index: -1
+        };
+        this.selected = false; // 是否勾選（批次操作的對象）
+        this.outputFile = null; // 已寫入輸出資料夾的檔案 { handle, name }，之後的修改覆寫同一個檔案
 
         // UI Elements
         this.elements = {};
@@ -283,6 +490,12 @@ class ImageProcessor {
 
     init() {
         this.createUI();
+        if (this.saved) {
+            this.syncControls(); // 還原的設定反映到選單與滑桿
+        } else {
+            this.persist();
+        }
+        this.recordHistory('open');
         this.loadImage();
     }
 
@@ -297,22 +510,60 @@ class ImageProcessor {
                     <div class="spinner"></div>
                 </div>
                 <div class="comparison-overlay" data-i18n="compareTitle">${Localization.get('compareTitle')}</div>
+                <div class="detection-badge" style="display: none;"></div>
+                <label class="card-select" title="${Localization.get('selectCard')}">
+                    <input type="checkbox" class="select-check" aria-label="${Localization.get('selectCard')}">
+                </label>
+                <div class="region-layer" style="display: none;">
+                    <div class="region-box" tabindex="0" aria-label="${Localization.get('regionTitle')}">
+                        <div class="region-handle"></div>
+                    </div>
+                    <button class="region-reset" data-i18n="regionReset">${Localization.get('regionReset')}</button>
+                </div>
+                <div class="touchup-layer" style="display: none;">
+                    <div class="brush-source" style="display: none;"></div>
+                    <div class="brush-cursor" style="display: none;"></div>
+                </div>
+                <canvas class="debug-layer" style="display: none;"></canvas>
+                <button class="debug-export" style="display: none;" data-i18n="debugExport">${Localization.get('debugExport')}</button>
+            </div>
+
+            <div class="touchup-toolbar" style="display: none;">
+                <div class="touchup-tools">
+                    <button class="touchup-tool active" data-tool="clone" data-i18n="brushClone">${Localization.get('brushClone')}</button>
+                    <button class="touchup-tool" data-tool="heal" data-i18n="brushHeal">${Localization.get('brushHeal')}</button>
+                    <button class="touchup-tool" data-tool="blur" data-i18n="brushBlur">${Localization.get('brushBlur')}</button>
+                    <button class="touchup-source" data-i18n="brushSource">${Localization.get('brushSource')}</button>
+                    <button class="touchup-clear" data-i18n="brushClear" disabled>${Localization.get('brushClear')}</button>
+                </div>
+                <label class="touchup-slider">
+                    <span data-i18n="brushSize">${Localization.get('brushSize')}</span>
+                    <input type="range" class="brush-size" min="2" max="200" step="1" value="24">
+                    <span class="brush-size-value">24px</span>
+                </label>
+                <label class="touchup-slider">
+                    <span data-i18n="brushHardness">${Localization.get('brushHardness')}</span>
+                    <input type="range" class="brush-hardness" min="0" max="100" step="5" value="50">
+                    <span class="brush-hardness-value">50%</span>
+                </label>
+                <div class="touchup-status"></div>
+                <ol class="touchup-strokes"></ol>
             </div>
-            
+
             <div class="card-controls">
                 <div class="card-options">
                     <div class="control-group">
-                        <select class="size-select" aria-label="浮水印大小">
-                            <option value="auto" data-i18n="sizeAuto">${Localization.get('sizeAuto')}</option>
-                            <option value="small" data-i18n="sizeSmall">${Localization.get('sizeSmall')}</option>
-                            <option value="large" data-i18n="sizeLarge">${Localization.get('sizeLarge')}</option>
-                        </select>
+                        <select class="profile-select" aria-label="浮水印 Profile"></select>
+                    </div>
+                    <div class="control-group">
+                        <select class="size-select" aria-label="浮水印大小"></select>
                     </div>
                     <div class="control-group">
                         <select class="position-select" aria-label="浮水印位置">
                             <option value="auto" data-i18n="positionAuto">${Localization.get('positionAuto')}</option>
                             <option value="new" data-i18n="positionNew">${Localization.get('positionNew')}</option>
                             <option value="old" data-i18n="positionOld">${Localization.get('positionOld')}</option>
+                            <option value="search" data-i18n="positionSearch">${Localization.get('positionSearch')}</option>
                         </select>
                     </div>
                     <div class="control-group slider-group">
@@ -321,11 +572,25 @@ class ImageProcessor {
                             <span style="display: flex; align-items: center; gap: 0.25rem;">
                                 <input type="checkbox" class="auto-strength-check" checked style="margin: 0; cursor: pointer; width: auto; height: auto;">
                                 <span data-i18n="autoLabel" style="font-size: 0.85rem; opacity: 0.9;">${Localization.get('autoLabel')}</span>
+                                <span class="overlay-swatch" style="display: none;"></span>
                                 <span class="alpha-value" style="font-weight: 600; min-width: 2rem; text-align: right;">Auto</span>
                             </span>
                         </label>
                         <input type="range" min="0.1" max="3.0" step="0.1" value="0.5" disabled>
                     </div>
+                    <div class="control-group slider-group">
+                        <label style="display: flex; justify-content: space-between; align-items: center; width: 100%;" title="${Localization.get('inpaintTitle')}">
+                            <span style="display: flex; align-items: center; gap: 0.25rem;">
+                                <input type="checkbox" class="inpaint-check" style="margin: 0; cursor: pointer; width: auto; height: auto;">
+                                <span data-i18n="inpaintLabel">${Localization.get('inpaintLabel')}</span>
+                            </span>
+                            <span class="inpaint-value" style="font-weight: 600; min-width: 2rem; text-align: right;">0.50</span>
+                        </label>
+                        <input type="range" class="inpaint-range" min="0" max="1" step="0.05" value="0.5" disabled>
+                    </div>
+                    <div class="control-group">
+                        <select class="history-select" title="${Localization.get('historyTitle')}" aria-label="${Localization.get('historyTitle')}"></select>
+                    </div>
                 </div>
 
                 <div class="actions" style="display: flex; gap: 1rem;">
@@ -335,6 +600,24 @@ class ImageProcessor {
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z"></path>
                         </svg>
                     </button>
+                    <button class="btn btn-secondary region-btn" title="${Localization.get('regionTitle')}">
+                        <svg width="20" height="20" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 8V4h4M16 4h4v4M20 16v4h-4M8 20H4v-4"></path>
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 9v6M9 12h6"></path>
+                        </svg>
+                    </button>
+                    <button class="btn btn-secondary touchup-btn" title="${Localization.get('touchUpTitle')}">
+                        <svg width="20" height="20" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9.5 14.5L19 5a1.4 1.4 0 012 2l-9.5 9.5"></path>
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9.5 14.5c-2 0-3.5 1.5-3.5 3.5 0 1-.5 2-2 2 1 1 2.5 1 4 1 2.5 0 4-1.5 4-4l-2.5-2.5z"></path>
+                        </svg>
+                    </button>
+                    <button class="btn btn-secondary debug-btn" title="${Localization.get('debugView')}">
+                        <svg width="20" height="20" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 5h16v14H4z"></path>
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 15l3-4 2 2 3-5"></path>
+                        </svg>
+                    </button>
                     <button class="btn btn-secondary remove-btn" title="${Localization.get('removeTitle')}">
                         <svg width="20" height="20" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
@@ -348,35 +631,81 @@ class ImageProcessor {
                     </button>
                 </div>
             </div>
-            <div class="filename-display" title="${this.file.name}" style="text-align: center; color: var(--text-secondary); font-size: 0.9rem; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; max-width: 100%;">
-                ${this.file.name}
-            </div>
+            <div class="detection-info" style="display: none;"></div>
+            <div class="filename-display" style="text-align: center; color: var(--text-secondary); font-size: 0.9rem; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; max-width: 100%;"></div>
         `;
 
+        // 路徑來自檔名或 ZIP 內容，以純文字設定（不能插入 HTML）
+        const filenameDisplay = card.querySelector('.filename-display');
+        filenameDisplay.textContent = this.path;
+        filenameDisplay.title = this.path;
+
         // Store references
         this.elements.card = card;
         this.elements.canvas = card.querySelector('canvas');
         this.elements.ctx = this.elements.canvas.getContext('2d', { willReadFrequently: true });
         this.elements.loading = card.querySelector('.loading-overlay');
+        this.elements.profileSelect = card.querySelector('.profile-select');
         this.elements.sizeSelect = card.querySelector('.size-select');
         this.elements.positionSelect = card.querySelector('.position-select');
-        this.elements.alphaInput = card.querySelector('input[type="range"]');
+        this.elements.alphaInput = card.querySelector('.card-options input[type="range"]:not(.inpaint-range)');
         this.elements.alphaValue = card.querySelector('.alpha-value');
+        this.elements.overlaySwatch = card.querySelector('.overlay-swatch');
         this.elements.autoStrengthCheck = card.querySelector('.auto-strength-check');
+        this.elements.inpaintCheck = card.querySelector('.inpaint-check');
+        this.elements.inpaintInput = card.querySelector('.inpaint-range');
+        this.elements.inpaintValue = card.querySelector('.inpaint-value');
+        this.elements.inpaintLabel = this.elements.inpaintCheck.closest('label');
         this.elements.downloadBtn = card.querySelector('.download-btn');
         this.elements.removeBtn = card.querySelector('.remove-btn');
         this.elements.compareBtn = card.querySelector('.compare-btn');
         this.elements.wrapper = card.querySelector('.image-wrapper');
         this.elements.compareOverlay = card.querySelector('.comparison-overlay'); // Added ref
+        this.elements.detectionInfo = card.querySelector('.detection-info');
+        this.elements.detectionBadge = card.querySelector('.detection-badge');
+        this.elements.regionBtn = card.querySelector('.region-btn');
+        this.elements.regionLayer = card.querySelector('.region-layer');
+        this.elements.regionBox = card.querySelector('.region-box');
+        this.elements.regionHandle = card.querySelector('.region-handle');
+        this.elements.regionReset = card.querySelector('.region-reset');
+        this.elements.touchUpBtn = card.querySelector('.touchup-btn');
+        this.elements.touchUpLayer = card.querySelector('.touchup-layer');
+        this.elements.touchUpToolbar = card.querySelector('.touchup-toolbar');
+        this.elements.touchUpStatus = card.querySelector('.touchup-status');
+        this.elements.strokeList = card.querySelector('.touchup-strokes');
+        this.elements.brushCursor = card.querySelector('.brush-cursor');
+        this.elements.brushSource = card.querySelector('.brush-source');
+        this.elements.brushSizeInput = card.querySelector('.brush-size');
+        this.elements.brushSizeValue = card.querySelector('.brush-size-value');
+        this.elements.brushHardnessInput = card.querySelector('.brush-hardness');
+        this.elements.brushHardnessValue = card.querySelector('.brush-hardness-value');
+        this.elements.brushClearBtn = card.querySelector('.touchup-clear');
+        this.elements.historySelect = card.querySelector('.history-select');
+        this.elements.debugBtn = card.querySelector('.debug-btn');
+        this.elements.debugLayer = card.querySelector('.debug-layer');
+        this.elements.debugExport = card.querySelector('.debug-export');
+        this.elements.selectLabel = card.querySelector('.card-select');
+        this.elements.selectCheck = card.querySelector('.select-check');
+
+        this.renderProfileOptions();
 
         // Bind Events
+        this.elements.profileSelect.addEventListener('change', (e) => {
+            this.config.profile = e.target.value;
+            this.renderSizeOptions(); // 強制的尺寸不在新的 Profile 中時改回自動
+            this.recordHistory('profile');
+            this.processAndRender();
+        });
+
         this.elements.sizeSelect.addEventListener('change', (e) => {
             this.config.forceMode = e.target.value;
+            this.recordHistory('size');
             this.processAndRender();
         });
 
         this.elements.positionSelect.addEventListener('change', (e) => {
             this.config.forcePosition = e.target.value;
+            this.recordHistory('position');
             this.processAndRender();
         });
 
@@ -391,6 +720,8 @@ class ImageProcessor {
                 this.config.alphaGain = val;
                 this.elements.alphaValue.textContent = val.toFixed(2);
             }
+            this.renderOverlaySwatch();
+            this.recordHistory('strength');
             this.processAndRender();
         });
 
@@ -400,15 +731,59 @@ class ImageProcessor {
             this.elements.alphaValue.textContent = val.toFixed(2);
             this.processAndRender();
         });
+        // 滑桿放開時才記錄一筆歷史，拖曳過程不逐步記錄
+        this.elements.alphaInput.addEventListener('change', () => this.recordHistory('strength'));
+
+        this.elements.inpaintCheck.addEventListener('change', (e) => {
+            this.config.inpaint = e.target.checked;
+            this.elements.inpaintInput.disabled = !e.target.checked;
+            this.recordHistory('inpaint');
+            this.processAndRender();
+        });
+
+        this.elements.inpaintInput.addEventListener('input', (e) => {
+            const val = parseFloat(e.target.value);
+            this.config.inpaintStrength = val;
+            this.elements.inpaintValue.textContent = val.toFixed(2);
+            this.processAndRender();
+        });
+        this.elements.inpaintInput.addEventListener('change', () => this.recordHistory('inpaint'));
+
+        this.elements.historySelect.addEventListener('change', (e) => {
+            this.goToHistory(parseInt(e.target.value, 10));
+        });
+
+        // 記錄最後操作的卡片，作為復原 / 重做快捷鍵的對象
+        const activate = () => {
+            if (STATE.activeProcessor === this) return;
+            if (STATE.activeProcessor) STATE.activeProcessor.elements.card.classList.remove('active-card');
+            STATE.activeProcessor = this;
+            card.classList.add('active-card');
+            FilenameTemplate.render(); // 檔名預覽改用這張卡片
+        };
+        card.addEventListener('pointerdown', activate);
+        card.addEventListener('focusin', activate);
+
+        // 勾選卡片；按住 Shift 時選取與上一次勾選之間的所有卡片
+        this.elements.selectCheck.addEventListener('click', (e) => {
+            Selection.toggle(this, e.target.checked, e.shiftKey);
+        });
 
         this.elements.downloadBtn.addEventListener('click', () => this.download());
         this.elements.removeBtn.addEventListener('click', () => this.destroy());
+        this.bindRegionEditor();
+        this.bindTouchUp();
+
+        this.onDebugResize = () => this.layoutEditLayer(this.elements.debugLayer);
+        this.elements.debugBtn.addEventListener('click', () => this.setDebugView(!this.state.debugView));
+        this.elements.debugExport.addEventListener('click', () => DebugView.export(this));
 
         // Comparison interactions
         const startCompare = (e) => {
             if (e && e.cancelable) e.preventDefault();
-            if (!this.state.originalImage) return;
-            this.elements.ctx.drawImage(this.state.originalImage, 0, 0);
+            if (!this.state.sourcePreview) return;
+            this.drawCanvas(this.state.sourcePreview);
+            card.classList.add('comparing');
 
             // Add label
             const label = document.createElement('div');
@@ -418,8 +793,9 @@ class ImageProcessor {
         };
 
         const endCompare = () => {
-            if (!this.state.processedImageData) return;
-            this.elements.ctx.putImageData(this.state.processedImageData, 0, 0);
+            if (!this.state.preview) return;
+            card.classList.remove('comparing');
+            this.drawCanvas(this.state.preview);
 
             const label = this.elements.wrapper.querySelector('.status-label');
             if (label) label.remove();
@@ -443,6 +819,8 @@ class ImageProcessor {
         const startPress = (e) => {
             // Only left click or touch
             if (e.type === 'mousedown' && e.button !== 0) return;
+            if (this.state.editingRegion || this.state.touchingUp) return; // 編輯模式時由各自的圖層處理指標事件
+            if (e.target.closest('button, .card-select')) return; // 圖片上的按鈕（例如匯出除錯檢視）與勾選框
 
             isLongPress = false;
             pressTimer = setTimeout(() => {
@@ -453,6 +831,8 @@ class ImageProcessor {
 
         const endPress = (e) => {
             clearTimeout(pressTimer);
+            if (this.state.editingRegion || this.state.touchingUp) return;
+            if (e.target.closest('button, .card-select')) return;
 
             if (isLongPress) {
                 // Was a long press -> End comparison
@@ -461,7 +841,7 @@ class ImageProcessor {
                 // Was a short click -> Open Lightbox
                 console.log(Localization.get('shortClick'));
                 if (typeof Lightbox !== 'undefined') {
-                    Lightbox.open(this.state.processedImageData, this.state.originalImage, this);
+                    Lightbox.open(this);
                 } else {
                     console.error('Lightbox is undefined');
                 }
@@ -507,488 +887,2962 @@ class ImageProcessor {
         const l = Localization;
         // Text Content
         this.elements.compareOverlay.textContent = l.get('compareTitle');
-        this.elements.card.querySelector('[data-i18n="sizeAuto"]').textContent = l.get('sizeAuto');
-        this.elements.card.querySelector('[data-i18n="sizeSmall"]').textContent = l.get('sizeSmall');
-        this.elements.card.querySelector('[data-i18n="sizeLarge"]').textContent = l.get('sizeLarge');
         this.elements.card.querySelector('[data-i18n="positionAuto"]').textContent = l.get('positionAuto');
         this.elements.card.querySelector('[data-i18n="positionNew"]').textContent = l.get('positionNew');
         this.elements.card.querySelector('[data-i18n="positionOld"]').textContent = l.get('positionOld');
+        this.elements.card.querySelector('[data-i18n="positionSearch"]').textContent = l.get('positionSearch');
         this.elements.card.querySelector('[data-i18n="strengthLabel"]').textContent = l.get('strengthLabel');
         this.elements.card.querySelector('[data-i18n="autoLabel"]').textContent = l.get('autoLabel');
+        this.elements.card.querySelector('[data-i18n="inpaintLabel"]').textContent = l.get('inpaintLabel');
         this.elements.card.querySelector('[data-i18n="downloadBtn"]').textContent = l.get('downloadBtn');
+        this.elements.regionReset.textContent = l.get('regionReset');
+        this.elements.touchUpToolbar.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = l.get(el.dataset.i18n);
+        });
 
         // Titles
         this.elements.compareBtn.title = l.get('compareTitle');
         this.elements.removeBtn.title = l.get('removeTitle');
+        this.elements.regionBtn.title = l.get('regionTitle');
+        this.elements.regionBox.setAttribute('aria-label', l.get('regionTitle'));
+        this.elements.touchUpBtn.title = l.get('touchUpTitle');
+        this.elements.debugBtn.title = l.get('debugView');
+        this.elements.debugExport.textContent = l.get('debugExport');
+        this.elements.inpaintLabel.title = l.get('inpaintTitle');
+        this.elements.selectLabel.title = l.get('selectCard');
+        this.elements.selectCheck.setAttribute('aria-label', l.get('selectCard'));
+
+        this.renderProfileOptions();
+        this.renderDetectionInfo();
+        this.renderConfidenceBadge();
+        this.renderOverlaySwatch();
+        this.renderTouchUpStatus();
+        this.renderHistory();
+        this.renderDebugLayer(); // 說明文字依語系重繪
     }
 
-    loadImage() {
-        if (!this.file) return;
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const img = new Image();
-            img.onload = () => {
-                this.state.originalImage = img;
-                this.processAndRender();
-            };
-            img.src = e.target.result;
-        };
-        reader.readAsDataURL(this.file);
+    /**
+     * 依目前的 Profile 登錄檔產生選單（名稱依語系顯示）；選取的 Profile 已不存在時改回自動
+     * 尺寸選單依選取的 Profile 一併重建
+     */
+    renderProfileOptions() {
+        const select = this.elements.profileSelect;
+        if (this.config.profile !== 'auto' && !STATE.profiles.some(p => p.id === this.config.profile)) {
+            this.config.profile = 'auto';
+        }
+
+        select.innerHTML = '';
+        select.add(new Option(Localization.get('profileAuto'), 'auto'));
+        STATE.profiles.forEach(profile => {
+            select.add(new Option(Localization.pick(profile.name), profile.id));
+        });
+        select.value = this.config.profile;
+        this.renderSizeOptions();
     }
 
-    processAndRender() {
-        if (!this.state.originalImage) return;
+    /**
+     * 依選取的 Profile 產生尺寸選單；強制的尺寸已不在選單中時改回自動
+     */
+    renderSizeOptions() {
+        const sizes = renderSizeOptions(this.elements.sizeSelect, this.config.profile);
+        if (this.config.forceMode !== 'scaled' && !sizes.includes(this.config.forceMode)) {
+            this.config.forceMode = 'auto';
+        }
+        this.elements.sizeSelect.value = this.config.forceMode;
+    }
 
-        // Show Loading
-        this.elements.loading.style.display = 'flex';
+    /**
+     * 在強度數值旁顯示自動估算的浮水印顏色，滑鼠停留時列出 RGB 各色版增益（手動強度時不顯示）
+     */
+    renderOverlaySwatch() {
+        const detection = this.state.detection;
+        const swatch = this.elements.overlaySwatch;
 
-        setTimeout(() => {
-            const img = this.state.originalImage;
-            const canvas = this.elements.canvas;
-
-            // Set canvas size
-            canvas.width = img.width;
-            canvas.height = img.height;
-
-            // Draw original
-            this.elements.ctx.drawImage(img, 0, 0);
-
-            // Get Data
-            const imageData = this.elements.ctx.getImageData(0, 0, canvas.width, canvas.height);
-
-            // Send to Worker
-            STATE.worker.postMessage({
-                type: 'PROCESS_IMAGE',
-                payload: {
-                    imageData: imageData,
-                    config: this.config,
-                    id: this.id
-                }
-            }, [imageData.data.buffer]); // Transfer buffer
+        if (!this.config.autoStrength || !detection || !detection.overlayColor) {
+            swatch.style.display = 'none';
+            return;
+        }
 
-        }, 50);
+        const [r, g, b] = detection.overlayColor;
+        const gains = detection.channelGains;
+        const color = `rgb(${r}, ${g}, ${b})`;
+        swatch.style.backgroundColor = color;
+        swatch.title = Localization.format('overlayColorTitle', {
+            color,
+            r: gains[0].toFixed(2),
+            g: gains[1].toFixed(2),
+            b: gains[2].toFixed(2)
+        });
+        swatch.style.display = 'inline-block';
     }
 
-    handleWorkerResult(processedImageData, watermarkRegion, appliedGain) {
-        const canvas = this.elements.canvas;
-        this.state.watermarkRegion = watermarkRegion || null;
+    /**
+     * 顯示偵測信心徽章（找到 / 不確定 / 未找到），滑鼠停留時列出各候選區域的分數
+     */
+    renderConfidenceBadge() {
+        const detection = this.state.detection;
+        const badge = this.elements.detectionBadge;
 
-        // 如果是自動強度偵測，更新 UI 的 Label 和 Slider 值
-        if (this.config.autoStrength && appliedGain !== undefined) {
-            this.config.alphaGain = appliedGain;
-            this.elements.alphaValue.textContent = `Auto (${appliedGain.toFixed(2)})`;
-            this.elements.alphaInput.value = appliedGain;
+        if (!detection) {
+            badge.style.display = 'none';
+            return;
         }
 
-        // Put Back (after watermark removal)
-        this.elements.ctx.putImageData(processedImageData, 0, 0);
-
-        // 疊加自訂 Logo（如果有設定的話）
-        this.applyCustomLogo();
-
-        // 重新取得最終 ImageData（包含 Logo）
-        const finalImageData = this.elements.ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const labelKeys = {
+            found: 'confidenceFound',
+            uncertain: 'confidenceUncertain',
+            none: 'confidenceNone',
+            manual: 'confidenceManual'
+        };
+        badge.dataset.level = detection.confidence;
+        badge.textContent = Localization.get(labelKeys[detection.confidence]);
+
+        const scores = detection.candidates.map(c => {
+            const margin = c.marginX !== undefined ? `${c.marginX}/${c.marginY}` : c.margin;
+            const profile = STATE.profiles.find(p => p.id === c.profile);
+            const label = profile ? `${Localization.pick(profile.name)} ` : '';
+            return `${label}${c.width}px @ ${margin}px: ${c.score.toFixed(2)}`;
+        });
+        badge.title = scores.length > 0
+            ? `${Localization.get('candidateScores')}\n${scores.join('\n')}`
+            : '';
+        badge.style.display = 'block';
+    }
 
-        // Update State
-        this.state.processedImageData = finalImageData;
-        this.elements.loading.style.display = 'none';
-        this.elements.downloadBtn.disabled = false;
+    /**
+     * 是否確實去除了浮水印（未找到或未修改的圖片在批次下載時可略過）
+     */
+    isCleaned() {
+        const detection = this.state.detection;
+        return !!detection && detection.modified && detection.confidence !== 'none';
     }
 
     /**
-     * 疊加自訂 Logo 到圖片右下角
-     * Logo 會自動縮放以配合浮水印大小，並套用透明度
+     * 顯示滑動視窗或縮放搜尋找到的位置與信心度（固定尺寸與邊距時不顯示）
      */
-    applyCustomLogo() {
-        if (!STATE.customLogo.image) return;
+    renderDetectionInfo() {
+        const region = this.state.watermarkRegion;
+        const detection = this.state.detection;
+        const info = this.elements.detectionInfo;
+
+        if (region && detection && detection.mode === 'manual') {
+            info.textContent = Localization.format('manualResult', {
+                size: region.width,
+                x: region.x,
+                y: region.y,
+                score: region.score.toFixed(2)
+            });
+            info.style.display = 'block';
+            return;
+        }
 
-        const canvas = this.elements.canvas;
-        const ctx = this.elements.ctx;
-        const logo = STATE.customLogo.image;
-        const opacity = STATE.customLogo.opacity;
+        if (region && detection && detection.mode === 'scaled') {
+            info.textContent = Localization.format('scaledResult', {
+                size: region.width,
+                scale: Math.round(detection.scale * 100),
+                x: region.x,
+                y: region.y,
+                score: region.score.toFixed(2)
+            });
+            info.style.display = 'block';
+            return;
+        }
 
-        // 根據圖片尺寸決定 Logo 目標大小（與浮水印尺寸邏輯一致）
-        const w = canvas.width;
-        const h = canvas.height;
-        let mode = this.config.forceMode;
-        if (mode === 'auto') {
-            mode = (w > 1024 && h > 1024) ? 'large' : 'small';
+        if (this.config.forcePosition !== 'search' || !region) {
+            info.style.display = 'none';
+            return;
         }
 
-        // 設定 Logo 目標尺寸，優先沿用 worker 偵測到的浮水印區域
-        const region = this.state.watermarkRegion;
-        const targetSize = region ? Math.min(region.width, region.height) : (mode === 'large' ? 96 : 48);
-        const fallbackMargin = mode === 'large' ? 192 : 96;
+        info.textContent = Localization.format('searchResult', {
+            x: region.x,
+            y: region.y,
+            mx: region.marginX,
+            my: region.marginY,
+            score: region.score.toFixed(2)
+        });
+        info.style.display = 'block';
+    }
 
-        // 計算縮放比例（保持寬高比）
-        const scale = Math.min(targetSize / logo.width, targetSize / logo.height) * STATE.customLogo.scale;
-        const scaledWidth = logo.width * scale;
-        const scaledHeight = logo.height * scale;
+    /**
+     * 解碼原圖並開始處理
+     * 支援時在 Worker 中解碼（同時讀取中繼資料）並由該 Worker 保存原圖，主執行緒只收到尺寸與預覽
+     */
+    async loadImage() {
+        if (!this.file) return;
 
-        // 計算位置（與實際浮水印區域置中對齊）
-        const posX = region ? region.x + (region.width - scaledWidth) / 2 : w - fallbackMargin - scaledWidth;
-        const posY = region ? region.y + (region.height - scaledHeight) / 2 : h - fallbackMargin - scaledHeight;
+        let info;
+        try {
+            if (supportsWorkerCodecs()) {
+                STATE.pool.attach(this.id, () => ({
+                    message: { type: 'LOAD_CARD', payload: { cardId: this.id, file: this.file } }
+                }));
+                info = await this.runCardJob('CARD_INFO', { key: `${this.id}/decode`, priority: WorkerPool.PRIORITY.BATCH });
+                this.state.originalUrl = URL.createObjectURL(this.file);
+            } else {
+                const decoded = await decodeOnMainThread(this.file);
+                this.composite = ImageComposite.fromImage(decoded.bitmap);
+                if (decoded.bitmap.close) decoded.bitmap.close();
+                info = {
+                    width: this.composite.width,
+                    height: this.composite.height,
+                    metadata: decoded.metadata,
+                    raw: decoded.raw,
+                    sourcePreview: ImageComposite.toPreview(this.composite.source, ImageComposite.previewSize(this.composite.width, this.composite.height))
+                };
+                this.state.originalUrl = decoded.url;
+            }
+        } catch (err) {
+            if (err.name === 'AbortError') return; // 卡片已移除
+            console.error('Failed to decode image:', err);
+            this.elements.loading.style.display = 'none';
+            alert(Localization.get('processingError') + err.message);
+            return;
+        }
 
-        if (posX < 0 || posY < 0) return;
+        this.metadata = info.metadata;
+        this.state.rawColor = info.raw;
+        this.state.imageSize = { width: info.width, height: info.height };
+        this.state.sourcePreview = info.sourcePreview;
+        this.elements.canvas.width = info.sourcePreview.width;
+        this.elements.canvas.height = info.sourcePreview.height;
+        this.processAndRender(WorkerPool.PRIORITY.BATCH);
+    }
 
-        // 設定透明度並繪製 Logo
-        ctx.save();
-        ctx.globalAlpha = opacity;
-        ctx.drawImage(logo, posX, posY, scaledWidth, scaledHeight);
-        ctx.restore();
+    /**
+     * 送出這張卡片的操作（worker.js 的 cardHandlers），固定由保存原圖的 Worker 執行
+     * 訊息在分派時才產生，附上當時的設定與圖層；Worker 依此決定是否需要重新處理或重新合成
+     * @param {string} type - 'CARD_INFO' | 'PROCESS_CARD' | 'RENDER_CARD' | 'ENCODE_CARD' | 'DEBUG_CARD'
+     * @param {Object} [options]
+     * @param {string} [options.key] - 取消用的 key，預設為卡片 id
+     * @param {number} [options.priority]
+     * @param {Object} [options.payload] - 操作本身的參數
+     * @returns {Promise<Object>}
+     */
+    runCardJob(type, { key = this.id, priority = WorkerPool.PRIORITY.INTERACTIVE, payload = {} } = {}) {
+        return STATE.pool.run({
+            key,
+            priority,
+            affinity: this.id,
+            prepare: () => ({
+                message: {
+                    type,
+                    payload: {
+                        ...payload,
+                        cardId: this.id,
+                        config: { ...this.config },
+                        configKey: this.configKey(),
+                        layers: this.layers(),
+                        withLayer: this.state.touchingUp // 同時回傳不含 Logo 的 layerPreview
+                    }
+                }
+            })
+        });
     }
 
-    download() {
-        if (!this.state.processedImageData) return;
+    /**
+     * 疊加在處理結果上的圖層：修飾筆觸與 Logo（Worker 中由原始檔案解碼 Logo）
+     */
+    layers() {
+        const { image, file, opacity, scale } = this.logo;
+        return {
+            strokes: this.touchUp.strokes,
+            logo: image ? { file, opacity, scale } : null,
+            version: this.layersVersion
+        };
+    }
 
-        const format = STATE.downloadFormat;
-        const mimeType = format === 'jpeg' ? 'image/jpeg' : 'image/png';
-        const ext = format === 'jpeg' ? '.jpg' : '.png';
-        const quality = format === 'jpeg' ? 0.85 : undefined; // JPEG 壓縮品質
+    /**
+     * 處理這張卡片並顯示結果
+     * Worker 只處理右下角可能有浮水印的區塊（WatermarkCore.getProcessingWindow），大圖調整設定時也不需要複製整張影像；
+     * 設定變更時會先取消這張卡片仍在排隊或處理中的舊工作
+     * @param {number} [priority] - 預設為互動優先（使用者正在調整的卡片插隊）
+     */
+    processAndRender(priority = WorkerPool.PRIORITY.INTERACTIVE) {
+        if (!this.state.imageSize) return;
 
-        this.elements.canvas.toBlob((blob) => {
-            if (!blob) return;
-            const url = URL.createObjectURL(blob);
-            const link = document.createElement('a');
-            // Construct filename
-            const nameParts = this.file.name.split('.');
-            nameParts.pop(); // remove extension
-            const suffix = Localization.get('cleanSuffix') || '_clean';
-            link.download = `${nameParts.join('.')}${suffix}${ext}`;
+        // Show Loading
+        this.elements.loading.style.display = 'flex';
+        this.state.isProcessing = true;
+
+        STATE.pool.cancel(this.id);
+        STATE.pool.cancel(`${this.id}/render`); // 處理完成時會一併合成目前的圖層
+
+        const job = this.composite ? this.processLocally(priority) : this.runCardJob('PROCESS_CARD', { priority });
+        job.then((payload) => {
+            this.state.isProcessing = false;
+            this.handleWorkerResult(payload.watermarkRegion, payload.appliedGain, payload.detection, payload.preview, payload.layerPreview);
+        }).catch((err) => {
+            if (err.name === 'AbortError') return; // 已被較新的設定或移除取代
+            this.state.isProcessing = false;
+            console.error('Worker error:', err);
+            this.elements.loading.style.display = 'none';
+            alert(Localization.get('processingError') + err.message);
+        });
+    }
 
-            link.href = url;
-            link.click();
-            setTimeout(() => URL.revokeObjectURL(url), 1000);
-        }, mimeType, quality);
+    /**
+     * 主執行緒保存原圖時（不支援 OffscreenCanvas）：只把處理視窗送入 Worker，結果貼回 this.composite 後在本地合成
+     * @returns {Promise<Object>} 與 PROCESS_CARD 相同的結果
+     */
+    processLocally(priority) {
+        const composite = this.composite;
+        const config = { ...this.config };
+
+        return STATE.pool.run({
+            key: this.id,
+            priority,
+            // 輪到這個工作時才複製像素，避免大量圖片排隊時同時佔用記憶體
+            prepare: () => {
+                const frame = WatermarkCore.getProcessingWindow(composite.width, composite.height, STATE.profiles, config);
+                const imageData = composite.readWindow(frame);
+                return {
+                    message: {
+                        type: 'PROCESS_IMAGE',
+                        payload: { imageData, config, frame }
+                    },
+                    transfer: [imageData.data.buffer] // Transfer buffer
+                };
+            }
+        }).then((payload) => {
+            composite.applyWindow(payload.imageData, payload.frame);
+            return { ...payload, ...this.renderLocally(payload.watermarkRegion) };
+        });
     }
 
-    destroy() {
-        // Remove from UI
-        this.elements.card.remove();
+    handleWorkerResult(watermarkRegion, appliedGain, detection, preview, layerPreview) {
+        this.state.watermarkRegion = watermarkRegion || null;
+        this.state.detection = detection || null; // 候選區域分數、尺寸模式等偵測資訊
 
-        // Remove from Global List
-        STATE.processors = STATE.processors.filter(p => p !== this);
+        // 如果是自動強度偵測，更新 UI 的 Label 和 Slider 值
+        if (this.config.autoStrength && appliedGain !== undefined) {
+            this.config.alphaGain = appliedGain;
+            this.elements.alphaValue.textContent = `Auto (${appliedGain.toFixed(2)})`;
+            this.elements.alphaInput.value = appliedGain;
+        }
 
-        // Update UI State
-        updateUIState();
-    }
-}
+        this.showPreview(preview, layerPreview);
 
-// =============================================================================
-// Global Event Handlers
-// =============================================================================
+        this.renderDetectionInfo();
+        this.renderConfidenceBadge();
+        this.renderOverlaySwatch();
+        if (this.state.editingRegion) this.layoutEditLayer(this.elements.regionLayer);
+        if (this.state.touchingUp) this.layoutEditLayer(this.elements.touchUpLayer);
+        this.elements.loading.style.display = 'none';
+        this.elements.downloadBtn.disabled = false;
+        FilenameTemplate.render(); // 預覽可能用到這張卡片的偵測結果
+        if (this === (STATE.activeProcessor || STATE.processors[0])) OutputQuality.schedule();
+    }
 
-function handleFiles(fileList) {
-    if (!fileList || fileList.length === 0) return;
+    /**
+     * 重新疊加修飾筆觸與自訂 Logo（不重新處理）：原圖 → 處理過的視窗 → 修飾筆觸 → 自訂 Logo
+     * 影像保存在 Worker 時只送出圖層，Worker 合成後回傳新的預覽
+     */
+    renderComposite() {
+        this.layersVersion++;
+        if (!this.state.ready) return; // 處理中的工作會合成目前的圖層
 
-    Array.from(fileList).forEach(file => {
-        if (file.type.startsWith('image/')) {
-            const processor = new ImageProcessor(file);
-            STATE.processors.push(processor);
+        if (this.composite) {
+            const { preview, layerPreview } = this.renderLocally();
+            this.showPreview(preview, layerPreview);
+            return;
         }
-    });
-
-    // Reset file input so same file can be selected again if needed
-    fileInput.value = '';
 
-    updateUIState();
-}
+        STATE.pool.cancel(`${this.id}/render`);
+        this.runCardJob('RENDER_CARD', { key: `${this.id}/render` })
+            .then(payload => this.showPreview(payload.preview, payload.layerPreview))
+            .catch((err) => {
+                if (err.name === 'AbortError') return;
+                console.error('Failed to render:', err);
+            });
+    }
 
-function updateUIState() {
-    if (STATE.processors.length > 0) {
-        document.body.classList.add('has-files');
+    /**
+     * 在主執行緒保存的 ImageComposite 上合成圖層，回傳預覽（與 Worker 的 RENDER_CARD 相同）
+     * @param {Object} [region] - 偵測到的浮水印區域（Logo 對齊用），預設為目前的結果
+     * @returns {{ preview: HTMLCanvasElement, layerPreview: HTMLCanvasElement|null }}
+     */
+    renderLocally(region = this.state.watermarkRegion) {
+        const composite = this.composite;
+        composite.render({
+            strokes: this.touchUp.strokes,
+            logo: this.logo.image ? this.logo : null,
+            region: this.config.manualRegion || region ||
+                WatermarkCore.expectedRegion(composite.width, composite.height, STATE.profiles, this.config)
+        });
+        const size = ImageComposite.previewSize(composite.width, composite.height);
+        const preview = ImageComposite.toPreview(composite.composite, size);
+        let layerPreview = null;
+        if (this.state.touchingUp) {
+            layerPreview = composite.layered === composite.composite ? preview : ImageComposite.toPreview(composite.layered, size);
+        }
+        return { preview, layerPreview };
+    }
+
+    /**
+     * 顯示新的合成預覽，並通知依賴結果的功能（除錯檢視、輸出資料夾）
+     * @param {ImageBitmap|HTMLCanvasElement} preview
+     * @param {ImageBitmap|HTMLCanvasElement} [layerPreview] - 修飾筆刷模式時不含 Logo 的預覽（沒有 Logo 時與 preview 相同）
+     */
+    showPreview(preview, layerPreview = null) {
+        [this.state.preview, this.state.layerPreview].forEach((previous) => {
+            if (previous && previous !== preview && previous !== layerPreview && previous.close) previous.close();
+        });
+        this.state.preview = preview;
+        this.state.layerPreview = layerPreview;
+        this.state.ready = true;
+
+        const comparing = this.elements.card.classList.contains('comparing');
+        this.drawCanvas(comparing ? this.state.sourcePreview : preview);
+        this.renderDebugLayer();
+        OutputFolder.schedule(this);
+    }
+
+    /**
+     * 以預覽取代卡片 canvas 的內容（預覽可能有透明像素，先清除）
+     */
+    drawCanvas(image) {
+        const canvas = this.elements.canvas;
+        if (canvas.width !== image.width || canvas.height !== image.height) {
+            canvas.width = image.width;
+            canvas.height = image.height;
+        }
+        this.elements.ctx.clearRect(0, 0, canvas.width, canvas.height);
+        this.elements.ctx.drawImage(image, 0, 0);
+    }
+
+    /**
+     * 開啟 / 關閉除錯檢視（差異熱度圖疊在處理結果上方，不影響下載的內容）
+     */
+    setDebugView(active) {
+        if (active && !this.state.ready) return;
+        if (active && this.state.touchingUp) this.setTouchUp(false);
+
+        this.state.debugView = active;
+        this.elements.debugBtn.classList.toggle('active', active);
+        this.elements.debugLayer.style.display = active ? 'block' : 'none';
+        this.elements.debugExport.style.display = active ? 'block' : 'none';
+
+        if (active) {
+            this.renderDebugLayer();
+            window.addEventListener('resize', this.onDebugResize);
+        } else {
+            window.removeEventListener('resize', this.onDebugResize);
+        }
+    }
+
+    /**
+     * 以目前的結果重繪除錯檢視（只在開啟時運算，解析度與卡片上的預覽相同）
+     */
+    async renderDebugLayer() {
+        if (!this.state.debugView || !this.state.preview) return;
+        const token = this.debugToken = {};
+        const { width, height } = this.state.preview;
+        let view;
+        try {
+            view = await DebugView.render(this, { width, height });
+        } catch (err) {
+            if (err.name !== 'AbortError') console.error('Failed to render debug view:', err);
+            return;
+        }
+        if (!view || token !== this.debugToken || !this.state.debugView) return;
+
+        const layer = this.elements.debugLayer;
+        layer.width = view.width;
+        layer.height = view.height;
+        layer.getContext('2d').drawImage(view, 0, 0);
+        this.layoutEditLayer(layer);
+    }
+
+    /**
+     * 差異熱度圖（原圖與最終結果的差異，WatermarkCore.renderDifferenceMap），縮放為指定尺寸
+     * @param {{ width: number, height: number }} size
+     * @returns {Promise<{ bitmap: CanvasImageSource, maxDiff: number, changed: number }>}
+     */
+    async differenceMap(size) {
+        if (this.composite) {
+            const map = this.composite.differenceMap();
+            return { bitmap: ImageComposite.toPreview(map.imageData, size), maxDiff: map.maxDiff, changed: map.changed };
+        }
+        return this.runCardJob('DEBUG_CARD', { key: `${this.id}/debug`, payload: { size } });
+    }
+
+    /**
+     * 綁定手動區域編輯器：拖曳方框移動、拖曳右下角把手縮放（維持遮罩的正方形比例）、
+     * 點擊方框外直接移到該處；方框取得焦點時可用方向鍵微調 1px（Shift 10px）、+/- 縮放
+     */
+    bindRegionEditor() {
+        const { regionBtn, regionLayer, regionBox, regionHandle, regionReset } = this.elements;
+        this.onRegionResize = () => this.layoutEditLayer(regionLayer);
+
+        regionBtn.addEventListener('click', () => this.setRegionEditing(!this.state.editingRegion));
+
+        regionReset.addEventListener('pointerdown', (e) => e.stopPropagation());
+        regionReset.addEventListener('click', () => {
+            clearTimeout(this.regionCommitTimer);
+            this.regionCommitTimer = null;
+            this.config.manualRegion = null;
+            this.setRegionEditing(false);
+            this.recordHistory('region');
+            this.processAndRender();
+        });
+
+        let drag = null;
+        regionLayer.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0) return;
+            e.preventDefault();
+            const point = this.toImagePoint(e);
+            let mode = 'move';
+            if (e.target === regionHandle) {
+                mode = 'resize';
+            } else if (e.target !== regionBox) {
+                const draft = this.state.regionDraft;
+                this.setRegionDraft({ ...draft, x: point.x - draft.width / 2, y: point.y - draft.height / 2 });
+            }
+            drag = { mode, start: point, origin: { ...this.state.regionDraft } };
+            regionLayer.setPointerCapture(e.pointerId);
+            regionBox.focus();
+        });
+
+        regionLayer.addEventListener('pointermove', (e) => {
+            if (!drag) return;
+            const point = this.toImagePoint(e);
+            const dx = point.x - drag.start.x;
+            const dy = point.y - drag.start.y;
+            if (drag.mode === 'move') {
+                this.setRegionDraft({ ...drag.origin, x: drag.origin.x + dx, y: drag.origin.y + dy });
+            } else {
+                const size = drag.origin.width + Math.max(dx, dy);
+                this.setRegionDraft({ ...drag.origin, width: size, height: size });
+            }
+        });
+
+        const endDrag = () => {
+            if (!drag) return;
+            drag = null;
+            this.commitRegion(0);
+        };
+        regionLayer.addEventListener('pointerup', endDrag);
+        regionLayer.addEventListener('pointercancel', endDrag);
+
+        regionBox.addEventListener('keydown', (e) => {
+            const step = e.shiftKey ? 10 : 1;
+            const draft = { ...this.state.regionDraft };
+            switch (e.key) {
+                case 'ArrowLeft': draft.x -= step; break;
+                case 'ArrowRight': draft.x += step; break;
+                case 'ArrowUp': draft.y -= step; break;
+                case 'ArrowDown': draft.y += step; break;
+                case '+':
+                case '=':
+                    draft.width += step;
+                    draft.height += step;
+                    break;
+                case '-':
+                case '_':
+                    draft.width -= step;
+                    draft.height -= step;
+                    break;
+                case 'Enter':
+                case 'Escape':
+                    e.preventDefault();
+                    this.setRegionEditing(false);
+                    return;
+                default:
+                    return;
+            }
+            e.preventDefault();
+            this.setRegionDraft(draft);
+            // 連續按鍵時等停下來再重新處理
+            this.commitRegion(250);
+        });
+    }
+
+    /**
+     * 開啟 / 關閉手動區域編輯；開啟時以目前的手動區域、偵測結果或 Profile 的預設位置作為起點
+     */
+    setRegionEditing(editing) {
+        if (editing && !this.state.ready) return;
+        if (editing && this.state.touchingUp) this.setTouchUp(false);
+
+        if (!editing && this.regionCommitTimer !== null) {
+            this.commitRegion(0); // 送出尚未套用的鍵盤微調
+        }
+
+        this.state.editingRegion = editing;
+        this.elements.card.classList.toggle('editing-region', editing);
+        this.elements.regionBtn.classList.toggle('active', editing);
+        this.elements.regionLayer.style.display = editing ? 'block' : 'none';
+
+        if (editing) {
+            this.setRegionDraft(this.config.manualRegion || this.state.watermarkRegion || this.defaultRegion());
+            this.layoutEditLayer(this.elements.regionLayer);
+            this.elements.regionBox.focus();
+            window.addEventListener('resize', this.onRegionResize);
+        } else {
+            window.removeEventListener('resize', this.onRegionResize);
+        }
+    }
+
+    /**
+     * 沒有偵測結果時，以目前 Profile 依圖片尺寸預期的位置作為方框起點
+     */
+    defaultRegion() {
+        const { width, height } = this.state.imageSize;
+        const region = WatermarkCore.expectedRegion(width, height, STATE.profiles, this.config);
+        if (!region) return { x: width - 96, y: height - 96, width: 48, height: 48 };
+        return { x: region.x, y: region.y, width: region.width, height: region.height };
+    }
+
+    /**
+     * 更新調整中的區域（限制在圖片範圍內並取整數像素），並重新定位方框
+     */
+    setRegionDraft(region) {
+        const { width, height } = this.state.imageSize;
+        const minSize = WatermarkCore.CONSTANTS.MANUAL_MIN_SIZE;
+        const size = Math.round(Math.max(minSize, Math.min(width, height, region.width)));
+        const draft = {
+            x: Math.round(Math.max(0, Math.min(width - size, region.x))),
+            y: Math.round(Math.max(0, Math.min(height - size, region.y))),
+            width: size,
+            height: size
+        };
+        this.state.regionDraft = draft;
+
+        const box = this.elements.regionBox;
+        box.style.left = `${(draft.x / width) * 100}%`;
+        box.style.top = `${(draft.y / height) * 100}%`;
+        box.style.width = `${(draft.width / width) * 100}%`;
+        box.style.height = `${(draft.height / height) * 100}%`;
+        box.title = `${draft.width}px @ (${draft.x}, ${draft.y})`;
+    }
+
+    /**
+     * 讓編輯圖層（區域編輯、修飾筆刷、除錯檢視）與畫面上的 canvas 完全重疊（canvas 會依卡片寬度縮放）
+     */
+    layoutEditLayer(layer) {
+        const canvas = this.elements.canvas;
+        layer.style.left = `${canvas.offsetLeft}px`;
+        layer.style.top = `${canvas.offsetTop}px`;
+        layer.style.width = `${canvas.clientWidth}px`;
+        layer.style.height = `${canvas.clientHeight}px`;
+    }
+
+    /**
+     * 將指標位置換算為原圖像素座標
+     */
+    toImagePoint(e) {
+        const { width, height } = this.state.imageSize;
+        const rect = this.elements.canvas.getBoundingClientRect();
+        return {
+            x: ((e.clientX - rect.left) * width) / rect.width,
+            y: ((e.clientY - rect.top) * height) / rect.height
+        };
+    }
+
+    /**
+     * 將調整中的區域寫入 config 並重新處理（區域未變更時不重新處理）
+     * @param {number} delay - 延遲毫秒數，用於合併連續的鍵盤微調
+     */
+    commitRegion(delay) {
+        clearTimeout(this.regionCommitTimer);
+        const apply = () => {
+            this.regionCommitTimer = null;
+            const draft = this.state.regionDraft;
+            const current = this.config.manualRegion;
+            if (
+                current && draft &&
+                current.x === draft.x && current.y === draft.y &&
+                current.width === draft.width && current.height === draft.height
+            ) {
+                return;
+            }
+            this.config.manualRegion = { ...draft };
+            this.recordHistory('region');
+            this.processAndRender();
+        };
+        if (delay > 0) {
+            this.regionCommitTimer = setTimeout(apply, delay);
+        } else {
+            apply();
+        }
+    }
+
+    /**
+     * 綁定修飾筆刷：在圖片上拖曳繪製，Alt + 點擊（或按「設定來源」後點擊）設定仿製 / 修復的取樣點
+     * 繪製中只即時更新畫面，放開後將筆畫加入 this.touchUp.strokes 並重新合成
+     */
+    bindTouchUp() {
+        const { touchUpBtn, touchUpLayer, touchUpToolbar, brushSizeInput, brushHardnessInput, brushClearBtn } = this.elements;
+        this.onTouchUpResize = () => this.layoutEditLayer(touchUpLayer);
+
+        touchUpBtn.addEventListener('click', () => this.setTouchUp(!this.state.touchingUp));
+
+        touchUpToolbar.querySelectorAll('.touchup-tool').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.touchUp.tool = btn.dataset.tool;
+                touchUpToolbar.querySelectorAll('.touchup-tool').forEach(b => b.classList.toggle('active', b === btn));
+                this.renderBrushSource();
+                this.renderTouchUpStatus();
+            });
+        });
+
+        touchUpToolbar.querySelector('.touchup-source').addEventListener('click', (e) => {
+            this.touchUp.pickingSource = !this.touchUp.pickingSource;
+            e.currentTarget.classList.toggle('active', this.touchUp.pickingSource);
+            this.renderTouchUpStatus();
+        });
+
+        brushClearBtn.addEventListener('click', () => {
+            this.touchUp.strokes = [];
+            this.renderComposite();
+            this.renderTouchUpStatus();
+            this.recordHistory('clearStrokes');
+        });
+
+        // 移除單一筆觸（之後的筆觸會在移除後的結果上重新套用）
+        this.elements.strokeList.addEventListener('click', (e) => {
+            const button = e.target.closest('.stroke-remove');
+            if (!button) return;
+            const index = parseInt(button.dataset.index, 10);
+            this.touchUp.strokes = this.touchUp.strokes.filter((_, i) => i !== index);
+            this.renderComposite();
+            this.renderTouchUpStatus();
+            this.recordHistory('removeStroke');
+        });
+
+        brushSizeInput.addEventListener('input', (e) => {
+            this.touchUp.size = parseInt(e.target.value, 10);
+            this.elements.brushSizeValue.textContent = `${this.touchUp.size}px`;
+        });
+
+        brushHardnessInput.addEventListener('input', (e) => {
+            this.touchUp.hardness = parseInt(e.target.value, 10) / 100;
+            this.elements.brushHardnessValue.textContent = `${e.target.value}%`;
+        });
+
+        let painting = null;
+
+        // 繪製中在卡片的預覽上即時顯示（筆觸依預覽比例縮小），只套用新增的筆觸點並只更新受影響的範圍
+        // 取樣與繪製都在不含 Logo 的圖層上進行（最終結果的 Logo 疊在筆觸之上）
+        const paint = () => {
+            const { preview, live, source } = painting;
+            const dabs = WatermarkCore.getStrokeDabs(preview);
+            const dirty = WatermarkCore.paintStrokeDabs(live, source, preview, dabs.slice(painting.applied));
+            painting.applied = dabs.length;
+            if (dirty) this.elements.ctx.putImageData(live, 0, 0, dirty.x, dirty.y, dirty.width, dirty.height);
+        };
+        const toPreview = point => ({ x: point.x * painting.scale, y: point.y * painting.scale });
+
+        touchUpLayer.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0 || !this.state.ready) return;
+            e.preventDefault();
+            const point = this.toImagePoint(e);
+            const settings = this.touchUp;
+
+            if (e.altKey || settings.pickingSource) {
+                settings.source = point;
+                settings.offset = null;
+                settings.pickingSource = false;
+                touchUpToolbar.querySelector('.touchup-source').classList.remove('active');
+                this.renderBrushSource();
+                this.renderTouchUpStatus();
+                return;
+            }
+
+            const stroke = {
+                tool: settings.tool,
+                size: settings.size,
+                hardness: settings.hardness,
+                points: [point]
+            };
+            if (stroke.tool !== 'blur') {
+                if (!settings.source) {
+                    this.renderTouchUpStatus('brushNeedSource');
+                    return;
+                }
+                if (!settings.offset) {
+                    settings.offset = { x: settings.source.x - point.x, y: settings.source.y - point.y };
+                }
+                stroke.offset = { ...settings.offset };
+            }
+
+            const layer = this.logo.image ? this.state.layerPreview : this.state.preview;
+            if (!layer) return; // 不含 Logo 的圖層尚未回傳
+            const { width, height } = layer;
+            const scale = width / this.state.imageSize.width;
+            const scratch = document.createElement('canvas');
+            scratch.width = width;
+            scratch.height = height;
+            const scratchCtx = scratch.getContext('2d', { willReadFrequently: true });
+            scratchCtx.drawImage(layer, 0, 0);
+            const live = scratchCtx.getImageData(0, 0, width, height);
+            const preview = {
+                ...stroke,
+                size: Math.max(1, stroke.size * scale),
+                offset: stroke.offset && { x: stroke.offset.x * scale, y: stroke.offset.y * scale },
+                points: []
+            };
+            painting = { stroke, preview, scale, live, source: new Uint8ClampedArray(live.data), applied: 0 };
+            preview.points.push(toPreview(point));
+            touchUpLayer.setPointerCapture(e.pointerId);
+            paint();
+            this.renderBrushCursor(point);
+        });
+
+        touchUpLayer.addEventListener('pointermove', (e) => {
+            const point = this.toImagePoint(e);
+            this.renderBrushCursor(point);
+            if (!painting) return;
+            painting.stroke.points.push(point);
+            painting.preview.points.push(toPreview(point));
+            paint();
+        });
+
+        const endStroke = () => {
+            if (!painting) return;
+            this.touchUp.strokes.push(painting.stroke);
+            painting = null;
+            this.renderComposite(); // 以正式的圖層順序重新合成（筆觸在 Logo 之下）
+            this.renderBrushSource();
+            this.renderTouchUpStatus();
+            this.recordHistory('stroke');
+        };
+        touchUpLayer.addEventListener('pointerup', endStroke);
+        touchUpLayer.addEventListener('pointercancel', endStroke);
+        touchUpLayer.addEventListener('pointerleave', () => {
+            if (!painting) this.elements.brushCursor.style.display = 'none';
+        });
+    }
+
+    /**
+     * 開啟 / 關閉修飾筆刷模式（與手動區域編輯互斥）
+     */
+    setTouchUp(active) {
+        if (active && !this.state.ready) return;
+        if (active && this.state.editingRegion) this.setRegionEditing(false);
+        if (active && this.state.debugView) this.setDebugView(false); // 筆刷需要看到實際的結果
+
+        this.state.touchingUp = active;
+        this.touchUp.pickingSource = false;
+        this.elements.touchUpToolbar.querySelector('.touchup-source').classList.remove('active');
+        this.elements.card.classList.toggle('touching-up', active);
+        this.elements.touchUpBtn.classList.toggle('active', active);
+        this.elements.touchUpLayer.style.display = active ? 'block' : 'none';
+        this.elements.touchUpToolbar.style.display = active ? 'flex' : 'none';
+        this.elements.brushCursor.style.display = 'none';
+
+        if (active) {
+            this.layoutEditLayer(this.elements.touchUpLayer);
+            this.renderBrushSource();
+            this.renderTouchUpStatus();
+            if (this.logo.image && !this.state.layerPreview) this.renderComposite(); // 取得不含 Logo 的圖層
+            window.addEventListener('resize', this.onTouchUpResize);
+        } else {
+            const layer = this.state.layerPreview;
+            if (layer && layer !== this.state.preview && layer.close) layer.close();
+            this.state.layerPreview = null;
+            window.removeEventListener('resize', this.onTouchUpResize);
+        }
+    }
+
+    /**
+     * 以圖層上的百分比位置放置元素（與 canvas 的縮放無關）
+     */
+    placeOnLayer(el, x, y, size) {
+        const { width, height } = this.state.imageSize;
+        el.style.left = `${((x - size / 2) / width) * 100}%`;
+        el.style.top = `${((y - size / 2) / height) * 100}%`;
+        el.style.width = `${(size / width) * 100}%`;
+        el.style.height = `${(size / height) * 100}%`;
+    }
+
+    /**
+     * 顯示跟隨指標的筆刷範圍；仿製 / 修復繪製中時，取樣點標記跟著筆觸移動
+     */
+    renderBrushCursor(point) {
+        const cursor = this.elements.brushCursor;
+        cursor.style.display = 'block';
+        this.placeOnLayer(cursor, point.x, point.y, this.touchUp.size);
+
+        const offset = this.touchUp.offset;
+        if (offset && this.touchUp.tool !== 'blur') {
+            this.elements.brushSource.style.display = 'block';
+            this.placeOnLayer(this.elements.brushSource, point.x + offset.x, point.y + offset.y, this.touchUp.size);
+        }
+    }
+
+    /**
+     * 顯示仿製 / 修復的取樣點（模糊筆刷不需要取樣點）
+     */
+    renderBrushSource() {
+        const { source, tool, size } = this.touchUp;
+        const marker = this.elements.brushSource;
+        if (!source || tool === 'blur') {
+            marker.style.display = 'none';
+            return;
+        }
+        marker.style.display = 'block';
+        this.placeOnLayer(marker, source.x, source.y, size);
+    }
+
+    /**
+     * 更新工具列的提示：選取來源中、尚未設定來源，或目前的筆畫數
+     * @param {string} [key] - 指定要顯示的提示
+     */
+    renderTouchUpStatus(key) {
+        const { tool, source, pickingSource, strokes } = this.touchUp;
+        const status = this.elements.touchUpStatus;
+        this.elements.brushClearBtn.disabled = strokes.length === 0;
+
+        if (!key && pickingSource) key = 'brushPickSource';
+        if (!key && tool !== 'blur' && !source) key = 'brushSourceHint';
+        status.dataset.warning = key === 'brushNeedSource' ? 'true' : 'false';
+        status.textContent = key
+            ? Localization.get(key)
+            : Localization.format('brushStrokes', { count: strokes.length });
+        this.renderStrokeList();
+    }
+
+    /**
+     * 列出目前的筆觸，每一筆都可以單獨移除
+     */
+    renderStrokeList() {
+        const list = this.elements.strokeList;
+        list.innerHTML = '';
+        this.touchUp.strokes.forEach((stroke, index) => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = `${index + 1}. ${this.describeStroke(stroke)}`;
+            const remove = document.createElement('button');
+            remove.className = 'stroke-remove';
+            remove.dataset.index = index;
+            remove.textContent = '×';
+            remove.title = Localization.get('brushRemoveStroke');
+            remove.setAttribute('aria-label', remove.title);
+            item.append(label, remove);
+            list.appendChild(item);
+        });
+        list.style.display = this.touchUp.strokes.length > 0 ? '' : 'none';
+    }
+
+    /**
+     * 筆觸的顯示名稱：工具與大小
+     */
+    describeStroke(stroke) {
+        const tool = { clone: 'brushClone', heal: 'brushHeal', blur: 'brushBlur' }[stroke.tool];
+        return `${Localization.get(tool)} ${stroke.size}px`;
+    }
+
+    /**
+     * 套用新的 Logo 設定並重新合成（不需要重新處理）
+     * @param {Object} logo - STATE.customLogo 的複本
+     * @param {boolean} record - 是否記錄一筆歷史（滑桿拖曳中為 false，放開時為 true）
+     */
+    setLogo(logo, record) {
+        this.logo = logo;
+        this.renderComposite();
+        if (record) this.recordHistory('logo');
+    }
+
+    /**
+     * 目前狀態的快照：處理設定、修飾筆畫與 Logo
+     * 筆畫加入後不會再被修改，因此只複製陣列
+     */
+    snapshot() {
+        const config = { ...this.config };
+        if (config.manualRegion) config.manualRegion = { ...config.manualRegion };
+        return {
+            config,
+            strokes: this.touchUp.strokes.slice(),
+            logo: { ...this.logo }
+        };
+    }
+
+    /**
+     * 在目前位置之後加入一筆歷史紀錄（捨棄原本可重做的紀錄）
+     * @param {string} action - 'open' | 'profile' | 'size' | 'position' | 'strength' | 'inpaint' | 'region' | 'stroke' | 'removeStroke' | 'clearStrokes' | 'logo'
+     */
+    recordHistory(action) {
+        const history = this.history;
+        history.entries.length = history.index + 1;
+        history.entries.push({ action, ...this.snapshot() });
+        if (history.entries.length > HISTORY_LIMIT) history.entries.shift();
+        history.index = history.entries.length - 1;
+        this.renderHistory();
+        if (action !== 'open') this.persist();
+    }
+
+    /**
+     * 回到指定的歷史狀態；處理設定相同時（筆畫或 Logo 的變更）只重新合成，不重新處理
+     */
+    goToHistory(index) {
+        const history = this.history;
+        if (index < 0 || index >= history.entries.length || index === history.index) return;
+
+        // 放棄編輯中尚未送出的區域微調，避免回到舊狀態後又被寫入
+        clearTimeout(this.regionCommitTimer);
+        this.regionCommitTimer = null;
+        if (this.state.editingRegion) this.setRegionEditing(false);
+
+        const previous = this.config;
+        const entry = history.entries[index];
+        history.index = index;
+        this.config = { ...entry.config };
+        if (this.config.manualRegion) this.config.manualRegion = { ...this.config.manualRegion };
+        this.touchUp.strokes = entry.strokes.slice();
+        this.logo = { ...entry.logo };
+
+        this.syncControls();
+        this.renderHistory();
+        this.renderTouchUpStatus();
+        this.persist();
+        if (this.isSameConfig(previous, this.config)) {
+            this.renderComposite();
+        } else {
+            this.processAndRender();
+        }
+    }
+
+    undo() {
+        this.goToHistory(this.history.index - 1);
+    }
+
+    redo() {
+        this.goToHistory(this.history.index + 1);
+    }
+
+    /**
+     * 套用全域預設設定並重新排入 Worker（手動區域、修飾筆畫與 Logo 保留不變）
+     * @param {Object} defaults - DefaultSettings.config
+     */
+    applyDefaults(defaults) {
+        const previous = { ...this.config };
+        Object.assign(this.config, defaults);
+        if (this.isSameConfig(previous, this.config)) return;
+
+        this.syncControls();
+        this.recordHistory('defaults');
+        this.processAndRender(WorkerPool.PRIORITY.BATCH);
+    }
+
+    /**
+     * 將檔案、設定與修飾筆畫寫入工作階段（合併短時間內的連續變更）
+     */
+    persist() {
+        clearTimeout(this.persistTimer);
+        this.persistTimer = setTimeout(() => {
+            this.persistTimer = null;
+            STATE.session.saveCard({
+                id: this.id,
+                order: this.order,
+                name: this.file.name,
+                path: this.path,
+                file: this.file,
+                config: { ...this.config },
+                strokes: this.touchUp.strokes
+            }).then(updateStorageIndicator).catch((err) => {
+                console.warn('Failed to save session:', err);
+            });
+        }, 400);
+    }
+
+    /**
+     * 處理設定的比較鍵：相同時 Worker 的輸出相同（自動強度時 alphaGain 只是上次估算的顯示值）
+     */
+    configKey(config = this.config) {
+        return JSON.stringify({ ...config, alphaGain: config.autoStrength ? null : config.alphaGain });
+    }
+
+    /**
+     * 兩組處理設定是否會產生相同的 Worker 輸出
+     */
+    isSameConfig(a, b) {
+        return this.configKey(a) === this.configKey(b);
+    }
+
+    /**
+     * 依 config 更新卡片上的選單、核取方塊與滑桿
+     */
+    syncControls() {
+        const { config, elements } = this;
+        this.renderProfileOptions(); // 包含尺寸選單
+        elements.positionSelect.value = config.forcePosition;
+
+        elements.autoStrengthCheck.checked = config.autoStrength;
+        elements.alphaInput.disabled = config.autoStrength;
+        elements.alphaInput.value = config.alphaGain;
+        elements.alphaValue.textContent = config.autoStrength ? 'Auto' : config.alphaGain.toFixed(2);
+
+        elements.inpaintCheck.checked = config.inpaint;
+        elements.inpaintInput.disabled = !config.inpaint;
+        elements.inpaintInput.value = config.inpaintStrength;
+        elements.inpaintValue.textContent = config.inpaintStrength.toFixed(2);
+
+        this.renderOverlaySwatch();
+    }
+
+    /**
+     * 歷史紀錄的顯示名稱：動作名稱加上該狀態的值（依目前語系產生）
+     */
+    describeHistory(entry) {
+        const l = Localization;
+        const { config } = entry;
+        const optionText = (select, value) => {
+            const option = Array.from(select.options).find(o => o.value === value);
+            return option ? option.textContent : value;
+        };
+
+        switch (entry.action) {
+            case 'profile':
+                return `${l.get('historyProfile')}: ${optionText(this.elements.profileSelect, config.profile)}`;
+            case 'size':
+                return `${l.get('historySize')}: ${optionText(this.elements.sizeSelect, config.forceMode)}`;
+            case 'position':
+                return `${l.get('historyPosition')}: ${optionText(this.elements.positionSelect, config.forcePosition)}`;
+            case 'strength':
+                return `${l.get('historyStrength')}: ${config.autoStrength ? l.get('autoLabel') : config.alphaGain.toFixed(2)}`;
+            case 'inpaint':
+                return `${l.get('inpaintLabel')}: ${config.inpaint ? config.inpaintStrength.toFixed(2) : l.get('historyOff')}`;
+            case 'region': {
+                const r = config.manualRegion;
+                return `${l.get('historyRegion')}: ${r ? `${r.width}px @ (${r.x}, ${r.y})` : l.get('historyAuto')}`;
+            }
+            case 'stroke':
+                return `${l.get('historyStroke')}: ${this.describeStroke(entry.strokes[entry.strokes.length - 1])}`;
+            case 'removeStroke':
+                return l.get('historyRemoveStroke');
+            case 'clearStrokes':
+                return l.get('brushClear');
+            case 'defaults':
+                return l.get('historyDefaults');
+            case 'logo':
+                return `Logo: ${entry.logo.image ? `${Math.round(entry.logo.opacity * 100)}% / ${Math.round(entry.logo.scale * 100)}%` : l.get('historyOff')}`;
+            default:
+                return l.get('historyOpen');
+        }
+    }
+
+    /**
+     * 重新產生歷史紀錄選單，目前狀態為選取的項目
+     */
+    renderHistory() {
+        const select = this.elements.historySelect;
+        const { entries, index } = this.history;
+        select.innerHTML = '';
+        entries.forEach((entry, i) => {
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = `${i + 1}. ${this.describeHistory(entry)}`;
+            select.appendChild(option);
+        });
+        select.value = index;
+        select.disabled = entries.length < 2;
+    }
+
+    /**
+     * 勾選或取消勾選（由 Selection 呼叫，勾選框狀態與卡片樣式一併更新）
+     */
+    setSelected(selected) {
+        this.selected = selected;
+        this.elements.selectCheck.checked = selected;
+        this.elements.card.classList.toggle('selected', selected);
+    }
+
+    /**
+     * 輸出檔名（單張下載、全部下載與輸出資料夾共用），依 FilenameTemplate 的範本產生
+     * @param {string} ext - 例如 '.png'
+     * @param {number} [counter] - 名稱重複時加在副檔名前的編號（a_clean_1.png）
+     */
+    outputName(ext, counter) {
+        return FilenameTemplate.format(this, ext, counter);
+    }
+
+    /**
+     * 編碼處理結果，並寫回原檔的中繼資料（勾選移除中繼資料時略過）
+     * 影像保存在 Worker 時直接在 Worker 中編碼，主執行緒只收到編碼好的檔案
+     * 像素已依 EXIF 方向轉正，輸出檔的方向一律標記為 1
+     * @param {Object} [options]
+     * @param {string} [options.format] - ImageEncoder.FORMATS 的鍵，預設為目前的下載格式
+     * @param {boolean} [options.keepMetadata] - 是否寫回中繼資料，預設依「移除中繼資料」設定
+     * @param {number} [options.priority] - 批次匯出時使用 WorkerPool.PRIORITY.BATCH
+     * @returns {Promise<Blob|null>}
+     */
+    async encode({
+        format = STATE.downloadFormat,
+        keepMetadata = !STATE.stripMetadata,
+        priority = WorkerPool.PRIORITY.INTERACTIVE
+    } = {}) {
+        if (!this.state.ready) return null;
+        const quality = ImageEncoder.getFormat(format).lossy ? STATE.outputQuality : undefined;
+        const metadata = keepMetadata ? this.outputMetadata() : null;
+
+        if (this.composite) {
+            return STATE.encoder.encode(this.composite.composite, format, quality, metadata);
+        }
+        const payload = await this.runCardJob('ENCODE_CARD', {
+            key: `${this.id}/encode`,
+            priority,
+            payload: { format, quality, metadata }
+        });
+        return payload.blob;
+    }
+
+    /**
+     * 要寫回輸出檔的中繼資料；沒有時為 null
+     * 像素已由瀏覽器轉換成 sRGB 時不能再附上原本的色彩描述檔
+     */
+    outputMetadata() {
+        if (!ImageMetadata.hasMetadata(this.metadata)) return null;
+        const { icc, exif, xmp } = this.metadata;
+        return {
+            icc: this.state.rawColor ? icc : null,
+            exif: ImageMetadata.setOrientation(exif, 1),
+            xmp
+        };
+    }
+
+    download() {
+        if (!this.state.ready) return;
+
+        const { ext } = getOutputFormat();
+
+        this.encode().then((blob) => {
+            if (!blob) return;
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.download = this.outputName(ext);
+
+            link.href = url;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }).catch((err) => {
+            console.error('Download failed:', err);
+            alert(Localization.get('encodeFailed') + err.message);
+        });
+    }
+
+    destroy() {
+        // Cancel queued / in-flight jobs for this card
+        STATE.pool.cancel(this.id);
+        STATE.pool.cancel(`${this.id}/decode`);
+        STATE.pool.cancel(`${this.id}/encode`);
+        STATE.pool.cancel(`${this.id}/render`);
+        STATE.pool.cancel(`${this.id}/debug`);
+        STATE.pool.detach(this.id, { type: 'RELEASE_CARD', payload: { cardId: this.id } });
+        clearTimeout(this.regionCommitTimer);
+        clearTimeout(this.persistTimer);
+        OutputFolder.cancel(this);
+        STATE.session.deleteCard(this.id).then(updateStorageIndicator).catch((err) => {
+            console.warn('Failed to update session:', err);
+        });
+        window.removeEventListener('resize', this.onRegionResize);
+        window.removeEventListener('resize', this.onTouchUpResize);
+        window.removeEventListener('resize', this.onDebugResize);
+        if (STATE.activeProcessor === this) STATE.activeProcessor = null;
+
+        if (this.state.originalUrl && this.state.originalUrl.startsWith('blob:')) URL.revokeObjectURL(this.state.originalUrl);
+        [this.state.sourcePreview, this.state.preview, this.state.layerPreview].forEach((image) => {
+            if (image && image.close) image.close();
+        });
+        this.composite = null;
+
+        // Remove from UI
+        this.elements.card.remove();
+
+        // Remove from Global List
+        STATE.processors = STATE.processors.filter(p => p !== this);
+
+        // Update UI State
+        updateUIState();
+    }
+}
+
+// =============================================================================
+// Global Event Handlers
+// =============================================================================
+
+// ZIP 內可匯入的圖片（依副檔名判斷，ZIP 項目沒有 MIME type）
+const IMAGE_EXTENSIONS = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp',
+    gif: 'image/gif',
+    bmp: 'image/bmp',
+    avif: 'image/avif'
+};
+
+function handleFiles(fileList) {
+    if (!fileList || fileList.length === 0) return;
+
+    const files = Array.from(fileList, file => ({ file, path: file.name }));
+
+    // Reset file input so same file can be selected again if needed
+    fileInput.value = '';
+
+    return addFiles(files);
+}
+
+/**
+ * 為圖片建立卡片、解開 ZIP；依序處理，卡片順序與選取 / 拖放的順序相同
+ * @param {{ file: File, path: string }[]} files - path 為相對路徑（拖放資料夾時包含資料夾名稱）
+ */
+async function addFiles(files) {
+    for (const { file, path } of files) {
+        if (file.type.startsWith('image/')) {
+            STATE.processors.push(new ImageProcessor(file, { path }));
+        } else if (isZipFile(file)) {
+            await importZip(file, path.slice(0, path.lastIndexOf('/') + 1));
+        }
+    }
+
+    updateUIState();
+}
+
+/**
+ * 遞迴讀取拖放的檔案或資料夾（FileSystemEntry）
+ * @returns {Promise<{ file: File, path: string }[]>}
+ */
+async function readEntry(entry, dir = '') {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        return [{ file, path: dir + entry.name }];
+    }
+    if (!entry.isDirectory) return [];
+
+    // readEntries 每次最多回傳一部分項目，需重複呼叫直到回傳空陣列
+    const reader = entry.createReader();
+    const children = [];
+    for (;;) {
+        const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (batch.length === 0) break;
+        children.push(...batch);
+    }
+    children.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+
+    const files = [];
+    for (const child of children) {
+        if (child.name.startsWith('.')) continue; // 隱藏檔（.DS_Store 等）
+        files.push(...await readEntry(child, `${dir}${entry.name}/`));
+    }
+    return files;
+}
+
+function isZipFile(file) {
+    return /zip/.test(file.type) || /\.zip$/i.test(file.name || '');
+}
+
+/**
+ * 解開 ZIP，為其中每張圖片建立卡片並記錄其在壓縮檔內的路徑
+ */
+async function importZip(file, dir = '') {
+    if (typeof JSZip === 'undefined') {
+        alert(Localization.format('zipImportFailed', { name: file.name }));
+        return;
+    }
+    try {
+        const images = await readZipImages(file);
+        images.forEach(({ file: image, path }) => {
+            STATE.processors.push(new ImageProcessor(image, { path: dir + path }));
+        });
+    } catch (err) {
+        console.error('ZIP import failed:', err);
+        alert(Localization.format('zipImportFailed', { name: file.name }));
+    }
+}
+
+/**
+ * 讀取 ZIP 內的圖片（略過 macOS 的 __MACOSX 與隱藏檔），依路徑排序
+ * @returns {Promise<{ file: File, path: string }[]>}
+ */
+async function readZipImages(file) {
+    const zip = await JSZip.loadAsync(file);
+    const entries = [];
+    zip.forEach((path, entry) => {
+        if (entry.dir || /(^|\/)(__MACOSX\/|\.)/.test(path)) return;
+        const type = IMAGE_EXTENSIONS[path.split('.').pop().toLowerCase()];
+        if (type) entries.push({ path, entry, type });
+    });
+    entries.sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true }));
+
+    return Promise.all(entries.map(async ({ path, entry, type }) => {
+        const blob = await entry.async('blob');
+        return { file: new File([blob], path.split('/').pop(), { type }), path };
+    }));
+}
+
+function updateUIState() {
+    if (STATE.processors.length > 0) {
+        document.body.classList.add('has-files');
         globalActions.style.display = 'flex';
     } else {
-        document.body.classList.remove('has-files');
-        globalActions.style.display = 'none';
+        document.body.classList.remove('has-files');
+        globalActions.style.display = 'none';
+    }
+    Selection.render();
+    FilenameTemplate.render();
+    OutputQuality.render();
+}
+
+// Drag & Drop
+dropZone.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    dropZone.classList.add('drag-over');
+    // Optional: update text to "Released to Upload"
+});
+
+dropZone.addEventListener('dragleave', () => {
+    dropZone.classList.remove('drag-over');
+});
+
+dropZone.addEventListener('drop', (e) => {
+    e.preventDefault();
+    dropZone.classList.remove('drag-over');
+
+    // 拖放資料夾時逐層讀取；entry 必須在事件處理期間同步取得
+    const items = Array.from(e.dataTransfer.items || []);
+    const entries = items
+        .filter(item => item.kind === 'file' && item.webkitGetAsEntry)
+        .map(item => item.webkitGetAsEntry())
+        .filter(Boolean);
+    if (entries.some(entry => entry.isDirectory)) {
+        (async () => {
+            const files = [];
+            for (const entry of entries) files.push(...await readEntry(entry));
+            await addFiles(files);
+        })().catch((err) => console.error('Failed to read dropped folder:', err));
+        return;
+    }
+
+    if (e.dataTransfer.files.length > 0) {
+        handleFiles(e.dataTransfer.files);
+    }
+});
+
+
+
+dropZone.addEventListener('click', (e) => {
+    // 點擊圖片卡片時不觸發上傳（保留卡片內的操作功能）
+    // 但點擊 results-container 的空白區域時仍可上傳新圖片
+    if (e.target.closest('.image-card')) return;
+    fileInput.click();
+});
+
+fileInput.addEventListener('change', (e) => {
+    handleFiles(e.target.files);
+});
+
+// =============================================================================
+// Clipboard Paste Support
+// =============================================================================
+
+window.addEventListener('paste', (e) => {
+    if (!e.clipboardData || !e.clipboardData.items) return;
+
+    const items = e.clipboardData.items;
+    const files = [];
+
+    for (let i = 0; i < items.length; i++) {
+        // 從檔案管理員複製的 ZIP 也一併匯入
+        if (items[i].kind === 'file' && /zip/.test(items[i].type)) {
+            files.push(items[i].getAsFile());
+        } else if (items[i].type.indexOf('image') !== -1) {
+            const blob = items[i].getAsFile();
+            // Assign a default name for pasted images
+            // You can enhance this by timestamp or count based names
+            if (!blob.name || blob.name === 'image.png') {
+                const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+                blob.name = `pasted-image-${timestamp}.png`;
+            }
+            files.push(blob);
+        }
+    }
+
+    if (files.length > 0) {
+        handleFiles(files);
+    }
+});
+
+// =============================================================================
+// Session Persistence (IndexedDB)
+// =============================================================================
+
+/**
+ * 還原上次保存的自訂 Logo 與所有卡片；讀取失敗時只記錄警告，以空白工作階段開始
+ */
+async function restoreSession() {
+    try {
+        const [logo, cards] = await Promise.all([
+            STATE.session.loadSetting('logo'),
+            STATE.session.loadCards()
+        ]);
+
+        // Logo 先還原，卡片建立時才會套用
+        if (logo && logo.file) {
+            STATE.customLogo.image = await loadLogoImage(logo.file);
+            STATE.customLogo.file = logo.file;
+            STATE.customLogo.opacity = logo.opacity;
+            STATE.customLogo.scale = logo.scale;
+            logoOpacity.value = Math.round(logo.opacity * 100);
+            logoOpacityValue.textContent = `${logoOpacity.value}%`;
+            logoScale.value = Math.round(logo.scale * 100);
+            logoScaleValue.textContent = `${logoScale.value}%`;
+            updateLogoPreviewUI();
+        }
+
+        cards.forEach(record => {
+            // Blob 的自訂屬性（例如貼上圖片時指定的檔名）不會被保存，以紀錄的檔名重建 File
+            const file = record.file instanceof File && record.file.name === record.name
+                ? record.file
+                : new File([record.file], record.name, { type: record.file.type });
+            STATE.processors.push(new ImageProcessor(file, { path: record.path || record.name, saved: record }));
+        });
+        updateUIState();
+    } catch (err) {
+        console.warn('Failed to restore session:', err);
+    }
+    updateStorageIndicator();
+}
+
+/**
+ * 以易讀的單位顯示位元組數
+ */
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+/**
+ * 更新儲存空間使用量（瀏覽器不支援查詢時隱藏）
+ */
+function updateStorageIndicator() {
+    if (!storageUsage) return;
+    STATE.session.estimate().then((estimate) => {
+        if (!estimate) {
+            storageUsage.style.display = 'none';
+            return;
+        }
+        storageUsage.style.display = '';
+        storageUsage.textContent = Localization.format('storageUsage', {
+            usage: formatBytes(estimate.usage),
+            quota: formatBytes(estimate.quota)
+        });
+    }).catch(() => {
+        storageUsage.style.display = 'none';
+    });
+}
+
+// 清除工作階段：移除所有卡片與自訂 Logo，並清空 IndexedDB
+if (clearSessionBtn) {
+    clearSessionBtn.addEventListener('click', async () => {
+        if (!confirm(Localization.get('clearSessionConfirm'))) return;
+
+        STATE.processors.slice().forEach(p => p.destroy());
+        if (STATE.customLogo.image) clearLogoBtn.click();
+        try {
+            await STATE.session.clear();
+        } catch (err) {
+            console.warn('Failed to clear session:', err);
+        }
+        updateStorageIndicator();
+    });
+}
+
+// =============================================================================
+// Offline Support (Service Worker)
+// =============================================================================
+
+/**
+ * 註冊 Service Worker 快取網站檔案，離線時仍可開啟並還原工作階段
+ * Tauri 與直接開啟 index.html (file://) 時不需要也無法註冊
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !location.protocol.startsWith('http')) return;
+    navigator.serviceWorker.register('service-worker.js').catch((err) => {
+        console.warn('Service worker registration failed:', err);
+    });
+}
+
+// =============================================================================
+// Undo / Redo Shortcuts
+// =============================================================================
+
+// Ctrl+Z 復原、Ctrl+Shift+Z 重做，作用於最後操作的卡片（只有一張卡片時直接作用於該卡片）
+document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+    // 文字輸入框保留瀏覽器原生的復原
+    if (e.target.closest && e.target.closest('input[type="text"], textarea, [contenteditable="true"]')) return;
+
+    const processor = STATE.activeProcessor || (STATE.processors.length === 1 ? STATE.processors[0] : null);
+    if (!processor) return;
+
+    e.preventDefault();
+    if (e.shiftKey) {
+        processor.redo();
+    } else {
+        processor.undo();
+    }
+});
+
+
+/**
+ * 目前選擇的下載格式
+ * @returns {{ format: string, mimeType: string, ext: string, lossy: boolean, quality: (number|undefined) }}
+ */
+function getOutputFormat() {
+    const format = STATE.downloadFormat;
+    const { mimeType, ext, lossy } = ImageEncoder.getFormat(format);
+    return {
+        format,
+        mimeType,
+        ext,
+        lossy,
+        quality: lossy ? STATE.outputQuality : undefined
+    };
+}
+
+/**
+ * 有損格式的品質滑桿與預估檔案大小
+ * 以目前操作中（或第一張）卡片實際編碼一次來估算；編碼整張圖片的成本高，只在格式或品質變更、
+ * 以及該卡片處理完成時重新估算，並延遲執行，避免拖動滑桿時反覆編碼
+ */
+const OutputQuality = {
+    ESTIMATE_DELAY: 400,
+    timer: null,
+    version: 0, // 丟棄過時的估算結果
+    shown: null, // 目前顯示的估算 { key, size, processor }，切換語系時依此重新產生文字
+    elements: {
+        container: document.getElementById('qualityControl'),
+        slider: document.getElementById('outputQuality'),
+        value: document.getElementById('outputQualityValue'),
+        estimate: document.getElementById('outputEstimate')
+    },
+
+    init() {
+        const el = this.elements;
+        if (!el.slider) return;
+
+        el.slider.value = Math.round(STATE.outputQuality * 100);
+        el.slider.addEventListener('input', (e) => {
+            STATE.outputQuality = parseInt(e.target.value, 10) / 100;
+            el.value.textContent = `${e.target.value}%`;
+            this.schedule();
+        });
+        this.render();
+    },
+
+    render() {
+        const el = this.elements;
+        if (!el.slider) return;
+        const { lossy } = getOutputFormat();
+        el.container.style.display = lossy ? '' : 'none';
+        el.value.textContent = `${el.slider.value}%`;
+        this.renderEstimate();
+    },
+
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.estimate(), this.ESTIMATE_DELAY);
+    },
+
+    async estimate() {
+        const el = this.elements;
+        if (!el.estimate) return;
+        const processor = STATE.activeProcessor || STATE.processors[0];
+        const version = ++this.version;
+        // PNG 沒有品質設定，不為了估算再編碼一次整張圖片
+        if (!processor || !processor.state.ready || STATE.downloadFormat === 'png') {
+            this.show(null);
+            return;
+        }
+
+        this.show({ key: 'estimatingSize', processor });
+        try {
+            const blob = await processor.encode({ priority: WorkerPool.PRIORITY.BATCH });
+            if (version !== this.version) return;
+            this.show(blob ? { key: 'estimatedSize', size: blob.size, processor } : null);
+        } catch (err) {
+            if (version !== this.version) return;
+            console.warn('Failed to estimate output size:', err);
+            this.show({ key: 'formatUnsupported', processor });
+        }
+    },
+
+    show(shown) {
+        this.shown = shown;
+        this.renderEstimate();
+    },
+
+    /**
+     * 依目前語系顯示估算結果；估算的卡片已移除時清空
+     */
+    renderEstimate() {
+        const el = this.elements.estimate;
+        if (!el) return;
+        const shown = this.shown && STATE.processors.includes(this.shown.processor) ? this.shown : null;
+        if (!shown) {
+            el.textContent = '';
+            el.title = '';
+            return;
+        }
+        el.textContent = shown.size !== undefined
+            ? Localization.format(shown.key, { size: formatBytes(shown.size) })
+            : Localization.get(shown.key);
+        el.title = shown.processor.path;
+    }
+};
+
+/**
+ * 輸出檔名範本，保存在 localStorage，與介面語系無關
+ * 可用標記：{name} 原檔名（不含副檔名）、{index} 卡片順序、{date} 下載日期、
+ * {mode} 偵測模式、{margin} 浮水印邊距、{gain} 套用的強度、{ext} 副檔名（不含點）
+ */
+const FilenameTemplate = {
+    STORAGE_KEY: 'filenameTemplate',
+    DEFAULT: '{name}_clean.{ext}',
+    template: '',
+    elements: {
+        input: document.getElementById('filenameTemplate'),
+        preview: document.getElementById('filenamePreview')
+    },
+
+    init() {
+        this.template = localStorage.getItem(this.STORAGE_KEY) || this.DEFAULT;
+        const el = this.elements;
+        if (!el.input) return;
+
+        el.input.value = this.template;
+        el.input.placeholder = this.DEFAULT;
+        el.input.addEventListener('input', (e) => {
+            this.template = e.target.value.trim() || this.DEFAULT;
+            if (this.template === this.DEFAULT) {
+                localStorage.removeItem(this.STORAGE_KEY);
+            } else {
+                localStorage.setItem(this.STORAGE_KEY, this.template);
+            }
+            this.render();
+        });
+        this.render();
+    },
+
+    /**
+     * 依範本產生檔名；範本沒有 {ext} 時自動加上副檔名，檔名中不允許的字元改為底線
+     * @param {ImageProcessor} processor
+     * @param {string} ext - 例如 '.png'
+     * @param {number} [counter] - 名稱重複時的編號
+     */
+    format(processor, ext, counter) {
+        const nameParts = processor.file.name.split('.');
+        if (nameParts.length > 1) nameParts.pop(); // remove extension
+        const detection = processor.state.detection;
+        const index = STATE.processors.indexOf(processor) + 1;
+        const now = new Date();
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        const values = {
+            name: nameParts.join('.'),
+            index: pad(index > 0 ? index : 1, String(STATE.processors.length).length),
+            date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+            mode: (detection && detection.mode) || 'none',
+            margin: detection && detection.margin !== null && detection.margin !== undefined ? detection.margin : 0,
+            gain: processor.config.alphaGain.toFixed(2),
+            ext: ext.replace(/^\./, '')
+        };
+
+        let template = this.template;
+        if (!template.includes('{ext}')) template += '.{ext}';
+        let filename = template
+            .replace(/\{(\w+)\}/g, (token, key) => (key in values ? values[key] : token))
+            .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_')
+            .trim();
+        if (!filename || filename === `.${values.ext}`) filename = `${values.name || 'image'}.${values.ext}`;
+
+        if (counter) {
+            const dot = filename.lastIndexOf('.');
+            filename = dot > 0
+                ? `${filename.slice(0, dot)}_${counter}${filename.slice(dot)}`
+                : `${filename}_${counter}`;
+        }
+        return filename;
+    },
+
+    /**
+     * 以目前操作中（或第一張）卡片預覽檔名；沒有卡片時以範例檔名預覽
+     */
+    render() {
+        const el = this.elements;
+        if (!el.input) return;
+        el.input.title = Localization.get('filenameTokens');
+
+        const { ext } = getOutputFormat();
+        const processor = STATE.activeProcessor || STATE.processors[0];
+        const sample = processor || {
+            file: { name: 'Gemini_Generated_Image.png' },
+            state: { detection: null },
+            config: { ...DefaultSettings.config }
+        };
+        el.preview.textContent = `→ ${this.format(sample, ext)}`;
+    }
+};
+
+/**
+ * 將多張卡片的處理結果打包成 ZIP 下載（JSZip 未載入時改為逐張下載）
+ * @param {ImageProcessor[]} processors
+ * @param {HTMLButtonElement} button - 打包期間停用並顯示進度的按鈕
+ */
+async function downloadZip(processors, button) {
+    // Check if JSZip is loaded
+    if (typeof JSZip === 'undefined') {
+        // Fallback to sequential download
+        let delay = 0;
+        processors.forEach(p => {
+            setTimeout(() => {
+                p.download();
+            }, delay);
+            delay += 300;
+        });
+        return;
+    }
+
+    // ZIP Batch Download
+    // 檔案直接放在壓縮檔根目錄，只重建匯入時的相對路徑（資料夾名稱不隨介面語系改變）
+    const zip = new JSZip();
+    const usedNames = new Set(); // To ensure uniqueness in ZIP
+
+    // Disable button to prevent double clicks
+    button.disabled = true;
+    const originalBtnText = button.innerHTML;
+    button.innerHTML = '<span>Packaging...</span>';
+
+    try {
+        const promises = processors.map(p => {
+            // 確保我們拿到的是已經處理過的圖片 Canvas
+            if (!p.state.ready) return null;
+
+            return new Promise((resolve, reject) => {
+                const { ext } = getOutputFormat();
+                let filename = p.outputName(ext);
+
+                // 依匯入時的相對路徑重建資料夾結構（例如 ZIP 內的子資料夾）
+                const dir = p.path.slice(0, p.path.lastIndexOf('/') + 1);
+
+                // Ensure uniqueness in ZIP
+                let counter = 1;
+                while (usedNames.has(dir + filename)) {
+                    filename = p.outputName(ext, counter);
+                    counter++;
+                }
+                usedNames.add(dir + filename);
+
+                p.encode({ priority: WorkerPool.PRIORITY.BATCH }).then((blob) => {
+                    if (blob) {
+                        zip.file(dir + filename, blob);
+                    }
+                    resolve();
+                }).catch(reject);
+            });
+        });
+
+        await Promise.all(promises);
+
+        const content = await zip.generateAsync({ type: "blob" });
+        const url = URL.createObjectURL(content);
+
+        const link = document.createElement('a');
+        link.download = 'gemini_watermark_removed.zip';
+        link.href = url;
+        link.click();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    } catch (err) {
+        console.error("ZIP generation failed:", err);
+        alert("Failed to create ZIP file. Falling back to individual downloads.");
+    } finally {
+        button.disabled = false;
+        button.innerHTML = originalBtnText;
+    }
+}
+
+// Download All
+downloadAllBtn.addEventListener('click', () => {
+    const processors = STATE.skipUnmodified
+        ? STATE.processors.filter(p => p.isCleaned())
+        : STATE.processors;
+
+    if (processors.length === 0) {
+        alert(Localization.get('noCleanedImages'));
+        return;
     }
+
+    downloadZip(processors, downloadAllBtn);
+});
+
+// Download Format Selector
+const downloadFormatSelect = document.getElementById('downloadFormat');
+if (downloadFormatSelect) {
+    downloadFormatSelect.addEventListener('change', (e) => {
+        STATE.downloadFormat = e.target.value;
+        FilenameTemplate.render();
+        OutputQuality.render();
+        OutputQuality.schedule();
+    });
+}
+
+// Skip images where no watermark was removed when downloading all
+const skipUnmodifiedCheck = document.getElementById('skipUnmodified');
+if (skipUnmodifiedCheck) {
+    skipUnmodifiedCheck.addEventListener('change', (e) => {
+        STATE.skipUnmodified = e.target.checked;
+    });
 }
 
-// Drag & Drop
-dropZone.addEventListener('dragover', (e) => {
-    e.preventDefault();
-    dropZone.classList.add('drag-over');
-    // Optional: update text to "Released to Upload"
-});
+// 輸出時移除原檔的 ICC / EXIF / XMP
+const stripMetadataCheck = document.getElementById('stripMetadata');
+if (stripMetadataCheck) {
+    stripMetadataCheck.addEventListener('change', (e) => {
+        STATE.stripMetadata = e.target.checked;
+    });
+}
+
+// =============================================================================
+// 多選與批次操作 (Selection & Bulk Actions)
+// =============================================================================
+
+/**
+ * 卡片的勾選狀態存在各 ImageProcessor（selected），切換語系時不會重建卡片，勾選自然保留；
+ * 這裡只負責範圍選取與批次操作列。
+ */
+const Selection = {
+    anchor: null, // 上一次勾選的卡片，Shift + 點擊時作為範圍的起點
+    statusTimer: null,
+    elements: {
+        bar: document.getElementById('selectionBar'),
+        selectAll: document.getElementById('selectAllCheck'),
+        count: document.getElementById('selectionCount'),
+        applyBtn: document.getElementById('bulkApplyBtn'),
+        reprocessBtn: document.getElementById('bulkReprocessBtn'),
+        copyBtn: document.getElementById('bulkCopyBtn'),
+        downloadBtn: document.getElementById('bulkDownloadBtn'),
+        removeBtn: document.getElementById('bulkRemoveBtn')
+    },
+
+    init() {
+        const el = this.elements;
+        if (!el.bar) return;
+
+        el.selectAll.addEventListener('change', (e) => this.selectAll(e.target.checked));
+        el.applyBtn.addEventListener('click', () => {
+            this.selected().forEach(p => p.applyDefaults(DefaultSettings.config));
+        });
+        el.reprocessBtn.addEventListener('click', () => {
+            this.selected().forEach(p => p.processAndRender(WorkerPool.PRIORITY.BATCH));
+        });
+        el.copyBtn.addEventListener('click', () => this.copy());
+        el.downloadBtn.addEventListener('click', () => {
+            const processors = this.selected().filter(p => p.state.ready);
+            if (processors.length > 0) downloadZip(processors, el.downloadBtn);
+        });
+        el.removeBtn.addEventListener('click', () => this.remove());
+
+        this.render();
+    },
+
+    /**
+     * 目前勾選的卡片（依畫面順序）
+     * @returns {ImageProcessor[]}
+     */
+    selected() {
+        return STATE.processors.filter(p => p.selected);
+    },
+
+    /**
+     * 勾選框被點擊；按住 Shift 時將上一次勾選的卡片到這張之間都設為相同狀態
+     */
+    toggle(processor, selected, range) {
+        const from = STATE.processors.indexOf(this.anchor);
+        const to = STATE.processors.indexOf(processor);
+        if (range && from !== -1 && to !== -1) {
+            const [start, end] = from < to ? [from, to] : [to, from];
+            STATE.processors.slice(start, end + 1).forEach(p => p.setSelected(selected));
+        } else {
+            processor.setSelected(selected);
+        }
+        this.anchor = processor;
+        this.render();
+    },
+
+    selectAll(selected) {
+        STATE.processors.forEach(p => p.setSelected(selected));
+        this.anchor = null;
+        this.render();
+    },
+
+    remove() {
+        const processors = this.selected();
+        if (processors.length === 0) return;
+        if (!confirm(Localization.format('bulkRemoveConfirm', { count: processors.length }))) return;
+        processors.forEach(p => p.destroy());
+    },
+
+    /**
+     * 複製選取的圖片：第一張以 PNG 放入剪貼簿，多張時另附 HTML（貼到文件或聊天軟體時會貼上全部圖片）
+     * 瀏覽器目前只接受單一 ClipboardItem，因此無法放入多個 PNG。
+     */
+    copy() {
+        const processors = this.selected().filter(p => p.state.ready);
+        if (processors.length === 0) return;
+        if (!navigator.clipboard || typeof ClipboardItem === 'undefined') {
+            alert(Localization.get('bulkCopyUnsupported'));
+            return;
+        }
+
+        // ClipboardItem 必須在點擊事件中同步建立（Safari），內容以 Promise 提供
+        const blobs = Promise.all(processors.map(p => p.encode({ format: 'png', keepMetadata: false })));
+        const items = { 'image/png': blobs.then(list => list[0]) };
+        if (processors.length > 1) {
+            items['text/html'] = blobs.then(async (list) => {
+                const urls = await Promise.all(list.map(blob => new Promise((resolve, reject) => {
+                    const reader = new FileReader();
+                    reader.onload = () => resolve(reader.result);
+                    reader.onerror = () => reject(reader.error);
+                    reader.readAsDataURL(blob);
+                })));
+                const html = urls.map(url => `<img src="${url}">`).join('<br>');
+                return new Blob([html], { type: 'text/html' });
+            });
+        }
+
+        navigator.clipboard.write([new ClipboardItem(items)]).then(() => {
+            this.setStatus(Localization.format('bulkCopied', { count: processors.length }));
+        }).catch((err) => {
+            console.error('Copy failed:', err);
+            alert(Localization.get('bulkCopyUnsupported'));
+        });
+    },
+
+    /**
+     * 暫時以操作結果取代選取數量
+     */
+    setStatus(text) {
+        clearTimeout(this.statusTimer);
+        this.elements.count.textContent = text;
+        this.statusTimer = setTimeout(() => this.render(), 2000);
+    },
+
+    /**
+     * 更新批次操作列（卡片增減、勾選變更與切換語系時呼叫）
+     */
+    render() {
+        const el = this.elements;
+        if (!el.bar) return;
+        clearTimeout(this.statusTimer);
+
+        const total = STATE.processors.length;
+        const count = this.selected().length;
+        el.bar.style.display = total > 0 ? 'flex' : 'none';
+        el.selectAll.checked = total > 0 && count === total;
+        el.selectAll.indeterminate = count > 0 && count < total;
+        el.count.textContent = Localization.format('selectionCount', { count, total });
+        el.applyBtn.title = Localization.get('bulkApplyTitle');
+        [el.applyBtn, el.reprocessBtn, el.copyBtn, el.downloadBtn, el.removeBtn].forEach(btn => {
+            btn.disabled = count === 0;
+        });
+    }
+};
+
+// =============================================================================
+// 輸出資料夾 (File System Access API)
+// =============================================================================
+
+/**
+ * 將處理完成的圖片直接寫入使用者選擇的資料夾，依卡片的相對路徑建立子資料夾
+ * 寫入逐張排隊進行，大量圖片時不需要先在記憶體中打包成 ZIP。
+ */
+const OutputFolder = {
+    handle: null, // FileSystemDirectoryHandle
+    policy: 'rename', // 檔案已存在時：'rename' | 'overwrite' | 'skip'
+    timers: new Map(), // ImageProcessor → 延遲寫入的計時器（連續調整時只寫入最後的結果）
+    queue: Promise.resolve(),
+    written: new Set(),
+    skipped: new Set(),
+    failed: new Set(),
+    elements: {
+        settings: document.getElementById('outputSettings'),
+        header: document.getElementById('outputToggleHeader'),
+        folderName: document.getElementById('outputFolderName'),
+        pickBtn: document.getElementById('outputPickBtn'),
+        stopBtn: document.getElementById('outputStopBtn'),
+        policy: document.getElementById('outputPolicy'),
+        status: document.getElementById('outputStatus')
+    },
+
+    init() {
+        const el = this.elements;
+        if (!el.settings || typeof window.showDirectoryPicker !== 'function') return;
+        el.settings.style.display = '';
+
+        el.header.addEventListener('click', () => {
+            el.settings.classList.toggle('collapsed');
+        });
+        el.pickBtn.addEventListener('click', () => this.pick());
+        el.stopBtn.addEventListener('click', () => this.stop());
+        el.policy.addEventListener('change', (e) => {
+            this.policy = e.target.value;
+        });
+    },
+
+    /**
+     * 選擇輸出資料夾，並把已經處理完成的卡片排入寫入
+     */
+    async pick() {
+        let handle;
+        try {
+            handle = await window.showDirectoryPicker({ mode: 'readwrite' });
+        } catch (err) {
+            if (err.name !== 'AbortError') console.error('Failed to open output folder:', err);
+            return;
+        }
+
+        this.stop();
+        this.handle = handle;
+        STATE.processors.forEach(p => this.schedule(p));
+        this.render();
+    },
+
+    stop() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        this.handle = null;
+        this.written.clear();
+        this.skipped.clear();
+        this.failed.clear();
+        this.render();
+    },
+
+    /**
+     * 卡片合成完成時呼叫；未選擇資料夾時不做任何事
+     */
+    schedule(processor) {
+        if (!this.handle || !processor.state.ready) return;
+        clearTimeout(this.timers.get(processor));
+        this.timers.set(processor, setTimeout(() => {
+            this.timers.delete(processor);
+            const handle = this.handle;
+            this.queue = this.queue
+                .then(() => this.write(processor, handle))
+                .catch((err) => {
+                    console.error(`Failed to write ${processor.path}:`, err);
+                    this.failed.add(processor);
+                })
+                .then(() => this.render());
+        }, 500));
+    },
+
+    cancel(processor) {
+        clearTimeout(this.timers.get(processor));
+        this.timers.delete(processor);
+    },
+
+    async write(processor, handle) {
+        // 排隊期間已更換資料夾或移除卡片
+        if (handle !== this.handle || !STATE.processors.includes(processor)) return;
+        if (STATE.skipUnmodified && !processor.isCleaned()) return;
+
+        const { ext } = getOutputFormat();
+        const segments = processor.path.split('/');
+        segments.pop();
+        let dir = handle;
+        for (const segment of segments) {
+            dir = await dir.getDirectoryHandle(segment, { create: true });
+        }
+
+        // 同一張卡片之後的修改覆寫自己寫出的檔案；第一次寫入時才依設定處理已存在的檔案
+        const previous = processor.outputFile;
+        let name = previous && previous.handle === handle && previous.name.endsWith(ext) ? previous.name : null;
+        if (!name) {
+            name = processor.outputName(ext);
+            if (this.policy !== 'overwrite' && await this.exists(dir, name)) {
+                if (this.policy === 'skip') {
+                    this.skipped.add(processor);
+                    return;
+                }
+                let counter = 1;
+                do {
+                    name = processor.outputName(ext, counter);
+                    counter++;
+                } while (await this.exists(dir, name));
+            }
+        }
+
+        const blob = await processor.encode({ priority: WorkerPool.PRIORITY.BATCH });
+        if (!blob) return;
+        const fileHandle = await dir.getFileHandle(name, { create: true });
+        const writable = await fileHandle.createWritable();
+        await writable.write(blob);
+        await writable.close();
+
+        processor.outputFile = { handle, name };
+        this.written.add(processor);
+        this.skipped.delete(processor);
+        this.failed.delete(processor);
+    },
+
+    async exists(dir, name) {
+        try {
+            await dir.getFileHandle(name);
+            return true;
+        } catch (err) {
+            if (err.name === 'NotFoundError') return false;
+            if (err.name === 'TypeMismatchError') return true; // 同名的資料夾
+            throw err;
+        }
+    },
+
+    render() {
+        const el = this.elements;
+        if (!el.settings) return;
+        el.folderName.style.display = this.handle ? '' : 'none';
+        el.folderName.textContent = this.handle ? this.handle.name : '';
+        el.stopBtn.style.display = this.handle ? '' : 'none';
+        el.status.textContent = this.handle
+            ? Localization.format('outputStatus', {
+                written: this.written.size,
+                skipped: this.skipped.size,
+                failed: this.failed.size
+            })
+            : '';
+    }
+};
+
+// =============================================================================
+// Logo 上傳與處理邏輯
+// =============================================================================
+
+/**
+ * 更新 Logo 預覽 UI
+ * 根據 STATE.customLogo.image 是否存在來切換顯示狀態
+ */
+function updateLogoPreviewUI() {
+    const logoThumbnail = document.getElementById('logoThumbnail');
+    const logoThumbnailImg = document.getElementById('logoThumbnailImg');
+
+    if (STATE.customLogo.image) {
+        // 顯示 Logo 預覽圖片（套用透明度效果）
+        const opacity = STATE.customLogo.opacity;
+        logoPreview.innerHTML = `<img src="${STATE.customLogo.image.src}" alt="Logo Preview" style="opacity: ${opacity}">`;
+        logoPreview.classList.add('has-logo');
+        logoControls.style.display = 'block';
+        clearLogoBtn.style.display = 'flex';
 
-dropZone.addEventListener('dragleave', () => {
-    dropZone.classList.remove('drag-over');
-});
+        // 更新縮圖指示器
+        if (logoThumbnail && logoThumbnailImg) {
+            logoThumbnailImg.src = STATE.customLogo.image.src;
+            logoThumbnail.style.display = 'block';
+        }
+    } else {
+        // 恢復上傳提示
+        logoPreview.innerHTML = `
+            <svg class="upload-icon" width="32" height="32" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" 
+                    d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z"></path>
+            </svg>
+            <span class="upload-text" data-i18n="uploadLogo">${Localization.get('uploadLogo')}</span>
+        `;
+        logoPreview.classList.remove('has-logo');
+        logoControls.style.display = 'none';
+        clearLogoBtn.style.display = 'none';
 
-dropZone.addEventListener('drop', (e) => {
-    e.preventDefault();
-    dropZone.classList.remove('drag-over');
-    if (e.dataTransfer.files.length > 0) {
-        handleFiles(e.dataTransfer.files);
+        // 隱藏縮圖指示器
+        if (logoThumbnail) {
+            logoThumbnail.style.display = 'none';
+        }
     }
-});
+}
 
+/**
+ * 重新處理所有已上傳的圖片
+ * 當 Profile 登錄檔變更時呼叫（Logo 只需重新合成，見 applyLogoToAll）
+ */
+function reprocessAllImages() {
+    STATE.processors.forEach(p => {
+        p.processAndRender(WorkerPool.PRIORITY.BATCH);
+    });
+}
 
+/**
+ * 將目前的全域 Logo 設定套用到所有卡片
+ * @param {boolean} record - 是否在各卡片的歷史紀錄加入一筆（滑桿放開、上傳或清除 Logo 時）
+ */
+function applyLogoToAll(record) {
+    STATE.processors.forEach(p => p.setLogo({ ...STATE.customLogo }, record));
+    if (record) persistLogo();
+}
 
-dropZone.addEventListener('click', (e) => {
-    // 點擊圖片卡片時不觸發上傳（保留卡片內的操作功能）
-    // 但點擊 results-container 的空白區域時仍可上傳新圖片
-    if (e.target.closest('.image-card')) return;
-    fileInput.click();
-});
+/**
+ * 將自訂 Logo 寫入工作階段（沒有 Logo 時刪除）
+ */
+function persistLogo() {
+    const { image, file, opacity, scale } = STATE.customLogo;
+    const task = image && file
+        ? STATE.session.saveSetting('logo', { file, opacity, scale })
+        : STATE.session.deleteSetting('logo');
+    task.then(updateStorageIndicator).catch((err) => {
+        console.warn('Failed to save logo:', err);
+    });
+}
 
-fileInput.addEventListener('change', (e) => {
-    handleFiles(e.target.files);
-});
+/**
+ * 讀取 Logo 檔案為圖片
+ * @param {Blob} file
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadLogoImage(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Failed to decode logo'));
+            img.src = event.target.result;
+        };
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
 
 // =============================================================================
-// Clipboard Paste Support
+// Logo 設定區塊展開/收合邏輯
 // =============================================================================
 
-window.addEventListener('paste', (e) => {
-    if (!e.clipboardData || !e.clipboardData.items) return;
+const logoSettings = document.getElementById('logoSettings');
+const logoToggleHeader = document.getElementById('logoToggleHeader');
 
-    const items = e.clipboardData.items;
-    const files = [];
+if (logoToggleHeader) {
+    logoToggleHeader.addEventListener('click', (e) => {
+        // 如果點擊的是清除按鈕，不觸發展開/收合
+        if (e.target.closest('#clearLogoBtn')) return;
 
-    for (let i = 0; i < items.length; i++) {
-        if (items[i].type.indexOf('image') !== -1) {
-            const blob = items[i].getAsFile();
-            // Assign a default name for pasted images
-            // You can enhance this by timestamp or count based names
-            if (!blob.name || blob.name === 'image.png') {
-                const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-                blob.name = `pasted-image-${timestamp}.png`;
-            }
-            files.push(blob);
-        }
-    }
+        logoSettings.classList.toggle('collapsed');
+    });
+}
 
-    if (files.length > 0) {
-        handleFiles(files);
-    }
+// Logo 上傳區域點擊事件
+logoUploadArea.addEventListener('click', () => {
+    logoInput.click();
 });
 
+// Logo 檔案選擇事件
+logoInput.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (!file || !file.type.startsWith('image/')) return;
+
+    loadLogoImage(file).then((img) => {
+        STATE.customLogo.image = img;
+        STATE.customLogo.file = file;
+        updateLogoPreviewUI();
+        applyLogoToAll(true);
+    }).catch((err) => console.error(err));
 
-// Download All
-downloadAllBtn.addEventListener('click', async () => {
-    // Check if JSZip is loaded
-    if (typeof JSZip === 'undefined') {
-        // Fallback to sequential download
-        let delay = 0;
-        STATE.processors.forEach(p => {
-            setTimeout(() => {
-                p.download();
-            }, delay);
-            delay += 300;
-        });
-        return;
+    // 重置 input 以便重複選擇同一檔案
+    logoInput.value = '';
+});
+
+// Logo 透明度滑桿變更事件
+logoOpacity.addEventListener('input', (e) => {
+    const value = parseInt(e.target.value);
+    STATE.customLogo.opacity = value / 100;
+    logoOpacityValue.textContent = `${value}%`;
+
+    // 即時更新 Logo 預覽的透明度
+    const previewImg = logoPreview.querySelector('img');
+    if (previewImg) {
+        previewImg.style.opacity = STATE.customLogo.opacity;
     }
 
-    // ZIP Batch Download
-    const zip = new JSZip();
-    const folderName = Localization.get('zipFolderName') || 'processed_images';
-    const folder = zip.folder(folderName);
-    const usedNames = new Set(); // To ensure uniqueness in ZIP
+    applyLogoToAll(false);
+});
+logoOpacity.addEventListener('change', () => applyLogoToAll(true));
 
-    // Disable button to prevent double clicks
-    downloadAllBtn.disabled = true;
-    const originalBtnText = downloadAllBtn.innerHTML;
-    downloadAllBtn.innerHTML = '<span>Packaging...</span>';
+// Logo 大小滑桿變更事件
+logoScale.addEventListener('input', (e) => {
+    const value = parseInt(e.target.value);
+    STATE.customLogo.scale = value / 100;
+    logoScaleValue.textContent = `${value}%`;
+    applyLogoToAll(false);
+});
+logoScale.addEventListener('change', () => applyLogoToAll(true));
 
-    try {
-        const promises = STATE.processors.map(p => {
-            // 確保我們拿到的是已經處理過的圖片 Canvas
-            if (!p.state.processedImageData) return null;
+// 清除 Logo 按鈕事件
+clearLogoBtn.addEventListener('click', () => {
+    STATE.customLogo.image = null;
+    STATE.customLogo.file = null;
+    STATE.customLogo.opacity = 0.8;
+    STATE.customLogo.scale = 1.0;
+    logoOpacity.value = 80;
+    logoOpacityValue.textContent = '80%';
+    logoScale.value = 100;
+    logoScaleValue.textContent = '100%';
+    updateLogoPreviewUI();
+    applyLogoToAll(true);
+});
 
-            return new Promise((resolve) => {
-                const format = STATE.downloadFormat;
-                const mimeType = format === 'jpeg' ? 'image/jpeg' : 'image/png';
-                const ext = format === 'jpeg' ? '.jpg' : '.png';
-                const quality = format === 'jpeg' ? 0.85 : undefined;
+// =============================================================================
+// 預設處理設定 (Default Settings)
+// =============================================================================
 
-                // Construct filename
-                const nameParts = p.file.name.split('.');
-                nameParts.pop(); // remove extension
-                const suffix = Localization.get('cleanSuffix') || '_clean';
-                let filename = `${nameParts.join('.')}${suffix}${ext}`;
+/**
+ * 新卡片使用的處理設定，保存在 localStorage
+ * 「套用到所有圖片」會把目前的預設值寫入每張卡片並重新排入 Worker。
+ */
+const DefaultSettings = {
+    STORAGE_KEY: 'defaultConfig',
+    BUILTIN: {
+        profile: 'auto', // 浮水印 Profile，'auto' 會嘗試所有啟用的 Profile
+        forceMode: 'auto',
+        forcePosition: 'auto', // 浮水印位置設定，預設為 auto
+        alphaGain: 0.5, // 浮水印強度增益，預設 0.5 適用最新 Gemini 浮水印
+        autoStrength: true, // 是否開啟自動強度偵測
+        inpaint: false, // 是否修補還原後仍殘留的像素（JPEG 壓縮造成的輪廓與色環）
+        inpaintStrength: 0.5 // 修補強度 0 ~ 1
+    },
+    config: null,
+    elements: {
+        settings: document.getElementById('defaultSettings'),
+        header: document.getElementById('defaultsToggleHeader'),
+        profile: document.getElementById('defaultProfile'),
+        size: document.getElementById('defaultSize'),
+        position: document.getElementById('defaultPosition'),
+        autoStrength: document.getElementById('defaultAutoStrength'),
+        alpha: document.getElementById('defaultAlpha'),
+        alphaValue: document.getElementById('defaultAlphaValue'),
+        inpaint: document.getElementById('defaultInpaint'),
+        inpaintStrength: document.getElementById('defaultInpaintStrength'),
+        inpaintValue: document.getElementById('defaultInpaintValue'),
+        resetBtn: document.getElementById('defaultsResetBtn'),
+        applyBtn: document.getElementById('defaultsApplyBtn')
+    },
 
-                // Ensure uniqueness in ZIP
-                if (usedNames.has(filename)) {
-                    let counter = 1;
-                    const basePart = filename.substring(0, filename.lastIndexOf(suffix));
-                    while (usedNames.has(filename)) {
-                        filename = `${basePart}_${counter}${suffix}${ext}`;
-                        counter++;
-                    }
-                }
-                usedNames.add(filename);
+    init() {
+        this.config = this.load();
+        const el = this.elements;
+        if (!el.settings) return;
 
-                p.elements.canvas.toBlob((blob) => {
-                    if (blob) {
-                        folder.file(filename, blob);
-                    }
-                    resolve();
-                }, mimeType, quality);
-            });
+        el.header.addEventListener('click', () => {
+            el.settings.classList.toggle('collapsed');
         });
+        el.profile.addEventListener('change', (e) => this.set({ profile: e.target.value }));
+        el.size.addEventListener('change', (e) => this.set({ forceMode: e.target.value }));
+        el.position.addEventListener('change', (e) => this.set({ forcePosition: e.target.value }));
+        el.autoStrength.addEventListener('change', (e) => this.set({ autoStrength: e.target.checked }));
+        el.alpha.addEventListener('input', (e) => this.set({ alphaGain: parseFloat(e.target.value) }));
+        el.inpaint.addEventListener('change', (e) => this.set({ inpaint: e.target.checked }));
+        el.inpaintStrength.addEventListener('input', (e) => this.set({ inpaintStrength: parseFloat(e.target.value) }));
+        el.resetBtn.addEventListener('click', () => this.set({ ...this.BUILTIN }));
+        el.applyBtn.addEventListener('click', () => this.applyToAll());
+
+        this.render();
+    },
 
-        await Promise.all(promises);
+    /**
+     * 讀取保存的預設值；只接受內建設定中存在且型別相同的欄位
+     */
+    load() {
+        const config = { ...this.BUILTIN };
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            if (saved && typeof saved === 'object') {
+                Object.keys(config).forEach(key => {
+                    if (typeof saved[key] === typeof config[key]) config[key] = saved[key];
+                });
+            }
+        } catch (err) {
+            console.warn('Ignoring invalid default settings:', err);
+        }
+        return config;
+    },
 
-        const content = await zip.generateAsync({ type: "blob" });
-        const url = URL.createObjectURL(content);
+    set(values) {
+        Object.assign(this.config, values);
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.config));
+        if ('profile' in values) this.renderSizeOptions();
+        this.render();
+    },
 
-        const link = document.createElement('a');
-        link.download = 'gemini_watermark_removed.zip';
-        link.href = url;
-        link.click();
+    /**
+     * 將預設值套用到所有現有卡片（以批次優先權排入 Worker，不阻擋正在操作的卡片）
+     */
+    applyToAll() {
+        STATE.processors.forEach(p => p.applyDefaults(this.config));
+    },
 
-        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    /**
+     * 依目前的 Profile 登錄檔產生選單；保存的 Profile 已不存在時改回自動
+     */
+    renderProfileOptions() {
+        const select = this.elements.profile;
+        if (!select) return;
+        if (this.config.profile !== 'auto' && STATE.profiles.length > 0 &&
+            !STATE.profiles.some(p => p.id === this.config.profile)) {
+            this.set({ profile: 'auto' });
+        }
 
-    } catch (err) {
-        console.error("ZIP generation failed:", err);
-        alert("Failed to create ZIP file. Falling back to individual downloads.");
-    } finally {
-        downloadAllBtn.disabled = false;
-        downloadAllBtn.innerHTML = originalBtnText;
-    }
-});
+        select.innerHTML = '';
+        select.add(new Option(Localization.get('profileAuto'), 'auto'));
+        STATE.profiles.forEach(profile => {
+            select.add(new Option(Localization.pick(profile.name), profile.id));
+        });
+        select.value = this.config.profile;
+        this.renderSizeOptions();
+    },
 
-// Download Format Selector
-const downloadFormatSelect = document.getElementById('downloadFormat');
-if (downloadFormatSelect) {
-    downloadFormatSelect.addEventListener('change', (e) => {
-        STATE.downloadFormat = e.target.value;
-    });
-}
+    /**
+     * 依預設的 Profile 產生尺寸選單；Profile 載入後保存的尺寸已不存在時改回自動
+     */
+    renderSizeOptions() {
+        const select = this.elements.size;
+        if (!select || STATE.profiles.length === 0) return;
+        const sizes = renderSizeOptions(select, this.config.profile);
+        if (this.config.forceMode !== 'scaled' && !sizes.includes(this.config.forceMode)) {
+            this.set({ forceMode: 'auto' });
+        }
+        select.value = this.config.forceMode;
+    },
+
+    render() {
+        const el = this.elements;
+        const config = this.config;
+        if (el.profile.options.length > 0) el.profile.value = config.profile;
+        if (el.size.options.length > 0) el.size.value = config.forceMode;
+        el.position.value = config.forcePosition;
+
+        el.autoStrength.checked = config.autoStrength;
+        el.alpha.disabled = config.autoStrength;
+        el.alpha.value = config.alphaGain;
+        el.alphaValue.textContent = config.autoStrength ? 'Auto' : config.alphaGain.toFixed(2);
+
+        el.inpaint.checked = config.inpaint;
+        el.inpaintStrength.disabled = !config.inpaint;
+        el.inpaintStrength.value = config.inpaintStrength;
+        el.inpaintValue.textContent = config.inpaintStrength.toFixed(2);
+    }
+};
 
 // =============================================================================
-// Logo 上傳與處理邏輯
+// 遮罩校正 (Mask Calibration)
 // =============================================================================
 
 /**
- * 更新 Logo 預覽 UI
- * 根據 STATE.customLogo.image 是否存在來切換顯示狀態
+ * 由使用者提供的純黑 / 純白算圖（或多張同代圖片）反推浮水印遮罩
+ * 運算與命令列 `gwr calibrate` 共用 WatermarkCore.calibrateMask，
+ * 產生的 Profile（遮罩 PNG + JSON）格式也與命令列相同。
  */
-function updateLogoPreviewUI() {
-    const logoThumbnail = document.getElementById('logoThumbnail');
-    const logoThumbnailImg = document.getElementById('logoThumbnailImg');
+const MaskCalibration = {
+    result: null, // calibrateMask 的回傳結果
+    statusKey: '', // 目前狀態列顯示的翻譯鍵值
+    elements: {
+        settings: document.getElementById('calibrationSettings'),
+        header: document.getElementById('calibrationToggleHeader'),
+        pickBtn: document.getElementById('calibrationPickBtn'),
+        input: document.getElementById('calibrationInput'),
+        status: document.getElementById('calibrationStatus'),
+        resultBox: document.getElementById('calibrationResult'),
+        preview: document.getElementById('calibrationPreview'),
+        summary: document.getElementById('calibrationSummary'),
+        name: document.getElementById('calibrationName'),
+        saveBtn: document.getElementById('calibrationSaveBtn'),
+        applyBtn: document.getElementById('calibrationApplyBtn')
+    },
+
+    init() {
+        const el = this.elements;
+        if (!el.settings) return;
+
+        el.header.addEventListener('click', () => {
+            el.settings.classList.toggle('collapsed');
+        });
+        el.pickBtn.addEventListener('click', () => el.input.click());
+        el.input.addEventListener('change', (e) => {
+            const files = Array.from(e.target.files).filter(f => f.type.startsWith('image/'));
+            el.input.value = '';
+            if (files.length > 0) this.run(files);
+        });
+        el.saveBtn.addEventListener('click', () => this.save());
+        el.applyBtn.addEventListener('click', () => this.apply());
+    },
+
+    /**
+     * 讀取圖片並執行校正（在主執行緒上執行，僅分析右下角視窗，速度足夠）
+     */
+    async run(files) {
+        this.setStatus('calibrationRunning');
+        try {
+            const images = await Promise.all(files.map(file => this.readImageData(file)));
+            this.result = WatermarkCore.calibrateMask(images);
+            this.setStatus('');
+            this.render();
+        } catch (err) {
+            console.error('Calibration failed:', err);
+            this.result = null;
+            this.elements.resultBox.style.display = 'none';
+            this.setStatus('calibrationFailed');
+        }
+    },
+
+    readImageData(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const img = new Image();
+            img.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = img.width;
+                canvas.height = img.height;
+                const ctx = canvas.getContext('2d');
+                ctx.drawImage(img, 0, 0);
+                URL.revokeObjectURL(url);
+                resolve(ctx.getImageData(0, 0, img.width, img.height));
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error(`Cannot decode ${file.name}`));
+            };
+            img.src = url;
+        });
+    },
+
+    setStatus(key) {
+        this.statusKey = key;
+        this.elements.status.textContent = key ? Localization.get(key) : '';
+    },
+
+    /**
+     * 將遮罩畫成灰階預覽（放大顯示，保留像素邊緣）
+     */
+    render() {
+        const { mask } = this.result;
+        const el = this.elements;
+        const source = document.createElement('canvas');
+        source.width = mask.width;
+        source.height = mask.height;
+        const encoded = WatermarkCore.encodeMask(mask);
+        source.getContext('2d').putImageData(new ImageData(encoded.data, mask.width, mask.height), 0, 0);
+
+        const zoom = Math.max(1, Math.floor(192 / mask.width));
+        el.preview.width = mask.width * zoom;
+        el.preview.height = mask.height * zoom;
+        const ctx = el.preview.getContext('2d');
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(source, 0, 0, el.preview.width, el.preview.height);
+
+        el.resultBox.style.display = 'flex';
+        this.updateStrings();
+    },
+
+    updateStrings() {
+        if (this.statusKey) this.setStatus(this.statusKey);
+        if (!this.result) return;
+        const r = this.result;
+        this.elements.summary.textContent = Localization.format('calibrationSummary', {
+            size: r.size,
+            marginX: r.marginX,
+            marginY: r.marginY,
+            method: Localization.get(r.method === 'flat' ? 'calibrationMethodFlat' : 'calibrationMethodRegression'),
+            count: r.imageCount
+        });
+    },
 
-    if (STATE.customLogo.image) {
-        // 顯示 Logo 預覽圖片（套用透明度效果）
-        const opacity = STATE.customLogo.opacity;
-        logoPreview.innerHTML = `<img src="${STATE.customLogo.image.src}" alt="Logo Preview" style="opacity: ${opacity}">`;
-        logoPreview.classList.add('has-logo');
-        logoControls.style.display = 'block';
-        clearLogoBtn.style.display = 'flex';
+    /**
+     * 下載 Profile：遮罩 PNG 與描述檔 JSON（與 `gwr calibrate` 的輸出相同）
+     */
+    save() {
+        if (!this.result) return;
+        const r = this.result;
+        const name = this.readName();
+        if (!name) return;
+
+        const profile = {
+            name,
+            mask: `${name}.png`,
+            size: r.size,
+            marginX: r.marginX,
+            marginY: r.marginY,
+            color: r.color,
+            method: r.method,
+            images: r.imageCount
+        };
+        const json = new Blob([JSON.stringify(profile, null, 2) + '\n'], { type: 'application/json' });
+        this.downloadBlob(json, `${name}.json`);
 
-        // 更新縮圖指示器
-        if (logoThumbnail && logoThumbnailImg) {
-            logoThumbnailImg.src = STATE.customLogo.image.src;
-            logoThumbnail.style.display = 'block';
-        }
-    } else {
-        // 恢復上傳提示
-        logoPreview.innerHTML = `
-            <svg class="upload-icon" width="32" height="32" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" 
-                    d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z"></path>
-            </svg>
-            <span class="upload-text" data-i18n="uploadLogo">${Localization.get('uploadLogo')}</span>
-        `;
-        logoPreview.classList.remove('has-logo');
-        logoControls.style.display = 'none';
-        clearLogoBtn.style.display = 'none';
+        const canvas = document.createElement('canvas');
+        canvas.width = r.mask.width;
+        canvas.height = r.mask.height;
+        const encoded = WatermarkCore.encodeMask(r.mask);
+        canvas.getContext('2d').putImageData(new ImageData(encoded.data, r.mask.width, r.mask.height), 0, 0);
+        canvas.toBlob((blob) => {
+            if (blob) this.downloadBlob(blob, `${name}.png`);
+        }, 'image/png');
+    },
 
-        // 隱藏縮圖指示器
-        if (logoThumbnail) {
-            logoThumbnail.style.display = 'none';
+    /**
+     * 讀取並驗證 Profile 名稱（同時作為檔名與 Profile id），不合法時提示並回傳 null
+     */
+    readName() {
+        const name = this.elements.name.value.trim();
+        if (!/^[\w.-]+$/.test(name)) {
+            alert(Localization.get('calibrationBadName'));
+            return null;
         }
+        return name;
+    },
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = url;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    /**
+     * 將校正結果加入 Profile 登錄檔（優先序高於現有 Profile，同名時取代），並重新處理所有圖片
+     */
+    apply() {
+        if (!this.result) return;
+        const name = this.readName();
+        if (!name) return;
+
+        const r = this.result;
+        const profile = WatermarkCore.normalizeProfile({
+            id: name,
+            name,
+            mask: r.mask,
+            marginX: r.marginX,
+            marginY: r.marginY,
+            color: r.color,
+            priority: Math.max(0, ...STATE.profiles.map(p => p.priority)) + 1
+        });
+        STATE.profiles = [profile].concat(STATE.profiles.filter(p => p.id !== name));
+        syncProfiles();
+        this.setStatus('calibrationApplied');
+        reprocessAllImages();
     }
-}
+};
+
+// =============================================================================
+// 除錯檢視 (Difference Heatmap)
+// =============================================================================
 
 /**
- * 重新處理所有已上傳的圖片
- * 當 Logo 或透明度變更時呼叫
+ * 將卡片的處理結果繪製為除錯檢視：原圖與最終結果的差異熱度圖，
+ * 疊加遮罩輪廓、所有候選區域與分數，以及套用的增益；卡片與 Lightbox 共用，也可匯出為 PNG 附在問題回報中。
  */
-function reprocessAllImages() {
-    STATE.processors.forEach(p => {
-        p.processAndRender();
-    });
-}
+const DebugView = {
+    /**
+     * 熱度圖由保存影像的 Worker 計算並縮放成指定尺寸（卡片上為預覽大小），輪廓與候選區域依比例繪製
+     * @param {ImageProcessor} processor
+     * @param {{ width: number, height: number }} [size] - 預設為原圖尺寸（燈箱與匯出）
+     * @returns {Promise<HTMLCanvasElement|null>} 尚未處理完成時為 null
+     */
+    async render(processor, size = processor.state.imageSize) {
+        if (!processor.state.ready) return null;
 
-// =============================================================================
-// Logo 設定區塊展開/收合邏輯
-// =============================================================================
+        const map = await processor.differenceMap(size);
+        const canvas = document.createElement('canvas');
+        canvas.width = size.width;
+        canvas.height = size.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(map.bitmap, 0, 0);
+        if (map.bitmap.close) map.bitmap.close();
+
+        const scale = size.width / processor.state.imageSize.width;
+        this.drawMaskOutline(ctx, processor, scale);
+        this.drawCandidates(ctx, processor, scale);
+        this.drawLegend(ctx, processor, map);
+        return canvas;
+    },
 
-const logoSettings = document.getElementById('logoSettings');
-const logoToggleHeader = document.getElementById('logoToggleHeader');
+    /**
+     * 取得區域實際使用的遮罩：尺寸相符時直接使用 Profile 的遮罩，否則（縮放或手動區域）由最大的遮罩重新取樣
+     */
+    maskFor(region) {
+        const profile = STATE.profiles.find(p => p.id === region.profile);
+        if (!profile) return null;
 
-if (logoToggleHeader) {
-    logoToggleHeader.addEventListener('click', (e) => {
-        // 如果點擊的是清除按鈕，不觸發展開/收合
-        if (e.target.closest('#clearLogoBtn')) return;
+        const sized = profile.sizes[region.size];
+        if (sized && sized.mask.width === region.width && sized.mask.height === region.height) return sized.mask;
 
-        logoSettings.classList.toggle('collapsed');
-    });
-}
+        const largest = Object.values(profile.sizes)
+            .map(s => s.mask)
+            .reduce((a, b) => (b.width > a.width ? b : a));
+        return WatermarkCore.resampleMask(largest, region.width, region.height);
+    },
 
-// Logo 上傳區域點擊事件
-logoUploadArea.addEventListener('click', () => {
-    logoInput.click();
-});
+    /**
+     * 以白色標出遮罩的輪廓（不透明度超過門檻、且旁邊有低於門檻的像素）
+     * 輪廓畫在遮罩大小的畫布上，再依比例放到熱度圖的區域位置
+     */
+    drawMaskOutline(ctx, processor, scale) {
+        const region = processor.state.detection && processor.state.detection.region;
+        if (!region) return;
+        const mask = this.maskFor(region);
+        if (!mask) return;
+
+        const threshold = WatermarkCore.CONSTANTS.ALPHA_THRESHOLD * 10;
+        const inside = (mx, my) => (
+            mx >= 0 && my >= 0 && mx < mask.width && my < mask.height &&
+            mask.alphas[my * mask.width + mx] > threshold
+        );
+        const outline = new ImageData(mask.width, mask.height);
+        const data = outline.data;
+
+        for (let my = 0; my < mask.height; my++) {
+            for (let mx = 0; mx < mask.width; mx++) {
+                if (!inside(mx, my)) continue;
+                if (inside(mx - 1, my) && inside(mx + 1, my) && inside(mx, my - 1) && inside(mx, my + 1)) continue;
+                data.fill(255, (my * mask.width + mx) * 4, (my * mask.width + mx) * 4 + 4);
+            }
+        }
 
-// Logo 檔案選擇事件
-logoInput.addEventListener('change', (e) => {
-    const file = e.target.files[0];
-    if (!file || !file.type.startsWith('image/')) return;
+        const layer = document.createElement('canvas');
+        layer.width = mask.width;
+        layer.height = mask.height;
+        layer.getContext('2d').putImageData(outline, 0, 0);
+        ctx.save();
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(layer, region.x * scale, region.y * scale, mask.width * scale, mask.height * scale);
+        ctx.restore();
+    },
 
-    const reader = new FileReader();
-    reader.onload = (event) => {
-        const img = new Image();
-        img.onload = () => {
-            STATE.customLogo.image = img;
-            updateLogoPreviewUI();
-            reprocessAllImages();
+    /**
+     * 畫出所有候選區域與分數；採用的區域以實線標示
+     * 候選區域為原圖座標，以 scale 換算到畫布；線寬與字級依畫布尺寸決定
+     */
+    drawCandidates(ctx, processor, scale) {
+        const detection = processor.state.detection;
+        if (!detection) return;
+
+        const { width, height } = ctx.canvas;
+        const px = Math.max(1, Math.round(Math.min(width, height) / 400));
+        const unit = px / scale; // 換算為原圖像素
+        const chosen = detection.region;
+        const profileName = (id) => {
+            const profile = STATE.profiles.find(p => p.id === id);
+            return profile ? Localization.pick(profile.name) : id;
         };
-        img.src = event.target.result;
-    };
-    reader.readAsDataURL(file);
-
-    // 重置 input 以便重複選擇同一檔案
-    logoInput.value = '';
-});
 
-// Logo 透明度滑桿變更事件
-logoOpacity.addEventListener('input', (e) => {
-    const value = parseInt(e.target.value);
-    STATE.customLogo.opacity = value / 100;
-    logoOpacityValue.textContent = `${value}%`;
+        ctx.save();
+        ctx.scale(scale, scale);
+        ctx.font = `${Math.max(11, px * 10) / scale}px sans-serif`;
+        ctx.textBaseline = 'bottom';
+        detection.candidates.forEach((candidate, index) => {
+            const isChosen = chosen &&
+                candidate.x === chosen.x && candidate.y === chosen.y &&
+                candidate.width === chosen.width && candidate.height === chosen.height;
+            ctx.lineWidth = isChosen ? unit * 2 : unit;
+            ctx.setLineDash(isChosen ? [] : [unit * 4, unit * 3]);
+            ctx.strokeStyle = isChosen ? '#10b981' : 'rgba(255, 255, 255, 0.8)';
+            ctx.strokeRect(candidate.x, candidate.y, candidate.width, candidate.height);
+
+            // 標籤依序往上錯開，避免位置重疊的候選互相遮住
+            const score = Number.isFinite(candidate.score) ? candidate.score.toFixed(3) : '-';
+            const label = `${profileName(candidate.profile)} ${candidate.width}px ${score}`;
+            const lineHeight = Math.max(13, px * 12) / scale;
+            const labelY = Math.max(lineHeight, candidate.y - unit * 2 - index * lineHeight);
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+            ctx.fillRect(candidate.x, labelY - lineHeight, ctx.measureText(label).width + unit * 4, lineHeight);
+            ctx.fillStyle = isChosen ? '#10b981' : '#fff';
+            ctx.fillText(label, candidate.x + unit * 2, labelY);
+        });
+        ctx.restore();
+    },
 
-    // 即時更新 Logo 預覽的透明度
-    const previewImg = logoPreview.querySelector('img');
-    if (previewImg) {
-        previewImg.style.opacity = STATE.customLogo.opacity;
-    }
+    /**
+     * 左上角的說明：偵測結果、套用的增益、最大差異與變更像素數，以及色階
+     */
+    drawLegend(ctx, processor, map) {
+        const { detection } = processor.state;
+        const { config } = processor;
+        const l = Localization;
+        const { width, height } = ctx.canvas;
+        const unit = Math.max(1, Math.round(Math.min(width, height) / 400));
+        const fontSize = Math.max(12, unit * 11);
+
+        const lines = [];
+        if (detection) {
+            const level = { found: 'confidenceFound', uncertain: 'confidenceUncertain', none: 'confidenceNone', manual: 'confidenceManual' }[detection.confidence];
+            lines.push(`${detection.profile || '-'} · ${detection.mode || '-'} · ${l.get(level)}`);
+            let gain = l.format('debugGain', { gain: config.alphaGain.toFixed(2) });
+            if (detection.channelGains) {
+                const [r, g, b] = detection.channelGains.map(v => v.toFixed(2));
+                gain += ` (R ${r} / G ${g} / B ${b})`;
+            }
+            lines.push(gain);
+        }
+        lines.push(l.format('debugDiff', { max: map.maxDiff, changed: map.changed }));
 
-    reprocessAllImages();
-});
+        ctx.save();
+        ctx.font = `${fontSize}px sans-serif`;
+        ctx.textBaseline = 'top';
+        const pad = fontSize / 2;
+        const lineHeight = fontSize * 1.4;
+        const barHeight = fontSize * 0.8;
+        const boxWidth = Math.max(...lines.map(line => ctx.measureText(line).width), fontSize * 10) + pad * 2;
+        const boxHeight = lines.length * lineHeight + barHeight + fontSize * 1.6 + pad * 2;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        ctx.fillRect(pad, pad, boxWidth, boxHeight);
+        ctx.fillStyle = '#fff';
+        lines.forEach((line, i) => ctx.fillText(line, pad * 2, pad * 2 + i * lineHeight));
+
+        // 色階：0 到最大差異（平方根刻度，與熱度圖相同）
+        const barY = pad * 2 + lines.length * lineHeight;
+        const barWidth = boxWidth - pad * 2;
+        const gradient = ctx.createLinearGradient(pad * 2, 0, pad * 2 + barWidth, 0);
+        for (let i = 0; i <= 4; i++) {
+            const [r, g, b] = WatermarkCore.heatmapColor(i / 4);
+            gradient.addColorStop(i / 4, `rgb(${r}, ${g}, ${b})`);
+        }
+        ctx.fillStyle = gradient;
+        ctx.fillRect(pad * 2, barY, barWidth, barHeight);
+        ctx.fillStyle = '#fff';
+        ctx.fillText('0', pad * 2, barY + barHeight + fontSize * 0.3);
+        ctx.textAlign = 'right';
+        ctx.fillText(String(map.maxDiff), pad * 2 + barWidth, barY + barHeight + fontSize * 0.3);
+        ctx.restore();
+    },
 
-// Logo 大小滑桿變更事件
-logoScale.addEventListener('input', (e) => {
-    const value = parseInt(e.target.value);
-    STATE.customLogo.scale = value / 100;
-    logoScaleValue.textContent = `${value}%`;
-    reprocessAllImages();
-});
+    /**
+     * 匯出除錯檢視為 PNG（檔名為原檔名加上 _debug）
+     */
+    async export(processor) {
+        let canvas;
+        try {
+            canvas = await this.render(processor);
+        } catch (err) {
+            console.error('Failed to export debug view:', err);
+            return;
+        }
+        if (!canvas) return;
 
-// 清除 Logo 按鈕事件
-clearLogoBtn.addEventListener('click', () => {
-    STATE.customLogo.image = null;
-    STATE.customLogo.opacity = 0.8;
-    STATE.customLogo.scale = 1.0;
-    logoOpacity.value = 80;
-    logoOpacityValue.textContent = '80%';
-    logoScale.value = 100;
-    logoScaleValue.textContent = '100%';
-    updateLogoPreviewUI();
-    reprocessAllImages();
-});
+        canvas.toBlob((blob) => {
+            if (!blob) return;
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            const nameParts = processor.file.name.split('.');
+            if (nameParts.length > 1) nameParts.pop(); // remove extension
+            link.download = `${nameParts.join('.')}_debug.png`;
+            link.href = url;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }, 'image/png');
+    }
+};
 
 // =============================================================================
 // Lightbox Controller
@@ -996,18 +3850,35 @@ clearLogoBtn.addEventListener('click', () => {
 const Lightbox = {
     elements: {
         modal: document.getElementById('lightbox'),
+        viewport: document.getElementById('lightboxViewport'),
         img: document.getElementById('lightboxImage'),
+        original: document.getElementById('lightboxOriginal'),
+        before: document.getElementById('lightboxBefore'),
+        split: document.getElementById('lightboxSplit'),
+        regionBtn: document.getElementById('lightboxRegionBtn'),
+        fitBtn: document.getElementById('lightboxFitBtn'),
+        debugBtn: document.getElementById('lightboxDebugBtn'),
+        exportBtn: document.getElementById('lightboxExportBtn'),
+        zoomValue: document.getElementById('lightboxZoomValue'),
         close: document.querySelector('.lightbox-close'),
         prev: document.getElementById('lightboxPrev'),
         next: document.getElementById('lightboxNext')
     },
     activeOriginal: null,
-    activeProcessed: null,
+    activeProcessed: null, // 處理結果的 URL：先顯示卡片預覽，完整解析度的 PNG 編碼完成後替換
+    loadToken: null,   // 丟棄切換圖片後才完成的編碼與除錯檢視
+    activeProcessor: null, // 目前顯示的卡片（取得浮水印區域用）
     currentIndex: -1,  // 當前顯示圖片的索引
+    imageSize: null,   // 目前圖片的 { width, height }
+    // 檢視狀態：畫面座標 = 圖片座標 × scale + (x, y)；fit 為 true 時圖片自動符合視窗
+    view: { scale: 1, x: 0, y: 0, fit: true },
+    split: 0.5,        // 分隔線位置（檢視區寬度的比例），左側顯示原圖
+    maxScale: 32,      // 最大放大倍率，足以看清單一像素
+    debug: false,      // 以差異熱度圖取代處理結果（切換圖片時保留）
 
     /**
      * 初始化 Lightbox 控制器
-     * 綁定關閉、導航箭頭與鍵盤事件
+     * 綁定關閉、導航箭頭、鍵盤、縮放平移與分隔線事件
      */
     init() {
         console.log('Lightbox initializing, modal found:', !!this.elements.modal);
@@ -1032,69 +3903,351 @@ const Lightbox = {
             };
         }
 
-        // 鍵盤事件：Escape 關閉, 左右方向鍵導航
+        this.elements.regionBtn.onclick = () => this.jumpToRegion();
+        this.elements.fitBtn.onclick = () => this.fitView();
+        this.elements.debugBtn.onclick = () => {
+            this.debug = !this.debug;
+            this.renderImage();
+        };
+        this.elements.exportBtn.onclick = () => {
+            if (this.activeProcessor) DebugView.export(this.activeProcessor);
+        };
+
+        // 鍵盤事件：Escape 關閉, 左右方向鍵導航, +/- 縮放, 0 符合視窗
         document.addEventListener('keydown', (e) => {
-            if (this.elements.modal.style.display !== 'flex') return;
+            if (!this.isOpen()) return;
 
+            const { width, height } = this.viewportSize();
             if (e.key === 'Escape') {
                 this.close();
             } else if (e.key === 'ArrowLeft') {
                 this.navigate(-1);
             } else if (e.key === 'ArrowRight') {
                 this.navigate(1);
+            } else if (e.key === '+' || e.key === '=') {
+                this.zoomAt(1.5, width / 2, height / 2);
+            } else if (e.key === '-' || e.key === '_') {
+                this.zoomAt(1 / 1.5, width / 2, height / 2);
+            } else if (e.key === '0') {
+                this.fitView();
             }
         });
 
-        // Long Press comparison in Lightbox
-        const start = (e) => {
-            if (e.type === 'mousedown' && e.button !== 0) return;
-            if (this.activeOriginal) {
-                this.elements.img.src = this.activeOriginal.src;
+        window.addEventListener('resize', () => {
+            if (!this.isOpen() || !this.imageSize) return;
+            if (this.view.fit) {
+                this.fitView();
+            } else {
+                this.applyView();
+            }
+        });
+
+        this.bindViewport();
+    },
+
+    /**
+     * 檢視區的指標操作：拖曳分隔線比較、單指 / 滑鼠拖曳平移、雙指縮放，滾輪以游標為中心縮放
+     */
+    bindViewport() {
+        const viewport = this.elements.viewport;
+        const pointers = new Map(); // pointerId → 檢視區座標
+        let gesture = null;
+
+        const toViewport = (e) => {
+            const rect = viewport.getBoundingClientRect();
+            return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+        };
+
+        // 依目前按下的指標數開始平移或雙指縮放
+        const startGesture = () => {
+            const points = Array.from(pointers.values());
+            const { scale, x, y } = this.view;
+            if (points.length >= 2) {
+                const [a, b] = points;
+                const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+                gesture = {
+                    type: 'pinch',
+                    distance: Math.hypot(a.x - b.x, a.y - b.y) || 1,
+                    scale,
+                    // 雙指中點下的圖片座標，縮放時保持在中點下
+                    anchor: { x: (mid.x - x) / scale, y: (mid.y - y) / scale }
+                };
+            } else if (points.length === 1) {
+                gesture = { type: 'pan', start: points[0], origin: { x, y } };
+            } else {
+                gesture = null;
             }
         };
-        const end = (e) => {
-            if (this.activeProcessed) {
-                this.elements.img.src = this.activeProcessed;
+
+        viewport.addEventListener('pointerdown', (e) => {
+            if (e.pointerType === 'mouse' && e.button !== 0) return;
+            if (!this.imageSize) return;
+            e.preventDefault();
+            viewport.setPointerCapture(e.pointerId);
+            pointers.set(e.pointerId, toViewport(e));
+
+            if (pointers.size === 1 && e.target.closest('.lightbox-split')) {
+                gesture = { type: 'split' };
+            } else {
+                startGesture();
+            }
+        });
+
+        viewport.addEventListener('pointermove', (e) => {
+            if (!pointers.has(e.pointerId) || !gesture) return;
+            const point = toViewport(e);
+            pointers.set(e.pointerId, point);
+
+            if (gesture.type === 'split') {
+                this.split = Math.min(1, Math.max(0, point.x / viewport.clientWidth));
+                this.applySplit();
+            } else if (gesture.type === 'pan') {
+                this.view.x = gesture.origin.x + point.x - gesture.start.x;
+                this.view.y = gesture.origin.y + point.y - gesture.start.y;
+                this.applyView();
+            } else if (gesture.type === 'pinch') {
+                const [a, b] = Array.from(pointers.values());
+                const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+                const scale = this.clampScale(gesture.scale * Math.hypot(a.x - b.x, a.y - b.y) / gesture.distance);
+                this.view = {
+                    scale,
+                    x: mid.x - gesture.anchor.x * scale,
+                    y: mid.y - gesture.anchor.y * scale,
+                    fit: false
+                };
+                this.applyView();
             }
+        });
+
+        const endPointer = (e) => {
+            if (!pointers.delete(e.pointerId)) return;
+            // 雙指放開其中一指時改為以剩下的指標平移
+            if (gesture && gesture.type === 'split' && pointers.size > 0) return;
+            startGesture();
         };
+        viewport.addEventListener('pointerup', endPointer);
+        viewport.addEventListener('pointercancel', endPointer);
+
+        viewport.addEventListener('wheel', (e) => {
+            if (!this.imageSize) return;
+            e.preventDefault();
+            const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY; // 以行為單位時換算為像素
+            const point = toViewport(e);
+            this.zoomAt(Math.exp(-delta * 0.002), point.x, point.y);
+        }, { passive: false });
+    },
 
-        this.elements.img.addEventListener('mousedown', start);
-        this.elements.img.addEventListener('touchstart', start);
-        this.elements.img.addEventListener('mouseup', end);
-        this.elements.img.addEventListener('touchend', end);
-        this.elements.img.addEventListener('mouseleave', end);
+    isOpen() {
+        return this.elements.modal.style.display === 'flex';
+    },
+
+    viewportSize() {
+        return { width: this.elements.viewport.clientWidth, height: this.elements.viewport.clientHeight };
     },
 
     /**
-     * 開啟 Lightbox 顯示圖片
-     * @param {ImageData} processedImageData - 處理後的圖片資料
-     * @param {HTMLImageElement} originalImage - 原始圖片
-     * @param {ImageProcessor} processor - 圖片處理器實例（用於確定索引）
+     * 完整顯示圖片的倍率（不超過 100%），也是可縮小的下限
      */
-    open(processedImageData, originalImage, processor) {
-        if (!processedImageData || !originalImage) return;
+    fitScale() {
+        const { width, height } = this.imageSize;
+        const viewport = this.viewportSize();
+        return Math.min(viewport.width / width, viewport.height / height, 1);
+    },
 
-        // 找到當前圖片在 processors 陣列中的索引
-        if (processor) {
-            this.currentIndex = STATE.processors.indexOf(processor);
-        } else {
-            this.currentIndex = -1;
-        }
+    clampScale(scale) {
+        return Math.min(this.maxScale, Math.max(this.fitScale(), scale));
+    },
+
+    /**
+     * 縮放至符合視窗並置中
+     */
+    fitView() {
+        if (!this.imageSize) return;
+        this.view = { scale: this.fitScale(), x: 0, y: 0, fit: true };
+        this.applyView();
+    },
+
+    /**
+     * 以檢視區上的一點為中心縮放（該點下的圖片位置不變）
+     * @param {number} factor - 倍率變化，大於 1 為放大
+     */
+    zoomAt(factor, px, py) {
+        if (!this.imageSize) return;
+        const { scale, x, y } = this.view;
+        const next = this.clampScale(scale * factor);
+        this.view = {
+            scale: next,
+            x: px - ((px - x) / scale) * next,
+            y: py - ((py - y) / scale) * next,
+            fit: next <= this.fitScale()
+        };
+        this.applyView();
+    },
+
+    /**
+     * 以指定倍率將圖片上的一點移到檢視區中央
+     */
+    zoomTo(scale, cx, cy) {
+        const viewport = this.viewportSize();
+        const next = this.clampScale(scale);
+        this.view = {
+            scale: next,
+            x: viewport.width / 2 - cx * next,
+            y: viewport.height / 2 - cy * next,
+            fit: next <= this.fitScale()
+        };
+        this.applyView();
+    },
+
+    /**
+     * 限制平移範圍後套用到兩張圖片：圖片比檢視區小的方向置中，否則不留空白
+     */
+    applyView() {
+        const { width, height } = this.imageSize;
+        const viewport = this.viewportSize();
+        const view = this.view;
+        const shownWidth = width * view.scale;
+        const shownHeight = height * view.scale;
+
+        view.x = shownWidth <= viewport.width
+            ? (viewport.width - shownWidth) / 2
+            : Math.min(0, Math.max(viewport.width - shownWidth, view.x));
+        view.y = shownHeight <= viewport.height
+            ? (viewport.height - shownHeight) / 2
+            : Math.min(0, Math.max(viewport.height - shownHeight, view.y));
+
+        const transform = `translate(${view.x}px, ${view.y}px) scale(${view.scale})`;
+        this.elements.img.style.transform = transform;
+        this.elements.original.style.transform = transform;
+        this.elements.viewport.classList.toggle('pixelated', view.scale >= 2);
+        this.elements.zoomValue.textContent = `${Math.round(view.scale * 100)}%`;
+    },
+
+    /**
+     * 依分隔線位置裁切上層的原圖
+     */
+    applySplit() {
+        this.elements.before.style.clipPath = `inset(0 ${(1 - this.split) * 100}% 0 0)`;
+        this.elements.split.style.left = `${this.split * 100}%`;
+    },
+
+    /**
+     * 目前卡片的浮水印區域（手動指定優先）
+     */
+    activeRegion() {
+        const processor = this.activeProcessor;
+        if (!processor) return null;
+        return processor.config.manualRegion || processor.state.watermarkRegion;
+    },
+
+    /**
+     * 放大到浮水印區域並將分隔線移到區域中央
+     * 區域約佔檢視區短邊的三分之一，保留周圍的背景作為比較
+     */
+    jumpToRegion() {
+        const region = this.activeRegion();
+        if (!region) return;
+        const viewport = this.viewportSize();
+        const scale = Math.min(viewport.width, viewport.height) / (Math.max(region.width, region.height) * 3);
+        this.zoomTo(scale, region.x + region.width / 2, region.y + region.height / 2);
+        this.split = 0.5;
+        this.applySplit();
+    },
+
+    /**
+     * 顯示指定卡片的圖片
+     * 切換圖片時維持目前的縮放倍率，並以相同的相對位置為中心；尚未縮放過時自動符合視窗
+     */
+    show(processor) {
+        const previous = this.imageSize;
+        const viewport = this.viewportSize();
+        const center = previous && {
+            x: (viewport.width / 2 - this.view.x) / (previous.width * this.view.scale),
+            y: (viewport.height / 2 - this.view.y) / (previous.height * this.view.scale)
+        };
 
-        // Clone/Store original
-        this.activeOriginal = originalImage;
+        const originalUrl = processor.state.originalUrl;
+        this.activeOriginal = originalUrl;
+        this.activeProcessor = processor;
 
-        // Convert Processed ImageData to DataURL for <img>
+        // 先放大顯示卡片上的預覽，完整解析度的結果由保存影像的 Worker 編碼成 PNG 後替換
+        const { width, height } = processor.state.imageSize;
+        const preview = processor.state.preview;
         const canvas = document.createElement('canvas');
-        canvas.width = processedImageData.width;
-        canvas.height = processedImageData.height;
-        const ctx = canvas.getContext('2d');
-        ctx.putImageData(processedImageData, 0, 0);
-        this.activeProcessed = canvas.toDataURL();
+        canvas.width = preview.width;
+        canvas.height = preview.height;
+        canvas.getContext('2d').drawImage(preview, 0, 0);
+        this.setProcessed(canvas.toDataURL());
+        const token = this.loadToken = {};
+        processor.encode({ format: 'png', keepMetadata: false }).then((blob) => {
+            if (!blob || token !== this.loadToken) return;
+            this.setProcessed(URL.createObjectURL(blob));
+            if (!this.debug) this.elements.img.src = this.activeProcessed;
+        }).catch((err) => {
+            if (err.name !== 'AbortError') console.error('Failed to load full image:', err);
+        });
 
         // Set content
-        this.elements.img.src = this.activeProcessed;
+        this.renderImage();
+        this.elements.original.src = originalUrl;
+        [this.elements.img, this.elements.original].forEach(el => {
+            el.style.width = `${width}px`;
+            el.style.height = `${height}px`;
+        });
+        this.imageSize = { width, height };
+
+        if (this.view.fit || !previous) {
+            this.fitView();
+        } else {
+            this.zoomTo(this.view.scale, center.x * width, center.y * height);
+        }
+        this.applySplit();
+        this.elements.regionBtn.disabled = !this.activeRegion();
+    },
+
+    /**
+     * 更換處理結果的 URL，並釋放先前的 Blob URL
+     */
+    setProcessed(url) {
+        if (this.activeProcessed && this.activeProcessed.startsWith('blob:')) URL.revokeObjectURL(this.activeProcessed);
+        this.activeProcessed = url;
+    },
+
+    /**
+     * 依目前模式顯示處理結果或除錯檢視（除錯檢視為原圖解析度，由 Worker 計算）
+     */
+    async renderImage() {
+        const processor = this.activeProcessor;
+        const token = this.loadToken;
+        this.elements.debugBtn.classList.toggle('active', this.debug);
+        this.elements.debugBtn.disabled = !processor;
+
+        let view = null;
+        if (this.debug && processor) {
+            try {
+                view = await DebugView.render(processor);
+            } catch (err) {
+                if (err.name !== 'AbortError') console.error('Failed to render debug view:', err);
+            }
+            if (token !== this.loadToken || !this.debug) return;
+        }
+        this.elements.img.src = view ? view.toDataURL() : this.activeProcessed;
+        this.elements.exportBtn.disabled = !view;
+    },
+
+    /**
+     * 開啟 Lightbox 顯示圖片
+     * @param {ImageProcessor} processor - 圖片處理器實例（用於確定索引）
+     */
+    open(processor) {
+        if (!processor || !processor.state.ready || !processor.state.originalUrl) return;
+
+        // 找到當前圖片在 processors 陣列中的索引
+        this.currentIndex = STATE.processors.indexOf(processor);
+
+        // 先顯示才能量測檢視區大小
         this.elements.modal.style.display = 'flex';
+        this.show(processor);
 
         // 更新導航箭頭顯示狀態
         this.updateNavVisibility();
@@ -1114,22 +4267,13 @@ const Lightbox = {
         if (newIndex < 0 || newIndex >= total) return;
 
         const targetProcessor = STATE.processors[newIndex];
-        if (!targetProcessor || !targetProcessor.state.processedImageData) return;
+        if (!targetProcessor || !targetProcessor.state.ready) return;
 
         // 更新當前索引
         this.currentIndex = newIndex;
 
         // 更新顯示的圖片
-        this.activeOriginal = targetProcessor.state.originalImage;
-
-        const canvas = document.createElement('canvas');
-        canvas.width = targetProcessor.state.processedImageData.width;
-        canvas.height = targetProcessor.state.processedImageData.height;
-        const ctx = canvas.getContext('2d');
-        ctx.putImageData(targetProcessor.state.processedImageData, 0, 0);
-        this.activeProcessed = canvas.toDataURL();
-
-        this.elements.img.src = this.activeProcessed;
+        this.show(targetProcessor);
 
         // 更新導航箭頭顯示狀態
         this.updateNavVisibility();
@@ -1172,9 +4316,15 @@ const Lightbox = {
     close() {
         this.elements.modal.style.display = 'none';
         this.elements.img.src = '';
+        this.elements.original.src = '';
         this.activeOriginal = null;
-        this.activeProcessed = null;
+        this.setProcessed(null);
+        this.loadToken = null;
+        this.activeProcessor = null;
         this.currentIndex = -1;
+        // 下次開啟時重新符合視窗
+        this.imageSize = null;
+        this.view.fit = true;
     }
 };
 
@@ -1231,5 +4381,12 @@ const ThemeManager = {
 
 // Init
 init();
+registerServiceWorker();
 // Initialize Lightbox
 Lightbox.init();
+MaskCalibration.init();
+DefaultSettings.init();
+Selection.init();
+OutputFolder.init();
+FilenameTemplate.init();
+OutputQuality.init();
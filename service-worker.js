@@ -1,4 +1,4 @@
-const CACHE_NAME = 'gemini-watermark-v4';
+const CACHE_NAME = 'gemini-watermark-v15';
 const ASSETS_TO_CACHE = [
     './',
     './index.html',
@@ -6,9 +6,32 @@ const ASSETS_TO_CACHE = [
     './script.js',
     './translations.js',
     './worker.js',
+    './watermark-core.js',
+    './worker-pool.js',
+    './session-store.js',
+    './image-metadata.js',
+    './image-encoder.js',
+    './image-composite.js',
+    './libs/jszip.min.js',
+    // WASM encoders, used when the browser cannot encode WebP / AVIF natively (see libs/jsquash/README.md)
+    './libs/jsquash/wasm-feature-detect/index.js',
+    './libs/jsquash/webp/encode.js',
+    './libs/jsquash/webp/meta.js',
+    './libs/jsquash/webp/utils.js',
+    './libs/jsquash/webp/codec/enc/webp_enc.js',
+    './libs/jsquash/webp/codec/enc/webp_enc.wasm',
+    './libs/jsquash/webp/codec/enc/webp_enc_simd.js',
+    './libs/jsquash/webp/codec/enc/webp_enc_simd.wasm',
+    './libs/jsquash/avif/encode.js',
+    './libs/jsquash/avif/meta.js',
+    './libs/jsquash/avif/utils.js',
+    './libs/jsquash/avif/codec/enc/avif_enc.js',
+    './libs/jsquash/avif/codec/enc/avif_enc.wasm',
     './assets/favicon.svg',
+    './assets/profiles.json',
     './assets/mask_48.png',
-    './assets/mask_96.png'
+    './assets/mask_96.png',
+    './assets/mask_example_40.png'
 ];
 
 // Install Event
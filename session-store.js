@@ -0,0 +1,124 @@
+// session-store.js
+
+/**
+ * 工作階段保存（IndexedDB）
+ * 重新整理或意外關閉分頁後，還原所有卡片與自訂 Logo：
+ * - cards：每張卡片的原始檔案 (File)、處理設定 config、修飾筆畫與排列順序
+ * - settings：全域設定（目前為自訂 Logo 的檔案、透明度與大小）
+ *
+ * 所有方法都回傳 Promise；瀏覽器不支援或拒絕存取 IndexedDB（例如部分無痕模式）時會 reject，
+ * 呼叫端只需記錄警告，頁面仍可正常使用（只是不保存）。
+ */
+class SessionStore {
+    /**
+     * @param {string} name - IndexedDB 資料庫名稱
+     */
+    constructor(name) {
+        this.name = name;
+        this.version = 1;
+        this.dbPromise = null;
+    }
+
+    /**
+     * 開啟（必要時建立）資料庫，只開啟一次
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+                const request = indexedDB.open(this.name, this.version);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('cards')) db.createObjectStore('cards', { keyPath: 'id' });
+                    if (!db.objectStoreNames.contains('settings')) db.createObjectStore('settings');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+            });
+            // 開啟失敗後允許下次重試
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * 在單一交易中執行操作，交易完成後 resolve 操作的結果
+     * @param {string[]} storeNames
+     * @param {'readonly'|'readwrite'} mode
+     * @param {function(Object<string, IDBObjectStore>): (IDBRequest|void)} operation
+     */
+    async transaction(storeNames, mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const stores = {};
+            storeNames.forEach(storeName => {
+                stores[storeName] = tx.objectStore(storeName);
+            });
+            const request = operation(stores);
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * 新增或更新一張卡片
+     * @param {{ id: string, order: number, file: File, config: Object, strokes: Object[] }} record
+     */
+    saveCard(record) {
+        return this.transaction(['cards'], 'readwrite', ({ cards }) => cards.put(record));
+    }
+
+    deleteCard(id) {
+        return this.transaction(['cards'], 'readwrite', ({ cards }) => cards.delete(id));
+    }
+
+    /**
+     * 讀取所有卡片，依 order 排序（與上傳順序相同）
+     * @returns {Promise<Object[]>}
+     */
+    async loadCards() {
+        const records = await this.transaction(['cards'], 'readonly', ({ cards }) => cards.getAll());
+        return (records || []).sort((a, b) => a.order - b.order);
+    }
+
+    saveSetting(key, value) {
+        return this.transaction(['settings'], 'readwrite', ({ settings }) => settings.put(value, key));
+    }
+
+    loadSetting(key) {
+        return this.transaction(['settings'], 'readonly', ({ settings }) => settings.get(key));
+    }
+
+    deleteSetting(key) {
+        return this.transaction(['settings'], 'readwrite', ({ settings }) => settings.delete(key));
+    }
+
+    /**
+     * 清除整個工作階段（所有卡片與設定）
+     */
+    clear() {
+        return this.transaction(['cards', 'settings'], 'readwrite', ({ cards, settings }) => {
+            cards.clear();
+            settings.clear();
+        });
+    }
+
+    /**
+     * 此網站目前使用的儲存空間（包含 Service Worker 快取）
+     * @returns {Promise<{ usage: number, quota: number }|null>} 瀏覽器不支援時為 null
+     */
+    async estimate() {
+        if (!navigator.storage || !navigator.storage.estimate) return null;
+        const { usage, quota } = await navigator.storage.estimate();
+        return { usage: usage || 0, quota: quota || 0 };
+    }
+}
@@ -15,31 +15,134 @@ const translations = {
         "dropSubtext": "支援 JPG, PNG, WEBP (可批次處理)",
         "footerCredits": "凱文大叔製作",
         "footerLocal": "於您的瀏覽器本地運行。",
-        "lightboxCaption": "長按顯示原圖",
+        "lightboxCaption": "拖曳分隔線比較原圖；滾輪或雙指縮放，拖曳平移",
         "lightboxPrev": "上一張",
         "lightboxNext": "下一張",
         "processingError": "處理錯誤: ",
         "loadAssetsError": "無法載入浮水印資源，請檢查 Console。",
         "originalLabel": "原圖",
         "sizeAuto": "自動偵測大小",
-        "sizeSmall": "強制小尺寸 (48px)",
-        "sizeLarge": "強制大尺寸 (96px)",
+        "sizeForce": "強制{size} ({px}px)",
+        "sizeNameSmall": "小尺寸",
+        "sizeNameLarge": "大尺寸",
+        "sizeNameDefault": "固定尺寸",
         "strengthLabel": "強度調整:",
         "downloadBtn": "下載",
         "compareTitle": "按住對比",
         "removeTitle": "移除圖片",
-        "cleanSuffix": "_clean",
         "dragOver": "放開以開始上傳",
         "shortClick": "短按偵測，開啟 Lightbox",
         "lightboxClose": "關閉",
         "formatLabel": "格式:",
         "formatPng": "PNG (無損)",
         "formatJpeg": "JPEG (壓縮)",
-        "zipFolderName": "gemini_去除浮水印",
         "autoLabel": "自動",
         "positionAuto": "自動偵測位置",
         "positionNew": "新版邊距 (192px/96px)",
-        "positionOld": "舊版邊距 (64px/32px)"
+        "positionOld": "舊版邊距 (64px/32px)",
+        "positionSearch": "滑動搜尋位置 (裁切/補邊圖片)",
+        "searchResult": "位置 ({x}, {y})・邊距 {mx}/{my}px・信心度 {score}",
+        "sizeScaled": "任意尺寸 (縮放過的圖片)",
+        "scaledResult": "浮水印 {size}px ({scale}%)・位置 ({x}, {y})・信心度 {score}",
+        "confidenceFound": "✓ 已偵測到浮水印",
+        "confidenceUncertain": "? 不確定",
+        "confidenceNone": "✕ 未偵測到浮水印",
+        "candidateScores": "候選區域分數",
+        "skipUnmodified": "略過未去除浮水印的圖片",
+        "noCleanedImages": "沒有已去除浮水印的圖片可以下載。",
+        "inpaintLabel": "修補殘留",
+        "inpaintTitle": "以周圍紋理填補還原不完整的像素（適用於 JPEG 壓縮過的圖片）",
+        "overlayColorTitle": "估算的浮水印顏色 {color}・增益 R {r} / G {g} / B {b}",
+        "calibrationTitle": "🧪 遮罩校正（進階）",
+        "calibrationHint": "選擇同一代 Gemini 產生的純黑與純白圖片（或多張同代圖片），即可求出新的浮水印遮罩。",
+        "calibrationPick": "選擇校正圖片",
+        "calibrationRunning": "校正中...",
+        "calibrationFailed": "在這些圖片中找不到浮水印",
+        "calibrationApplied": "已套用校正遮罩",
+        "calibrationSummary": "{size}×{size} px，邊距 {marginX} / {marginY} px，{method}，{count} 張圖片",
+        "calibrationMethodFlat": "黑白精確求解",
+        "calibrationMethodRegression": "多圖迴歸估計",
+        "calibrationSave": "儲存 Profile",
+        "calibrationApply": "套用到處理",
+        "calibrationBadName": "Profile 名稱只能包含英數字、底線、點與連字號",
+        "profileAuto": "自動偵測 (所有 Profile)",
+        "regionTitle": "手動指定浮水印區域（拖曳移動、拖曳右下角縮放；方向鍵微調 1px，Shift 10px，+/- 縮放）",
+        "regionReset": "↺ 自動偵測",
+        "confidenceManual": "手動",
+        "manualResult": "手動區域：{size}px @ ({x}, {y})，相關度 {score}",
+        "touchUpTitle": "修飾筆刷",
+        "brushClone": "仿製",
+        "brushHeal": "修復",
+        "brushBlur": "模糊",
+        "brushSource": "設定來源",
+        "brushClear": "清除筆觸",
+        "brushSize": "大小",
+        "brushHardness": "硬度",
+        "brushSourceHint": "Alt + 點擊圖片設定取樣來源",
+        "brushPickSource": "點擊圖片設定取樣來源",
+        "brushNeedSource": "仿製與修復需要先設定取樣來源",
+        "brushStrokes": "{count} 筆筆觸，調整設定後會重新套用",
+        "historyTitle": "歷史紀錄（Ctrl+Z 復原、Ctrl+Shift+Z 重做）",
+        "historyOpen": "開啟圖片",
+        "historyProfile": "Profile",
+        "historySize": "大小",
+        "historyPosition": "位置",
+        "historyStrength": "強度",
+        "historyRegion": "浮水印區域",
+        "historyStroke": "筆觸",
+        "historyAuto": "自動偵測",
+        "historyOff": "關閉",
+        "processedLabel": "處理後",
+        "lightboxJumpRegion": "跳到浮水印區域",
+        "lightboxFit": "符合視窗",
+        "debugView": "差異熱度圖",
+        "debugExport": "匯出 PNG",
+        "debugGain": "增益 {gain}",
+        "debugDiff": "最大差異 {max}，變更 {changed} 像素",
+        "clearSession": "清除工作階段",
+        "clearSessionConfirm": "要移除所有圖片、自訂 Logo 與已保存的工作階段嗎？",
+        "storageUsage": "已使用 {usage} / {quota}",
+        "defaultsTitle": "⚙️ 預設處理設定",
+        "defaultsHint": "新加入的圖片會使用這些設定，設定會保存在此瀏覽器中。",
+        "defaultsReset": "還原內建設定",
+        "defaultsApply": "套用到所有圖片",
+        "historyDefaults": "套用預設設定",
+        "selectCard": "選取",
+        "selectAll": "全選",
+        "selectionCount": "已選取 {count} / {total} 張",
+        "bulkApply": "套用預設設定",
+        "bulkApplyTitle": "將「預設處理設定」中的設定套用到選取的圖片",
+        "bulkReprocess": "重新處理",
+        "bulkCopy": "複製",
+        "bulkDownload": "下載 ZIP",
+        "bulkRemove": "移除",
+        "bulkRemoveConfirm": "要移除選取的 {count} 張圖片嗎？",
+        "bulkCopied": "已複製 {count} 張圖片",
+        "bulkCopyUnsupported": "此瀏覽器無法將圖片複製到剪貼簿。",
+        "zipImportFailed": "無法讀取壓縮檔「{name}」。",
+        "outputTitle": "📁 輸出資料夾",
+        "outputHint": "選擇資料夾後，每張圖片處理完成就會直接寫入，並依原本的資料夾結構建立子資料夾。",
+        "outputPick": "選擇資料夾",
+        "outputStop": "停止寫入",
+        "outputPolicyLabel": "檔案已存在時:",
+        "outputPolicyRename": "另存新檔名",
+        "outputPolicyOverwrite": "覆寫",
+        "outputPolicySkip": "略過",
+        "outputStatus": "已寫入 {written} 張・略過 {skipped} 張・失敗 {failed} 張",
+        "filenameLabel": "檔名:",
+        "filenameTokens": "可用標記：{name} 原檔名、{index} 順序、{date} 日期、{mode} 偵測模式、{margin} 邊距、{gain} 強度、{ext} 副檔名",
+        "stripMetadata": "移除中繼資料 (EXIF / ICC / XMP)",
+        "stripMetadataTitle": "輸出時不保留原檔的相機資訊、GPS 與色彩描述檔；廣色域圖片（例如 Display P3）的顏色可能會偏移",
+        "formatWebp": "WebP (壓縮)",
+        "formatWebpLossless": "WebP (無損)",
+        "formatAvif": "AVIF (高壓縮)",
+        "qualityLabel": "品質:",
+        "estimatingSize": "估算大小中…",
+        "estimatedSize": "約 {size} / 張",
+        "formatUnsupported": "此瀏覽器無法輸出這個格式",
+        "encodeFailed": "編碼失敗: ",
+        "brushRemoveStroke": "移除這筆筆觸",
+        "historyRemoveStroke": "移除筆觸"
     },
     "zh-CN": {
         "appTitle": "Gemini 水印去除器",
@@ -57,31 +160,134 @@ const translations = {
         "dropSubtext": "支持 JPG, PNG, WEBP (可批量处理)",
         "footerCredits": "凯文大叔制作",
         "footerLocal": "于您的浏览器本地运行。",
-        "lightboxCaption": "长按显示原图",
+        "lightboxCaption": "拖动分隔线比较原图；滚轮或双指缩放，拖动平移",
         "lightboxPrev": "上一张",
         "lightboxNext": "下一张",
         "processingError": "处理错误: ",
         "loadAssetsError": "无法加载水印资源，请检查 Console。",
         "originalLabel": "原图",
         "sizeAuto": "自动检测大小",
-        "sizeSmall": "强制小尺寸 (48px)",
-        "sizeLarge": "强制大尺寸 (96px)",
+        "sizeForce": "强制{size} ({px}px)",
+        "sizeNameSmall": "小尺寸",
+        "sizeNameLarge": "大尺寸",
+        "sizeNameDefault": "固定尺寸",
         "strengthLabel": "强度调整:",
         "downloadBtn": "下载",
         "compareTitle": "按住对比",
         "removeTitle": "移除图片",
-        "cleanSuffix": "_clean",
         "dragOver": "松开以开始上传",
         "shortClick": "检测到短按，开启 Lightbox",
         "lightboxClose": "关闭",
         "formatLabel": "格式:",
         "formatPng": "PNG (无损)",
         "formatJpeg": "JPEG (压缩)",
-        "zipFolderName": "gemini_去除水印",
         "autoLabel": "自动",
         "positionAuto": "自动检测位置",
         "positionNew": "新版边距 (192px/96px)",
-        "positionOld": "旧版边距 (64px/32px)"
+        "positionOld": "旧版边距 (64px/32px)",
+        "positionSearch": "滑动搜索位置 (裁剪/补边图片)",
+        "searchResult": "位置 ({x}, {y})・边距 {mx}/{my}px・置信度 {score}",
+        "sizeScaled": "任意尺寸 (缩放过的图片)",
+        "scaledResult": "水印 {size}px ({scale}%)・位置 ({x}, {y})・置信度 {score}",
+        "confidenceFound": "✓ 已检测到水印",
+        "confidenceUncertain": "? 不确定",
+        "confidenceNone": "✕ 未检测到水印",
+        "candidateScores": "候选区域分数",
+        "skipUnmodified": "跳过未去除水印的图片",
+        "noCleanedImages": "没有已去除水印的图片可以下载。",
+        "inpaintLabel": "修补残留",
+        "inpaintTitle": "以周围纹理填补还原不完整的像素（适用于 JPEG 压缩过的图片）",
+        "overlayColorTitle": "估算的水印颜色 {color}・增益 R {r} / G {g} / B {b}",
+        "calibrationTitle": "🧪 遮罩校正（高级）",
+        "calibrationHint": "选择同一代 Gemini 生成的纯黑与纯白图片（或多张同代图片），即可求出新的水印遮罩。",
+        "calibrationPick": "选择校正图片",
+        "calibrationRunning": "校正中...",
+        "calibrationFailed": "在这些图片中找不到水印",
+        "calibrationApplied": "已应用校正遮罩",
+        "calibrationSummary": "{size}×{size} px，边距 {marginX} / {marginY} px，{method}，{count} 张图片",
+        "calibrationMethodFlat": "黑白精确求解",
+        "calibrationMethodRegression": "多图回归估计",
+        "calibrationSave": "保存 Profile",
+        "calibrationApply": "应用到处理",
+        "calibrationBadName": "Profile 名称只能包含英文数字、下划线、点与连字符",
+        "profileAuto": "自动检测 (所有 Profile)",
+        "regionTitle": "手动指定水印区域（拖动移动、拖动右下角缩放；方向键微调 1px，Shift 10px，+/- 缩放）",
+        "regionReset": "↺ 自动检测",
+        "confidenceManual": "手动",
+        "manualResult": "手动区域：{size}px @ ({x}, {y})，相关度 {score}",
+        "touchUpTitle": "修饰笔刷",
+        "brushClone": "仿制",
+        "brushHeal": "修复",
+        "brushBlur": "模糊",
+        "brushSource": "设置来源",
+        "brushClear": "清除笔触",
+        "brushSize": "大小",
+        "brushHardness": "硬度",
+        "brushSourceHint": "Alt + 点击图片设置取样来源",
+        "brushPickSource": "点击图片设置取样来源",
+        "brushNeedSource": "仿制与修复需要先设置取样来源",
+        "brushStrokes": "{count} 笔笔触，调整设置后会重新应用",
+        "historyTitle": "历史记录（Ctrl+Z 撤销、Ctrl+Shift+Z 重做）",
+        "historyOpen": "打开图片",
+        "historyProfile": "Profile",
+        "historySize": "大小",
+        "historyPosition": "位置",
+        "historyStrength": "强度",
+        "historyRegion": "水印区域",
+        "historyStroke": "笔触",
+        "historyAuto": "自动检测",
+        "historyOff": "关闭",
+        "processedLabel": "处理后",
+        "lightboxJumpRegion": "跳到水印区域",
+        "lightboxFit": "适应窗口",
+        "debugView": "差异热度图",
+        "debugExport": "导出 PNG",
+        "debugGain": "增益 {gain}",
+        "debugDiff": "最大差异 {max}，变更 {changed} 像素",
+        "clearSession": "清除会话",
+        "clearSessionConfirm": "要移除所有图片、自定义 Logo 与已保存的会话吗？",
+        "storageUsage": "已使用 {usage} / {quota}",
+        "defaultsTitle": "⚙️ 默认处理设置",
+        "defaultsHint": "新加入的图片会使用这些设置，设置会保存在此浏览器中。",
+        "defaultsReset": "恢复内置设置",
+        "defaultsApply": "应用到所有图片",
+        "historyDefaults": "应用默认设置",
+        "selectCard": "选择",
+        "selectAll": "全选",
+        "selectionCount": "已选择 {count} / {total} 张",
+        "bulkApply": "应用默认设置",
+        "bulkApplyTitle": "将“默认处理设置”中的设置应用到所选图片",
+        "bulkReprocess": "重新处理",
+        "bulkCopy": "复制",
+        "bulkDownload": "下载 ZIP",
+        "bulkRemove": "移除",
+        "bulkRemoveConfirm": "要移除所选的 {count} 张图片吗？",
+        "bulkCopied": "已复制 {count} 张图片",
+        "bulkCopyUnsupported": "此浏览器无法将图片复制到剪贴板。",
+        "zipImportFailed": "无法读取压缩文件“{name}”。",
+        "outputTitle": "📁 输出文件夹",
+        "outputHint": "选择文件夹后，每张图片处理完成就会直接写入，并按原来的文件夹结构创建子文件夹。",
+        "outputPick": "选择文件夹",
+        "outputStop": "停止写入",
+        "outputPolicyLabel": "文件已存在时:",
+        "outputPolicyRename": "另存新文件名",
+        "outputPolicyOverwrite": "覆盖",
+        "outputPolicySkip": "跳过",
+        "outputStatus": "已写入 {written} 张・跳过 {skipped} 张・失败 {failed} 张",
+        "filenameLabel": "文件名:",
+        "filenameTokens": "可用标记：{name} 原文件名、{index} 顺序、{date} 日期、{mode} 检测模式、{margin} 边距、{gain} 强度、{ext} 扩展名",
+        "stripMetadata": "移除元数据 (EXIF / ICC / XMP)",
+        "stripMetadataTitle": "输出时不保留原文件的相机信息、GPS 与色彩描述文件；广色域图片（例如 Display P3）的颜色可能会偏移",
+        "formatWebp": "WebP (压缩)",
+        "formatWebpLossless": "WebP (无损)",
+        "formatAvif": "AVIF (高压缩)",
+        "qualityLabel": "质量:",
+        "estimatingSize": "估算大小中…",
+        "estimatedSize": "约 {size} / 张",
+        "formatUnsupported": "此浏览器无法输出这个格式",
+        "encodeFailed": "编码失败: ",
+        "brushRemoveStroke": "移除这笔笔触",
+        "historyRemoveStroke": "移除笔触"
     },
     "en": {
         "appTitle": "Gemini Watermark Remover",
@@ -99,31 +305,134 @@ const translations = {
         "dropSubtext": "Supports JPG, PNG, WEBP (Batch Processing)",
         "footerCredits": "Made by Uncle Kevin",
         "footerLocal": "Runs locally in your browser.",
-        "lightboxCaption": "Long press to see original",
+        "lightboxCaption": "Drag the divider to compare with the original; scroll or pinch to zoom, drag to pan",
         "lightboxPrev": "Previous",
         "lightboxNext": "Next",
         "processingError": "Processing Error: ",
         "loadAssetsError": "Failed to load watermark assets. Please check the console.",
         "originalLabel": "Original",
         "sizeAuto": "Auto Detect",
-        "sizeSmall": "Force Small (48px)",
-        "sizeLarge": "Force Large (96px)",
+        "sizeForce": "Force {size} ({px}px)",
+        "sizeNameSmall": "Small",
+        "sizeNameLarge": "Large",
+        "sizeNameDefault": "Fixed",
         "strengthLabel": "Strength:",
         "downloadBtn": "Download",
         "compareTitle": "Hold to Compare",
         "removeTitle": "Remove Image",
-        "cleanSuffix": "_clean",
         "dragOver": "Release to Upload",
         "shortClick": "Short click detected, opening Lightbox",
         "lightboxClose": "Close",
         "formatLabel": "Format:",
         "formatPng": "PNG (Lossless)",
         "formatJpeg": "JPEG (Compressed)",
-        "zipFolderName": "gemini_clean",
         "autoLabel": "Auto",
         "positionAuto": "Auto Position",
         "positionNew": "New Margin (192px/96px)",
-        "positionOld": "Old Margin (64px/32px)"
+        "positionOld": "Old Margin (64px/32px)",
+        "positionSearch": "Search Near Corner (Cropped/Padded)",
+        "searchResult": "At ({x}, {y}) · margin {mx}/{my}px · confidence {score}",
+        "sizeScaled": "Any Size (Resized Image)",
+        "scaledResult": "Watermark {size}px ({scale}%) at ({x}, {y}) · confidence {score}",
+        "confidenceFound": "✓ Watermark found",
+        "confidenceUncertain": "? Uncertain",
+        "confidenceNone": "✕ No watermark found",
+        "candidateScores": "Candidate scores",
+        "skipUnmodified": "Skip images with no watermark removed",
+        "noCleanedImages": "No cleaned images to download.",
+        "inpaintLabel": "Repair Residue",
+        "inpaintTitle": "Fill pixels that could not be restored from the surrounding texture (helps with JPEG-compressed images)",
+        "overlayColorTitle": "Estimated watermark color {color} · gain R {r} / G {g} / B {b}",
+        "calibrationTitle": "🧪 Mask Calibration (Advanced)",
+        "calibrationHint": "Pick flat black and flat white renders from the same Gemini generation (or several images from that generation) to solve for a new watermark mask.",
+        "calibrationPick": "Choose Images",
+        "calibrationRunning": "Calibrating...",
+        "calibrationFailed": "No watermark found in these images",
+        "calibrationApplied": "Calibrated mask in use",
+        "calibrationSummary": "{size}×{size} px, margin {marginX} / {marginY} px, {method}, {count} images",
+        "calibrationMethodFlat": "black/white solve",
+        "calibrationMethodRegression": "multi-image regression",
+        "calibrationSave": "Save Profile",
+        "calibrationApply": "Use for Processing",
+        "calibrationBadName": "Profile names may only contain letters, digits, underscores, dots and hyphens",
+        "profileAuto": "Auto Detect (All Profiles)",
+        "regionTitle": "Set the watermark region by hand (drag to move, drag the corner to resize; arrow keys nudge 1px, Shift 10px, +/- resize)",
+        "regionReset": "↺ Auto detect",
+        "confidenceManual": "Manual",
+        "manualResult": "Manual region: {size}px @ ({x}, {y}), correlation {score}",
+        "touchUpTitle": "Touch-up brushes",
+        "brushClone": "Clone",
+        "brushHeal": "Heal",
+        "brushBlur": "Blur",
+        "brushSource": "Set source",
+        "brushClear": "Clear strokes",
+        "brushSize": "Size",
+        "brushHardness": "Hardness",
+        "brushSourceHint": "Alt + click the image to set the sample source",
+        "brushPickSource": "Click the image to set the sample source",
+        "brushNeedSource": "Clone and heal need a sample source first",
+        "brushStrokes": "{count} stroke(s), re-applied when settings change",
+        "historyTitle": "History (Ctrl+Z undo, Ctrl+Shift+Z redo)",
+        "historyOpen": "Opened",
+        "historyProfile": "Profile",
+        "historySize": "Size",
+        "historyPosition": "Position",
+        "historyStrength": "Strength",
+        "historyRegion": "Region",
+        "historyStroke": "Stroke",
+        "historyAuto": "auto detect",
+        "historyOff": "off",
+        "processedLabel": "Processed",
+        "lightboxJumpRegion": "Jump to watermark",
+        "lightboxFit": "Fit",
+        "debugView": "Difference heatmap",
+        "debugExport": "Export PNG",
+        "debugGain": "Gain {gain}",
+        "debugDiff": "Max difference {max}, {changed} px changed",
+        "clearSession": "Clear Session",
+        "clearSessionConfirm": "Remove all images, the custom logo and the saved session?",
+        "storageUsage": "Storage: {usage} / {quota}",
+        "defaultsTitle": "⚙️ Default Settings",
+        "defaultsHint": "New images start with these settings. They are saved in this browser.",
+        "defaultsReset": "Restore Built-in",
+        "defaultsApply": "Apply to All Images",
+        "historyDefaults": "Applied defaults",
+        "selectCard": "Select",
+        "selectAll": "Select all",
+        "selectionCount": "{count} of {total} selected",
+        "bulkApply": "Apply Defaults",
+        "bulkApplyTitle": "Apply the settings from Default Settings to the selected images",
+        "bulkReprocess": "Re-process",
+        "bulkCopy": "Copy",
+        "bulkDownload": "Download ZIP",
+        "bulkRemove": "Remove",
+        "bulkRemoveConfirm": "Remove the {count} selected images?",
+        "bulkCopied": "Copied {count} images",
+        "bulkCopyUnsupported": "This browser cannot copy images to the clipboard.",
+        "zipImportFailed": "Could not read the archive \"{name}\".",
+        "outputTitle": "📁 Output Folder",
+        "outputHint": "Once a folder is chosen, every image is written into it as soon as it finishes, mirroring the original folder structure.",
+        "outputPick": "Choose Folder",
+        "outputStop": "Stop Writing",
+        "outputPolicyLabel": "If the file exists:",
+        "outputPolicyRename": "Rename",
+        "outputPolicyOverwrite": "Overwrite",
+        "outputPolicySkip": "Skip",
+        "outputStatus": "{written} written · {skipped} skipped · {failed} failed",
+        "filenameLabel": "Filename:",
+        "filenameTokens": "Tokens: {name} original name, {index} position, {date} date, {mode} detection mode, {margin} margin, {gain} strength, {ext} extension",
+        "stripMetadata": "Strip metadata (EXIF / ICC / XMP)",
+        "stripMetadataTitle": "Don't keep camera info, GPS or the color profile of the original. Colors of wide-gamut images (e.g. Display P3) may shift",
+        "formatWebp": "WebP (Compressed)",
+        "formatWebpLossless": "WebP (Lossless)",
+        "formatAvif": "AVIF (High compression)",
+        "qualityLabel": "Quality:",
+        "estimatingSize": "Estimating size…",
+        "estimatedSize": "≈ {size} per image",
+        "formatUnsupported": "This browser can't encode this format",
+        "encodeFailed": "Encoding failed: ",
+        "brushRemoveStroke": "Remove this stroke",
+        "historyRemoveStroke": "Remove stroke"
     },
     "ja": {
         "appTitle": "Gemini 透かし除去ツール",
@@ -141,31 +450,134 @@ const translations = {
         "dropSubtext": "JPG, PNG, WEBP 対応 (一括処理可)",
         "footerCredits": "アンクル・ケビン制作",
         "footerLocal": "ブラウザ上でローカルに動作します。",
-        "lightboxCaption": "長押しで元画像を表示",
+        "lightboxCaption": "境界線をドラッグして元画像と比較、ホイールやピンチで拡大、ドラッグで移動",
         "lightboxPrev": "前へ",
         "lightboxNext": "次へ",
         "processingError": "処理エラー: ",
         "loadAssetsError": "透かしリソースの読み込みに失敗しました。コンソールを確認してください。",
         "originalLabel": "元画像",
         "sizeAuto": "サイズ自動検出",
-        "sizeSmall": "強制小 (48px)",
-        "sizeLarge": "強制大 (96px)",
+        "sizeForce": "強制{size} ({px}px)",
+        "sizeNameSmall": "小",
+        "sizeNameLarge": "大",
+        "sizeNameDefault": "固定",
         "strengthLabel": "強度調整:",
         "downloadBtn": "ダウンロード",
         "compareTitle": "長押しで比較",
         "removeTitle": "画像を削除",
-        "cleanSuffix": "_clean",
         "dragOver": "ドロップしてアップロード",
         "shortClick": "短押し検出、ライトボックスを開く",
         "lightboxClose": "閉じる",
         "formatLabel": "形式:",
         "formatPng": "PNG (可逆)",
         "formatJpeg": "JPEG (圧縮)",
-        "zipFolderName": "gemini_透かし除去",
         "autoLabel": "自動",
         "positionAuto": "自動位置検出",
         "positionNew": "新しい余白 (192px/96px)",
-        "positionOld": "古い余白 (64px/32px)"
+        "positionOld": "古い余白 (64px/32px)",
+        "positionSearch": "コーナー付近を探索 (トリミング/余白追加)",
+        "searchResult": "位置 ({x}, {y})・余白 {mx}/{my}px・信頼度 {score}",
+        "sizeScaled": "任意サイズ (リサイズ画像)",
+        "scaledResult": "透かし {size}px ({scale}%)・位置 ({x}, {y})・信頼度 {score}",
+        "confidenceFound": "✓ 透かしを検出",
+        "confidenceUncertain": "? 不確実",
+        "confidenceNone": "✕ 透かしが見つかりません",
+        "candidateScores": "候補領域のスコア",
+        "skipUnmodified": "透かしを除去していない画像をスキップ",
+        "noCleanedImages": "ダウンロードできる透かし除去済みの画像がありません。",
+        "inpaintLabel": "残留を修復",
+        "inpaintTitle": "復元できなかったピクセルを周囲のテクスチャで補完します（JPEG 圧縮画像向け）",
+        "overlayColorTitle": "推定した透かしの色 {color}・ゲイン R {r} / G {g} / B {b}",
+        "calibrationTitle": "🧪 マスク校正（上級者向け）",
+        "calibrationHint": "同じ世代の Gemini で生成した真っ黒・真っ白の画像（または同世代の複数画像）を選ぶと、新しい透かしマスクを求めます。",
+        "calibrationPick": "校正画像を選択",
+        "calibrationRunning": "校正中...",
+        "calibrationFailed": "これらの画像に透かしが見つかりません",
+        "calibrationApplied": "校正マスクを適用しました",
+        "calibrationSummary": "{size}×{size} px、余白 {marginX} / {marginY} px、{method}、画像 {count} 枚",
+        "calibrationMethodFlat": "黒白による厳密解",
+        "calibrationMethodRegression": "複数画像の回帰推定",
+        "calibrationSave": "プロファイルを保存",
+        "calibrationApply": "処理に使用",
+        "calibrationBadName": "プロファイル名には英数字・アンダースコア・ドット・ハイフンのみ使用できます",
+        "profileAuto": "自動検出（全プロファイル）",
+        "regionTitle": "透かし領域を手動で指定（ドラッグで移動、右下の角で拡大縮小。矢印キーで 1px、Shift で 10px、+/- でサイズ調整）",
+        "regionReset": "↺ 自動検出",
+        "confidenceManual": "手動",
+        "manualResult": "手動領域：{size}px @ ({x}, {y})、相関 {score}",
+        "touchUpTitle": "レタッチブラシ",
+        "brushClone": "コピースタンプ",
+        "brushHeal": "修復",
+        "brushBlur": "ぼかし",
+        "brushSource": "ソース指定",
+        "brushClear": "ストロークを消去",
+        "brushSize": "サイズ",
+        "brushHardness": "硬さ",
+        "brushSourceHint": "Alt + クリックでサンプル元を指定",
+        "brushPickSource": "画像をクリックしてサンプル元を指定",
+        "brushNeedSource": "コピースタンプと修復には先にサンプル元が必要です",
+        "brushStrokes": "ストローク {count} 件（設定変更時に再適用）",
+        "historyTitle": "履歴（Ctrl+Z で元に戻す、Ctrl+Shift+Z でやり直し）",
+        "historyOpen": "画像を開く",
+        "historyProfile": "プロファイル",
+        "historySize": "サイズ",
+        "historyPosition": "位置",
+        "historyStrength": "強度",
+        "historyRegion": "透かし領域",
+        "historyStroke": "ストローク",
+        "historyAuto": "自動検出",
+        "historyOff": "オフ",
+        "processedLabel": "処理後",
+        "lightboxJumpRegion": "透かし領域へ移動",
+        "lightboxFit": "画面に合わせる",
+        "debugView": "差分ヒートマップ",
+        "debugExport": "PNG を書き出す",
+        "debugGain": "ゲイン {gain}",
+        "debugDiff": "最大差分 {max}、変更 {changed} px",
+        "clearSession": "セッションを消去",
+        "clearSessionConfirm": "すべての画像、カスタムロゴ、保存されたセッションを削除しますか？",
+        "storageUsage": "使用量 {usage} / {quota}",
+        "defaultsTitle": "⚙️ デフォルト設定",
+        "defaultsHint": "新しく追加した画像にはこの設定が使われます。設定はこのブラウザに保存されます。",
+        "defaultsReset": "初期設定に戻す",
+        "defaultsApply": "すべての画像に適用",
+        "historyDefaults": "デフォルト設定を適用",
+        "selectCard": "選択",
+        "selectAll": "すべて選択",
+        "selectionCount": "{total} 枚中 {count} 枚を選択",
+        "bulkApply": "デフォルト設定を適用",
+        "bulkApplyTitle": "「デフォルト設定」の内容を選択した画像に適用します",
+        "bulkReprocess": "再処理",
+        "bulkCopy": "コピー",
+        "bulkDownload": "ZIP をダウンロード",
+        "bulkRemove": "削除",
+        "bulkRemoveConfirm": "選択した {count} 枚の画像を削除しますか？",
+        "bulkCopied": "{count} 枚の画像をコピーしました",
+        "bulkCopyUnsupported": "このブラウザでは画像をクリップボードにコピーできません。",
+        "zipImportFailed": "アーカイブ「{name}」を読み込めませんでした。",
+        "outputTitle": "📁 出力フォルダ",
+        "outputHint": "フォルダを選ぶと、処理が終わった画像から元のフォルダ構成のまま直接書き込まれます。",
+        "outputPick": "フォルダを選択",
+        "outputStop": "書き込みを停止",
+        "outputPolicyLabel": "ファイルが既にある場合:",
+        "outputPolicyRename": "名前を変えて保存",
+        "outputPolicyOverwrite": "上書き",
+        "outputPolicySkip": "スキップ",
+        "outputStatus": "書き込み {written} 枚・スキップ {skipped} 枚・失敗 {failed} 枚",
+        "filenameLabel": "ファイル名:",
+        "filenameTokens": "使用できるタグ: {name} 元のファイル名、{index} 順番、{date} 日付、{mode} 検出モード、{margin} 余白、{gain} 強度、{ext} 拡張子",
+        "stripMetadata": "メタデータを削除 (EXIF / ICC / XMP)",
+        "stripMetadataTitle": "元画像のカメラ情報・GPS・カラープロファイルを保持しません。広色域画像（Display P3 など）は色がずれる場合があります",
+        "formatWebp": "WebP (圧縮)",
+        "formatWebpLossless": "WebP (可逆)",
+        "formatAvif": "AVIF (高圧縮)",
+        "qualityLabel": "品質:",
+        "estimatingSize": "サイズを計算中…",
+        "estimatedSize": "約 {size} / 枚",
+        "formatUnsupported": "このブラウザはこの形式で出力できません",
+        "encodeFailed": "エンコードに失敗しました: ",
+        "brushRemoveStroke": "このストロークを削除",
+        "historyRemoveStroke": "ストロークを削除"
     },
     "ko": {
         "appTitle": "Gemini 워터마크 제거기",
@@ -183,30 +595,133 @@ const translations = {
         "dropSubtext": "JPG, PNG, WEBP 지원 (일괄 처리 가능)",
         "footerCredits": "Uncle Kevin 제작",
         "footerLocal": "브라우저에서 로컬로 실행됩니다.",
-        "lightboxCaption": "길게 눌러 원본 보기",
+        "lightboxCaption": "구분선을 끌어 원본과 비교하고, 휠이나 핀치로 확대, 드래그로 이동하세요",
         "lightboxPrev": "이전",
         "lightboxNext": "다음",
         "processingError": "처리 오류: ",
         "loadAssetsError": "워터마크 자산을 불러오지 못했습니다. 콘솔을 확인하세요.",
         "originalLabel": "원본",
         "sizeAuto": "자동 감지",
-        "sizeSmall": "소형 강제 (48px)",
-        "sizeLarge": "대형 강제 (96px)",
+        "sizeForce": "{size} 강제 ({px}px)",
+        "sizeNameSmall": "소형",
+        "sizeNameLarge": "대형",
+        "sizeNameDefault": "고정",
         "strengthLabel": "강도 조절:",
         "downloadBtn": "다운로드",
         "compareTitle": "길게 눌러 비교",
         "removeTitle": "이미지 제거",
-        "cleanSuffix": "_clean",
         "dragOver": "놓아서 업로드 시작",
         "shortClick": "짧은 클릭 감지, 라이트박스 열기",
         "lightboxClose": "닫기",
         "formatLabel": "형식:",
         "formatPng": "PNG (무손실)",
         "formatJpeg": "JPEG (압축)",
-        "zipFolderName": "gemini_워터마크_제거",
         "autoLabel": "자동",
         "positionAuto": "자동 위치 감지",
         "positionNew": "새 마진 (192px/96px)",
-        "positionOld": "이전 마진 (64px/32px)"
+        "positionOld": "이전 마진 (64px/32px)",
+        "positionSearch": "모서리 근처 탐색 (잘림/여백 추가)",
+        "searchResult": "위치 ({x}, {y}) · 마진 {mx}/{my}px · 신뢰도 {score}",
+        "sizeScaled": "임의 크기 (크기 조정된 이미지)",
+        "scaledResult": "워터마크 {size}px ({scale}%) · 위치 ({x}, {y}) · 신뢰도 {score}",
+        "confidenceFound": "✓ 워터마크 감지됨",
+        "confidenceUncertain": "? 불확실",
+        "confidenceNone": "✕ 워터마크 없음",
+        "candidateScores": "후보 영역 점수",
+        "skipUnmodified": "워터마크가 제거되지 않은 이미지 건너뛰기",
+        "noCleanedImages": "다운로드할 워터마크 제거 이미지가 없습니다.",
+        "inpaintLabel": "잔여물 복원",
+        "inpaintTitle": "복원되지 않은 픽셀을 주변 질감으로 채웁니다 (JPEG 압축 이미지에 유용)",
+        "overlayColorTitle": "추정된 워터마크 색상 {color} · 게인 R {r} / G {g} / B {b}",
+        "calibrationTitle": "🧪 마스크 보정 (고급)",
+        "calibrationHint": "같은 세대의 Gemini로 만든 완전 검정·완전 흰색 이미지(또는 같은 세대의 여러 이미지)를 선택하면 새 워터마크 마스크를 계산합니다.",
+        "calibrationPick": "보정 이미지 선택",
+        "calibrationRunning": "보정 중...",
+        "calibrationFailed": "이 이미지들에서 워터마크를 찾을 수 없습니다",
+        "calibrationApplied": "보정 마스크 적용됨",
+        "calibrationSummary": "{size}×{size} px, 여백 {marginX} / {marginY} px, {method}, 이미지 {count}장",
+        "calibrationMethodFlat": "흑백 정밀 계산",
+        "calibrationMethodRegression": "다중 이미지 회귀 추정",
+        "calibrationSave": "프로필 저장",
+        "calibrationApply": "처리에 사용",
+        "calibrationBadName": "프로필 이름에는 영문, 숫자, 밑줄, 점, 하이픈만 사용할 수 있습니다",
+        "profileAuto": "자동 감지 (모든 프로필)",
+        "regionTitle": "워터마크 영역 직접 지정 (드래그로 이동, 오른쪽 아래 모서리로 크기 조절, 방향키 1px, Shift 10px, +/- 크기 조절)",
+        "regionReset": "↺ 자동 감지",
+        "confidenceManual": "수동",
+        "manualResult": "수동 영역: {size}px @ ({x}, {y}), 상관도 {score}",
+        "touchUpTitle": "리터치 브러시",
+        "brushClone": "복제",
+        "brushHeal": "복구",
+        "brushBlur": "흐림",
+        "brushSource": "소스 지정",
+        "brushClear": "획 지우기",
+        "brushSize": "크기",
+        "brushHardness": "경도",
+        "brushSourceHint": "Alt + 클릭으로 샘플 소스를 지정하세요",
+        "brushPickSource": "이미지를 클릭해 샘플 소스를 지정하세요",
+        "brushNeedSource": "복제와 복구는 먼저 샘플 소스가 필요합니다",
+        "brushStrokes": "획 {count}개, 설정을 바꾸면 다시 적용됩니다",
+        "historyTitle": "기록 (Ctrl+Z 실행 취소, Ctrl+Shift+Z 다시 실행)",
+        "historyOpen": "이미지 열기",
+        "historyProfile": "프로필",
+        "historySize": "크기",
+        "historyPosition": "위치",
+        "historyStrength": "강도",
+        "historyRegion": "워터마크 영역",
+        "historyStroke": "획",
+        "historyAuto": "자동 감지",
+        "historyOff": "끔",
+        "processedLabel": "처리 후",
+        "lightboxJumpRegion": "워터마크 영역으로 이동",
+        "lightboxFit": "화면에 맞춤",
+        "debugView": "차이 히트맵",
+        "debugExport": "PNG 내보내기",
+        "debugGain": "게인 {gain}",
+        "debugDiff": "최대 차이 {max}, 변경 {changed}px",
+        "clearSession": "세션 지우기",
+        "clearSessionConfirm": "모든 이미지, 사용자 로고 및 저장된 세션을 삭제할까요?",
+        "storageUsage": "사용량 {usage} / {quota}",
+        "defaultsTitle": "⚙️ 기본 설정",
+        "defaultsHint": "새로 추가한 이미지는 이 설정으로 시작합니다. 설정은 이 브라우저에 저장됩니다.",
+        "defaultsReset": "기본값으로 되돌리기",
+        "defaultsApply": "모든 이미지에 적용",
+        "historyDefaults": "기본 설정 적용",
+        "selectCard": "선택",
+        "selectAll": "모두 선택",
+        "selectionCount": "{total}장 중 {count}장 선택됨",
+        "bulkApply": "기본 설정 적용",
+        "bulkApplyTitle": "'기본 설정'의 설정을 선택한 이미지에 적용합니다",
+        "bulkReprocess": "다시 처리",
+        "bulkCopy": "복사",
+        "bulkDownload": "ZIP 다운로드",
+        "bulkRemove": "삭제",
+        "bulkRemoveConfirm": "선택한 이미지 {count}장을 삭제할까요?",
+        "bulkCopied": "이미지 {count}장을 복사했습니다",
+        "bulkCopyUnsupported": "이 브라우저에서는 이미지를 클립보드에 복사할 수 없습니다.",
+        "zipImportFailed": "압축 파일 \"{name}\"을(를) 읽을 수 없습니다.",
+        "outputTitle": "📁 출력 폴더",
+        "outputHint": "폴더를 선택하면 처리가 끝난 이미지가 원래 폴더 구조 그대로 바로 저장됩니다.",
+        "outputPick": "폴더 선택",
+        "outputStop": "저장 중지",
+        "outputPolicyLabel": "파일이 이미 있으면:",
+        "outputPolicyRename": "이름 바꾸기",
+        "outputPolicyOverwrite": "덮어쓰기",
+        "outputPolicySkip": "건너뛰기",
+        "outputStatus": "저장 {written}장 · 건너뜀 {skipped}장 · 실패 {failed}장",
+        "filenameLabel": "파일 이름:",
+        "filenameTokens": "사용 가능한 태그: {name} 원래 파일 이름, {index} 순서, {date} 날짜, {mode} 감지 모드, {margin} 여백, {gain} 강도, {ext} 확장자",
+        "stripMetadata": "메타데이터 제거 (EXIF / ICC / XMP)",
+        "stripMetadataTitle": "원본의 카메라 정보, GPS, 색상 프로필을 유지하지 않습니다. 광색역 이미지(예: Display P3)는 색상이 달라질 수 있습니다",
+        "formatWebp": "WebP (압축)",
+        "formatWebpLossless": "WebP (무손실)",
+        "formatAvif": "AVIF (고압축)",
+        "qualityLabel": "품질:",
+        "estimatingSize": "크기 계산 중…",
+        "estimatedSize": "약 {size} / 장",
+        "formatUnsupported": "이 브라우저에서는 이 형식으로 저장할 수 없습니다",
+        "encodeFailed": "인코딩 실패: ",
+        "brushRemoveStroke": "이 획 삭제",
+        "historyRemoveStroke": "획 삭제"
     }
 };
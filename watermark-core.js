@@ -0,0 +1,2328 @@
+// watermark-core.js
+
+/**
+ * Gemini 浮水印去除核心演算法
+ *
+ * 同一份程式碼同時供三個環境使用，避免行為分歧：
+ * - Web Worker：importScripts('watermark-core.js') 後使用 self.WatermarkCore
+ * - 網頁主執行緒：<script src="watermark-core.js"> 後使用 window.WatermarkCore
+ * - Node.js：require('./watermark-core') 或 import（見 watermark-core.mjs）
+ *
+ * 影像資料一律使用 Canvas ImageData 的形狀：{ width, height, data: Uint8ClampedArray (RGBA) }
+ *
+ * 基本用法：
+ *   const profiles = WatermarkCore.loadProfiles(registryJson, (path) => decodedMasks[path]);
+ *   const remover = WatermarkCore.createRemover({ profiles }); // 或 { masks: { small, large } } 使用內建 Gemini Profile
+ *   const result = remover.remove(imageData, { profile: 'auto', forceMode: 'auto', forcePosition: 'auto', autoStrength: true });
+ *   // result: { profile, mode, region, margin, scale, candidates, confidence, appliedGain, channelGains, overlayColor, modified, inpainted }
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.WatermarkCore = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * 系統常數設定
+     */
+    const CONSTANTS = {
+        LOGO_VALUE: 255.0,
+        ALPHA_THRESHOLD: 0.002,
+        MAX_ALPHA: 0.99,
+        POSITION_SCORE_TOLERANCE: 0.05,
+        POSITION_SCORE_THRESHOLD: 0.2, // Profile 未指定 thresholds.minScore 時的預設值
+        SEARCH_WINDOW: 256, // 滑動視窗搜尋時，距離右下角的最大邊距 (px)
+        SCALE_MIN_SIZE: 16,  // 縮放搜尋的最小浮水印尺寸 (px)
+        SCALE_MAX_SIZE: 160, // 縮放搜尋的最大浮水印尺寸 (px)
+        SCALE_POSITION_SLACK: 3, // 縮放後位置的捨入誤差容許範圍 (px)
+        SCALE_FIT_THRESHOLD: 0.85, // 去趨勢相關係數達此值才視為吻合（自動模式觸發與採用縮放結果的門檻）
+        SCALE_SCORE_MARGIN: 0.1,   // 自動模式下縮放結果的去趨勢分數需要比固定尺寸高出的幅度
+        MANUAL_MIN_SIZE: 8,        // 手動指定區域的最小邊長 (px)
+        // 偵測信心門檻 [找到, 不確定]，低於後者判定為未找到（Profile 未指定 thresholds 時的預設值）。
+        // 搜尋取的是大量位置中的最大值，雜訊本身就能達到約 0.6，因此門檻較高；縮放搜尋以去趨勢分數判定。
+        CONFIDENCE_FIXED: [0.5, 0.2],
+        CONFIDENCE_SEARCH: [0.7, 0.4],
+        CONFIDENCE_SCALED: [0.85, 0.6],
+        INPAINT_RADIUS: 4, // 殘留修補時參考的鄰近像素半徑 (px)
+        WINDOW_PADDING: 8, // 處理視窗在所有可能區域外多保留的寬度 (px)，涵蓋背景內插與殘留修補讀取的外圈
+        OVERLAY_COLOR_MIN: 128,  // 估算浮水印顏色時，各色版允許的最小值
+        OVERLAY_RIDGE: 0.05,     // 顏色與增益估算向灰階增益先驗靠攏的基本權重
+        OVERLAY_NOISE_SCALE: 1,  // 背景內插的均方誤差每增加此值，先驗權重加 1
+        CALIBRATION_WINDOW: 320,     // 校正時分析的右下角視窗邊長 (px)，需涵蓋新版 192px 邊距 + 96px 浮水印
+        CALIBRATION_FLAT_STD: 4,     // 視窗邊緣的標準差低於此值視為純色背景
+        CALIBRATION_FLAT_LEVEL: 32,  // 純黑 / 純白背景允許與 0 / 255 的差距
+        CALIBRATION_MIN_ALPHA: 0.02, // 低於此不透明度視為背景雜訊
+        CALIBRATION_EDGE_PAD: 3,     // 由浮水印主體向外擴張以涵蓋柔邊的最大距離 (px)
+        BRUSH_SPACING: 0.25,   // 筆觸點間距（筆刷直徑的比例）
+        BRUSH_HEAL_RING: 3,    // 修復筆刷比對亮度時取樣的外圈寬度 (px)
+        BRUSH_BLUR_RATIO: 0.25, // 模糊筆刷的盒狀模糊半徑（筆刷半徑的比例）
+        HEATMAP_BACKGROUND: 0.3 // 差異熱度圖中未變更像素的亮度（處理結果灰階的比例）
+    };
+
+    /**
+     * 預設處理選項（與網頁卡片的 config 相同）
+     */
+    const DEFAULT_OPTIONS = {
+        profile: 'auto',       // 'auto'（所有啟用的 Profile）或 Profile id
+        forceMode: 'auto',     // 'auto' | 'scaled' | Profile 的尺寸 id（內建為 'small' | 'large'）
+        forcePosition: 'auto', // 'auto' | 'new' | 'old' | 'search'（'new' / 'old' 即內建的 gemini-current / gemini-legacy）
+        alphaGain: 0.5,
+        autoStrength: true,
+        searchWindow: CONSTANTS.SEARCH_WINDOW,
+        manualRegion: null,    // { x, y, width, height }：手動指定的浮水印區域，略過自動偵測
+        inpaint: false,        // 第二階段：修補被截斷或 JPEG 損壞的殘留像素
+        inpaintStrength: 0.5   // 0 ~ 1，越高修補範圍越大
+    };
+
+    /**
+     * 將遮罩圖片的像素轉換為 alpha 陣列（取 RGB 最大值 / 255）
+     * @param {{ width: number, height: number, data: Uint8ClampedArray }} imageData - 遮罩 PNG 解碼後的像素
+     * @returns {{ width: number, height: number, alphas: Float32Array }}
+     */
+    function decodeMask(imageData) {
+        const w = imageData.width;
+        const h = imageData.height;
+        const data = imageData.data;
+        const alphas = new Float32Array(w * h);
+
+        for (let i = 0; i < w * h; i++) {
+            const r = data[i * 4];
+            const g = data[i * 4 + 1];
+            const b = data[i * 4 + 2];
+            const maxVal = Math.max(r, Math.max(g, b));
+            alphas[i] = maxVal / 255.0;
+        }
+
+        return { width: w, height: h, alphas };
+    }
+
+    /**
+     * 將 alpha 陣列編碼回灰階 ImageData（decodeMask 的反向），用於把校正結果存成遮罩 PNG
+     */
+    function encodeMask(mask) {
+        const data = new Uint8ClampedArray(mask.width * mask.height * 4);
+        for (let i = 0; i < mask.alphas.length; i++) {
+            const value = Math.round(Math.max(0, Math.min(1, mask.alphas[i])) * 255);
+            data[i * 4] = value;
+            data[i * 4 + 1] = value;
+            data[i * 4 + 2] = value;
+            data[i * 4 + 3] = 255;
+        }
+        return { width: mask.width, height: mask.height, data };
+    }
+
+    /**
+     * 由帶浮水印的圖片反推遮罩（校正模式）
+     * 所有圖片以右下角對齊，取右下角 size x size 的視窗計算：
+     * - 同時提供純黑與純白背景的算圖時，逐像素精確求解 α = 1 - (白 - 黑) / (白底 - 黑底)，並求出疊加顏色
+     * - 否則視為同一代的一般圖片，以視窗外圍 Coons 內插估計背景 B，
+     *   對所有圖片做最小平方 α = Σ(觀測 - B)(255 - B) / Σ(255 - B)²（圖片越多越準確）
+     * 產生的遮罩與 decodeMask / loadMask 的格式相同（alpha = 實際不透明度 / alphaGain），可直接送入 Worker。
+     * @param {Object[]} images - ImageData 陣列
+     * @param {Object} [options]
+     * @param {number} [options.window] - 右下角分析視窗的邊長 (px)
+     * @param {number} [options.alphaGain] - 遮罩值換算用的增益，預設與 DEFAULT_OPTIONS 相同
+     * @returns {{ mask: Object, size: number, marginX: number, marginY: number, method: string, color: number[], maxAlpha: number, imageCount: number }}
+     */
+    function calibrateMask(images, options) {
+        const opts = Object.assign({
+            window: CONSTANTS.CALIBRATION_WINDOW,
+            alphaGain: DEFAULT_OPTIONS.alphaGain
+        }, options);
+
+        if (!images || images.length === 0) {
+            throw new Error('No calibration images');
+        }
+
+        const size = Math.min(opts.window, ...images.map(img => Math.min(img.width, img.height)));
+        const n = size * size;
+
+        // 取右下角視窗的灰階值，並以視窗四邊（浮水印不會碰到）判斷是否為純色背景
+        const samples = images.map(img => {
+            const gray = new Float32Array(n);
+            const ox = img.width - size;
+            const oy = img.height - size;
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    const idx = ((oy + y) * img.width + ox + x) * 4;
+                    gray[y * size + x] = img.data[idx] * 0.299 + img.data[idx + 1] * 0.587 + img.data[idx + 2] * 0.114;
+                }
+            }
+
+            let sum = 0;
+            let sumSq = 0;
+            let count = 0;
+            for (let i = 0; i < size; i++) {
+                for (const v of [gray[i], gray[(size - 1) * size + i], gray[i * size], gray[i * size + size - 1]]) {
+                    sum += v;
+                    sumSq += v * v;
+                    count++;
+                }
+            }
+            const mean = sum / count;
+            const std = Math.sqrt(Math.max(0, sumSq / count - mean * mean));
+            let flat = null;
+            if (std < CONSTANTS.CALIBRATION_FLAT_STD) {
+                if (mean < CONSTANTS.CALIBRATION_FLAT_LEVEL) flat = 'black';
+                else if (mean > 255 - CONSTANTS.CALIBRATION_FLAT_LEVEL) flat = 'white';
+            }
+            return { gray, background: mean, flat };
+        });
+
+        const alphaMap = new Float32Array(n);
+        const blacks = samples.filter(s => s.flat === 'black');
+        const whites = samples.filter(s => s.flat === 'white');
+        let method;
+        let color = CONSTANTS.LOGO_VALUE;
+
+        if (blacks.length > 0 && whites.length > 0) {
+            method = 'flat';
+            const average = (group, i) => group.reduce((acc, s) => acc + s.gray[i], 0) / group.length;
+            const bgBlack = blacks.reduce((acc, s) => acc + s.background, 0) / blacks.length;
+            const bgWhite = whites.reduce((acc, s) => acc + s.background, 0) / whites.length;
+            let colorSum = 0;
+            let colorWeight = 0;
+
+            for (let i = 0; i < n; i++) {
+                const black = average(blacks, i);
+                const alpha = 1 - (average(whites, i) - black) / (bgWhite - bgBlack);
+                alphaMap[i] = alpha;
+                if (alpha > 0.1) {
+                    // black = α·L + (1-α)·黑底
+                    colorSum += (black - (1 - alpha) * bgBlack);
+                    colorWeight += alpha;
+                }
+            }
+            if (colorWeight > 0) color = Math.min(255, colorSum / colorWeight);
+        } else {
+            method = 'regression';
+            const num = new Float64Array(n);
+            const den = new Float64Array(n);
+
+            for (const sample of samples) {
+                const g = sample.gray;
+                const last = size - 1;
+                const c00 = g[0];
+                const c10 = g[last];
+                const c01 = g[last * size];
+                const c11 = g[last * size + last];
+
+                for (let y = 1; y < last; y++) {
+                    const v = y / last;
+                    const left = g[y * size];
+                    const right = g[y * size + last];
+                    for (let x = 1; x < last; x++) {
+                        const u = x / last;
+                        const background = (1 - u) * left + u * right + (1 - v) * g[x] + v * g[last * size + x] -
+                            ((1 - u) * (1 - v) * c00 + u * (1 - v) * c10 + (1 - u) * v * c01 + u * v * c11);
+                        const headroom = CONSTANTS.LOGO_VALUE - background;
+                        const i = y * size + x;
+                        num[i] += (g[i] - background) * headroom;
+                        den[i] += headroom * headroom;
+                    }
+                }
+            }
+
+            for (let i = 0; i < n; i++) {
+                alphaMap[i] = den[i] > 0 ? num[i] / den[i] : 0;
+            }
+        }
+
+        let maxAlpha = 0;
+        for (let i = 0; i < n; i++) {
+            alphaMap[i] = Math.max(0, Math.min(1, alphaMap[i]));
+            if (alphaMap[i] > maxAlpha) maxAlpha = alphaMap[i];
+        }
+        if (maxAlpha < CONSTANTS.CALIBRATION_MIN_ALPHA) {
+            throw new Error('No watermark found in the calibration images');
+        }
+
+        // 先以 3x3 平均後超過一半峰值的像素找出浮水印主體（不受零星雜訊影響）
+        const smoothed = new Float32Array(n);
+        let smoothedMax = 0;
+        for (let y = 1; y < size - 1; y++) {
+            for (let x = 1; x < size - 1; x++) {
+                let sum = 0;
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) sum += alphaMap[(y + dy) * size + x + dx];
+                }
+                smoothed[y * size + x] = sum / 9;
+                if (sum / 9 > smoothedMax) smoothedMax = sum / 9;
+            }
+        }
+
+        let minX = size, minY = size, maxX = -1, maxY = -1;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (smoothed[y * size + x] < smoothedMax / 2) continue;
+                if (x < minX) minX = x;
+                if (x > maxX) maxX = x;
+                if (y < minY) minY = y;
+                if (y > maxY) maxY = y;
+            }
+        }
+
+        // 再向外擴張涵蓋柔邊：外側一列（行）仍有明顯 alpha 時繼續擴張
+        const cutoff = Math.max(CONSTANTS.CALIBRATION_MIN_ALPHA, maxAlpha * 0.1);
+        const rowHas = (y, from, to) => {
+            for (let x = from; x <= to; x++) if (alphaMap[y * size + x] >= cutoff) return true;
+            return false;
+        };
+        const colHas = (x, from, to) => {
+            for (let y = from; y <= to; y++) if (alphaMap[y * size + x] >= cutoff) return true;
+            return false;
+        };
+        for (let i = 0; i < CONSTANTS.CALIBRATION_EDGE_PAD; i++) {
+            if (minX > 0 && colHas(minX - 1, minY, maxY)) minX--;
+            if (maxX < size - 1 && colHas(maxX + 1, minY, maxY)) maxX++;
+            if (minY > 0 && rowHas(minY - 1, minX, maxX)) minY--;
+            if (maxY < size - 1 && rowHas(maxY + 1, minX, maxX)) maxY++;
+        }
+
+        const side = Math.min(size, Math.max(maxX - minX, maxY - minY) + 1);
+        const x0 = Math.max(0, Math.min(size - side, Math.round((minX + maxX + 1 - side) / 2)));
+        const y0 = Math.max(0, Math.min(size - side, Math.round((minY + maxY + 1 - side) / 2)));
+
+        const alphas = new Float32Array(side * side);
+        for (let y = 0; y < side; y++) {
+            for (let x = 0; x < side; x++) {
+                const alpha = alphaMap[(y0 + y) * size + x0 + x];
+                alphas[y * side + x] = alpha < CONSTANTS.CALIBRATION_MIN_ALPHA ? 0 : Math.min(1, alpha / opts.alphaGain);
+            }
+        }
+
+        const overlay = Math.round(color);
+        return {
+            mask: { width: side, height: side, alphas },
+            size: side,
+            marginX: size - x0 - side,
+            marginY: size - y0 - side,
+            method,
+            color: [overlay, overlay, overlay],
+            maxAlpha,
+            imageCount: images.length
+        };
+    }
+
+    /**
+     * 內建的浮水印 Profile（即 assets/profiles.json 的內容）
+     * 每個 Profile 宣告各尺寸的遮罩與邊距、依圖片大小選擇尺寸的規則 (sizeRule)，
+     * 以及偵測門檻 (thresholds，省略時使用 CONSTANTS 的預設值)。
+     * mask 為相對於登錄檔的路徑；priority 較高者在分數接近時優先採用。
+     */
+    const DEFAULT_PROFILES = [
+        {
+            id: 'gemini-current',
+            name: {
+                'zh-TW': 'Gemini（新版邊距）',
+                'zh-CN': 'Gemini（新版边距）',
+                'en': 'Gemini (current)',
+                'ja': 'Gemini（新しい余白）',
+                'ko': 'Gemini (현재)'
+            },
+            priority: 1,
+            sizes: {
+                small: { mask: 'mask_48.png', margin: 96 },
+                large: { mask: 'mask_96.png', margin: 192 }
+            },
+            sizeRule: [
+                { size: 'large', minWidth: 1025, minHeight: 1025 },
+                { size: 'small' }
+            ]
+        },
+        {
+            id: 'gemini-legacy',
+            name: {
+                'zh-TW': 'Gemini（舊版邊距）',
+                'zh-CN': 'Gemini（旧版边距）',
+                'en': 'Gemini (legacy)',
+                'ja': 'Gemini（旧余白）',
+                'ko': 'Gemini (이전)'
+            },
+            priority: 0,
+            sizes: {
+                small: { mask: 'mask_48.png', margin: 32 },
+                large: { mask: 'mask_96.png', margin: 64 }
+            },
+            sizeRule: [
+                { size: 'large', minWidth: 1025, minHeight: 1025 },
+                { size: 'small' }
+            ]
+        }
+    ];
+
+    /**
+     * forcePosition 的 'new' / 'old' 對應的內建 Profile（保留舊選項的相容性）
+     */
+    const POSITION_PROFILES = { new: 'gemini-current', old: 'gemini-legacy' };
+
+    /**
+     * 修飾筆刷的種類：仿製、修復、模糊
+     */
+    const BRUSH_TOOLS = ['clone', 'heal', 'blur'];
+
+    /**
+     * 驗證並補齊單一 Profile 設定
+     * 除了登錄檔的 { id, sizes, sizeRule, ... } 格式，也接受 calibrate 輸出的單一遮罩格式
+     * { name, mask, marginX, marginY, color }（視為只有 'default' 一種尺寸）。
+     * @param {Object} descriptor - Profile 設定（JSON）
+     * @param {Function} [resolveMask] - (path, sizeId, descriptor) => decodeMask() 的結果；mask 已是物件時不呼叫
+     * @returns {Object} { id, name, enabled, priority, color, sizes: { [sizeId]: { mask, marginX, marginY } }, sizeRule, thresholds }
+     */
+    function normalizeProfile(descriptor, resolveMask) {
+        const source = descriptor || {};
+        const id = source.id || (typeof source.name === 'string' ? source.name : '');
+        if (typeof id !== 'string' || id === '') {
+            throw new Error('Invalid profile: missing id');
+        }
+        const fail = (message) => {
+            throw new Error(`Invalid profile "${id}": ${message}`);
+        };
+
+        let sizes = source.sizes;
+        if (!sizes && source.mask) {
+            sizes = {
+                default: { mask: source.mask, margin: source.margin, marginX: source.marginX, marginY: source.marginY }
+            };
+        }
+        if (!sizes || typeof sizes !== 'object' || Object.keys(sizes).length === 0) {
+            fail('no sizes defined');
+        }
+
+        const resolvedSizes = {};
+        for (const sizeId of Object.keys(sizes)) {
+            const entry = sizes[sizeId] || {};
+            const mask = typeof entry.mask === 'string' && resolveMask
+                ? resolveMask(entry.mask, sizeId, source)
+                : entry.mask;
+            if (!mask || !mask.alphas) fail(`missing mask for size "${sizeId}"`);
+
+            const marginX = Number(entry.marginX !== undefined ? entry.marginX : entry.margin);
+            const marginY = Number(entry.marginY !== undefined ? entry.marginY : entry.margin);
+            if (!(marginX >= 0) || !(marginY >= 0)) fail(`invalid margin for size "${sizeId}"`);
+
+            resolvedSizes[sizeId] = { mask, marginX, marginY };
+        }
+
+        const sizeRule = source.sizeRule || [{ size: Object.keys(resolvedSizes)[0] }];
+        if (!Array.isArray(sizeRule) || sizeRule.some(rule => !rule || !resolvedSizes[rule.size])) {
+            fail('sizeRule refers to an unknown size');
+        }
+
+        return {
+            id,
+            name: source.name || id,
+            enabled: source.enabled !== false,
+            priority: Number(source.priority) || 0,
+            color: toChannels(source.color, CONSTANTS.LOGO_VALUE),
+            sizes: resolvedSizes,
+            sizeRule,
+            thresholds: Object.assign({
+                minScore: CONSTANTS.POSITION_SCORE_THRESHOLD,
+                fixed: CONSTANTS.CONFIDENCE_FIXED,
+                search: CONSTANTS.CONFIDENCE_SEARCH,
+                scaled: CONSTANTS.CONFIDENCE_SCALED
+            }, source.thresholds)
+        };
+    }
+
+    /**
+     * 取出登錄檔中的 Profile 設定：{ profiles: [...] }、陣列，或單一 Profile（例如 calibrate 的輸出）
+     */
+    function registryEntries(registry) {
+        if (Array.isArray(registry)) return registry;
+        if (!registry || typeof registry !== 'object') return null;
+        if (Array.isArray(registry.profiles)) return registry.profiles;
+        return registry.sizes || registry.mask ? [registry] : null;
+    }
+
+    /**
+     * 讀取 Profile 登錄檔，回傳依 priority 由高至低排序的 Profile
+     * @param {Object|Object[]} registry - 登錄檔 JSON（格式見 registryEntries）
+     * @param {Function} [resolveMask] - 見 normalizeProfile
+     * @returns {Object[]}
+     */
+    function loadProfiles(registry, resolveMask) {
+        const list = registryEntries(registry);
+        if (!list) {
+            throw new Error('Invalid profile registry: expected a "profiles" array');
+        }
+
+        const seen = new Set();
+        const profiles = list.map(descriptor => {
+            const profile = normalizeProfile(descriptor, resolveMask);
+            if (seen.has(profile.id)) {
+                throw new Error(`Invalid profile registry: duplicate id "${profile.id}"`);
+            }
+            seen.add(profile.id);
+            return profile;
+        });
+
+        return profiles.sort((a, b) => b.priority - a.priority);
+    }
+
+    /**
+     * 列出登錄檔中所有需要載入的遮罩路徑（不重複），供呼叫端在 loadProfiles 之前先解碼
+     * @returns {string[]}
+     */
+    function listProfileMasks(registry) {
+        const list = registryEntries(registry) || [];
+        const files = new Set();
+        list.forEach(descriptor => {
+            if (!descriptor) return;
+            if (typeof descriptor.mask === 'string') files.add(descriptor.mask);
+            Object.values(descriptor.sizes || {}).forEach(entry => {
+                if (entry && typeof entry.mask === 'string') files.add(entry.mask);
+            });
+        });
+        return Array.from(files);
+    }
+
+    /**
+     * 依 Profile 的 sizeRule 與圖片尺寸決定使用哪個尺寸；強制尺寸不存在於此 Profile 時回傳 null
+     */
+    function resolveProfileSize(profile, width, height, forceMode) {
+        if (forceMode && forceMode !== 'auto' && forceMode !== 'scaled') {
+            return profile.sizes[forceMode] ? forceMode : null;
+        }
+        const rule = profile.sizeRule.find(r => (
+            (r.minWidth === undefined || width >= r.minWidth) &&
+            (r.minHeight === undefined || height >= r.minHeight) &&
+            (r.maxWidth === undefined || width <= r.maxWidth) &&
+            (r.maxHeight === undefined || height <= r.maxHeight)
+        ));
+        return rule ? rule.size : null;
+    }
+
+    /**
+     * 沒有偵測結果時預期的浮水印位置（手動區域的起點、Logo 的位置）
+     * 使用選取的 Profile，'auto' 時依 forcePosition 的別名或優先順序最高的啟用 Profile；
+     * 尺寸依 sizeRule 決定，強制的尺寸不在此 Profile 時改用第一個尺寸
+     * @param {number} width - 原圖寬度
+     * @param {number} height - 原圖高度
+     * @param {Object[]} profiles - loadProfiles() 產生的 Profile
+     * @param {Object} [options] - 與 remove() 相同的選項（使用 profile、forcePosition、forceMode）
+     * @returns {{ x: number, y: number, width: number, height: number, profile: string, size: string }|null} 沒有可用的 Profile 時為 null
+     */
+    function expectedRegion(width, height, profiles, options) {
+        const opts = Object.assign({}, DEFAULT_OPTIONS, options);
+        const alias = POSITION_PROFILES[opts.forcePosition];
+        const profile = profiles.find(p => p.id === opts.profile) ||
+            (alias && profiles.find(p => p.id === alias)) ||
+            profiles.find(p => p.enabled);
+        if (!profile) return null;
+
+        const forceMode = opts.forceMode === 'scaled' ? 'auto' : opts.forceMode;
+        const size = resolveProfileSize(profile, width, height, forceMode) || Object.keys(profile.sizes)[0];
+        const { mask, marginX, marginY } = profile.sizes[size];
+        return {
+            x: width - marginX - mask.width,
+            y: height - marginY - mask.height,
+            width: mask.width,
+            height: mask.height,
+            profile: profile.id,
+            size
+        };
+    }
+
+    /**
+     * 列出每個 Profile 在固定邊距下的候選區域（尚未評分）
+     * 區域帶有 profile 與 size，可由 Profile 取回對應的遮罩。
+     */
+    function getCandidateRegions(width, height, profiles, forceMode) {
+        const regions = [];
+        profiles.forEach(profile => {
+            const size = resolveProfileSize(profile, width, height, forceMode);
+            if (!size) return;
+
+            const { mask, marginX, marginY } = profile.sizes[size];
+            const region = {
+                x: width - marginX - mask.width,
+                y: height - marginY - mask.height,
+                width: mask.width,
+                height: mask.height,
+                margin: Math.max(marginX, marginY),
+                score: Number.NEGATIVE_INFINITY,
+                profile: profile.id,
+                size
+            };
+            if (region.x >= 0 && region.y >= 0) regions.push(region);
+        });
+        return regions;
+    }
+
+    /**
+     * 計算去除浮水印實際需要的影像範圍（處理視窗）
+     * 固定邊距、滑動視窗與縮放搜尋都以右下角為基準，因此視窗貼齊原圖的右、下邊界，
+     * 只涵蓋此選項下所有可能的區域；區域到右、下邊界的距離在視窗中與原圖相同。
+     * 大圖只需要傳送這一小塊給 remove()（搭配 frame 參數），結果再貼回原圖。
+     * @param {number} width - 原圖寬度
+     * @param {number} height - 原圖高度
+     * @param {Object[]} profiles - loadProfiles() 產生的 Profile（可傳入全部，視窗取聯集）
+     * @param {Object} [options] - 與 remove() 相同的選項
+     * @returns {{ x: number, y: number, width: number, height: number, imageWidth: number, imageHeight: number }}
+     */
+    function getProcessingWindow(width, height, profiles, options) {
+        const opts = Object.assign({}, DEFAULT_OPTIONS, options);
+        let extentX = 0;
+        let extentY = 0;
+        const include = (x, y) => {
+            extentX = Math.max(extentX, x);
+            extentY = Math.max(extentY, y);
+        };
+
+        if (opts.manualRegion) {
+            // 與 remove() 相同的方式限制在影像範圍內
+            const manual = opts.manualRegion;
+            const regionWidth = Math.round(manual.width);
+            const regionHeight = Math.round(manual.height !== undefined ? manual.height : manual.width);
+            const x = Math.max(0, Math.min(width - regionWidth, Math.round(manual.x) || 0));
+            const y = Math.max(0, Math.min(height - regionHeight, Math.round(manual.y) || 0));
+            include(width - x, height - y);
+        } else {
+            let maxMask = 0;
+            let maxRatio = 0;
+            profiles.forEach(profile => {
+                Object.values(profile.sizes).forEach(({ mask, marginX, marginY }) => {
+                    include(marginX + mask.width, marginY + mask.height);
+                    maxMask = Math.max(maxMask, mask.width, mask.height);
+                    maxRatio = Math.max(maxRatio, marginX / mask.width, marginY / mask.height);
+                });
+            });
+            if (opts.forcePosition === 'search') {
+                const searchWindow = Math.max(0, Math.round(opts.searchWindow || CONSTANTS.SEARCH_WINDOW));
+                include(searchWindow + maxMask, searchWindow + maxMask);
+            }
+            if (opts.forceMode === 'scaled' || (opts.forceMode === 'auto' && opts.forcePosition === 'auto')) {
+                // 粗略掃描的範圍加上細搜時的位置偏移
+                const scaled = Math.ceil(CONSTANTS.SCALE_MAX_SIZE * (1 + maxRatio)) + 2 * CONSTANTS.SCALE_POSITION_SLACK;
+                include(scaled, scaled);
+            }
+        }
+
+        const x = Math.max(0, width - extentX - CONSTANTS.WINDOW_PADDING);
+        const y = Math.max(0, height - extentY - CONSTANTS.WINDOW_PADDING);
+        return { x, y, width: width - x, height: height - y, imageWidth: width, imageHeight: height };
+    }
+
+    /**
+     * 為所有候選區域評分並選出最可能的浮水印區域
+     * 依 Profile 的 priority 由高至低檢查，分數達到該 Profile 的 minScore 且與最高分差距在容許範圍內即採用
+     * （例如新版 Gemini 樣本同時符合新舊邊距時，優先使用新版位置）；都不符合時採用最高分。
+     */
+    function selectWatermarkRegion(imageData, profiles, candidates) {
+        if (candidates.length === 0) return null;
+
+        const byId = new Map(profiles.map(profile => [profile.id, profile]));
+        for (const candidate of candidates) {
+            const profile = byId.get(candidate.profile);
+            candidate.score = scoreWatermarkCandidate(imageData, profile.sizes[candidate.size].mask, candidate);
+        }
+        if (candidates.length === 1) return candidates[0];
+
+        const best = candidates.reduce((currentBest, candidate) => (
+            candidate.score > currentBest.score ? candidate : currentBest
+        ));
+        const ranked = candidates.slice().sort((a, b) => (
+            (byId.get(b.profile).priority - byId.get(a.profile).priority) || (b.score - a.score)
+        ));
+        const preferred = ranked.find(candidate => (
+            candidate.score >= byId.get(candidate.profile).thresholds.minScore &&
+            candidate.score >= best.score - CONSTANTS.POSITION_SCORE_TOLERANCE
+        ));
+
+        return preferred || best;
+    }
+
+    /**
+     * 使用遮罩與影像灰階值的相關性評分，估計候選區域是否像 Gemini 星形浮水印。
+     * 計算皮爾森相關係數 (Pearson Correlation Coefficient) 作為相關度指標。
+     */
+    function scoreWatermarkCandidate(imageData, mask, region) {
+        const data = imageData.data;
+        const stride = imageData.width * 4;
+        const sampleStep = 1;
+        let sumMask = 0;
+        let sumGray = 0;
+        let count = 0;
+
+        for (let my = 0; my < mask.height; my += sampleStep) {
+            for (let mx = 0; mx < mask.width; mx += sampleStep) {
+                const maskValue = mask.alphas[my * mask.width + mx];
+                const idx = ((region.y + my) * stride) + ((region.x + mx) * 4);
+                const gray = data[idx] * 0.299 + data[idx + 1] * 0.587 + data[idx + 2] * 0.114;
+
+                sumMask += maskValue;
+                sumGray += gray;
+                count++;
+            }
+        }
+
+        const meanMask = sumMask / count;
+        const meanGray = sumGray / count;
+        let covariance = 0;
+        let maskVariance = 0;
+        let grayVariance = 0;
+
+        for (let my = 0; my < mask.height; my += sampleStep) {
+            for (let mx = 0; mx < mask.width; mx += sampleStep) {
+                const maskDiff = mask.alphas[my * mask.width + mx] - meanMask;
+                const idx = ((region.y + my) * stride) + ((region.x + mx) * 4);
+                const gray = data[idx] * 0.299 + data[idx + 1] * 0.587 + data[idx + 2] * 0.114;
+                const grayDiff = gray - meanGray;
+
+                covariance += maskDiff * grayDiff;
+                maskVariance += maskDiff * maskDiff;
+                grayVariance += grayDiff * grayDiff;
+            }
+        }
+
+        if (maskVariance <= 0 || grayVariance <= 0) return 0;
+        return covariance / Math.sqrt(maskVariance * grayVariance);
+    }
+
+    /**
+     * 扣除背景趨勢後的相關係數
+     * 以區域外圍一圈像素做 Coons 曲面內插估計背景，再計算 (灰階 - 背景) 與遮罩的皮爾森相關係數。
+     * 背景的漸層與紋理會被大幅扣除，因此比 scoreWatermarkCandidate 更能分辨遮罩尺寸是否吻合，
+     * 用於縮放搜尋的細搜排序與自動模式的採用門檻。
+     */
+    function scoreDetrendedCandidate(imageData, mask, region) {
+        const w = imageData.width;
+        const h = imageData.height;
+        const data = imageData.data;
+        const mw = mask.width;
+        const mh = mask.height;
+        const x0 = region.x;
+        const y0 = region.y;
+
+        const gray = (x, y) => {
+            const cx = x < 0 ? 0 : (x >= w ? w - 1 : x);
+            const cy = y < 0 ? 0 : (y >= h ? h - 1 : y);
+            const idx = (cy * w + cx) * 4;
+            return data[idx] * 0.299 + data[idx + 1] * 0.587 + data[idx + 2] * 0.114;
+        };
+
+        const c00 = gray(x0 - 1, y0 - 1);
+        const c10 = gray(x0 + mw, y0 - 1);
+        const c01 = gray(x0 - 1, y0 + mh);
+        const c11 = gray(x0 + mw, y0 + mh);
+        const top = new Float32Array(mw);
+        const bottom = new Float32Array(mw);
+        for (let mx = 0; mx < mw; mx++) {
+            top[mx] = gray(x0 + mx, y0 - 1);
+            bottom[mx] = gray(x0 + mx, y0 + mh);
+        }
+
+        const n = mw * mh;
+        let sumMask = 0;
+        let sumRes = 0;
+        let sumMaskSq = 0;
+        let sumResSq = 0;
+        let sumCross = 0;
+
+        for (let my = 0; my < mh; my++) {
+            const v = (my + 1) / (mh + 1);
+            const left = gray(x0 - 1, y0 + my);
+            const right = gray(x0 + mw, y0 + my);
+
+            for (let mx = 0; mx < mw; mx++) {
+                const u = (mx + 1) / (mw + 1);
+                const background = (1 - u) * left + u * right + (1 - v) * top[mx] + v * bottom[mx] -
+                    ((1 - u) * (1 - v) * c00 + u * (1 - v) * c10 + (1 - u) * v * c01 + u * v * c11);
+                const residual = gray(x0 + mx, y0 + my) - background;
+                const maskValue = mask.alphas[my * mw + mx];
+
+                sumMask += maskValue;
+                sumRes += residual;
+                sumMaskSq += maskValue * maskValue;
+                sumResSq += residual * residual;
+                sumCross += maskValue * residual;
+            }
+        }
+
+        const maskVariance = sumMaskSq - (sumMask * sumMask) / n;
+        const resVariance = sumResSq - (sumRes * sumRes) / n;
+        if (maskVariance <= 0 || resVariance <= 1e-6) return 0;
+        return (sumCross - (sumMask * sumRes) / n) / Math.sqrt(maskVariance * resVariance);
+    }
+
+    /**
+     * 建立右下角區域的快速評分器
+     * 預先計算灰階平面與積分影像，之後對任意遮罩、任意位置計算皮爾森相關係數時，
+     * 只需要一次遮罩與灰階的乘積和，結果與 scoreWatermarkCandidate 相同。
+     * @param {number} minX - 評分範圍左上角（右下角延伸至影像邊界）
+     * @param {number} minY
+     */
+    function createCornerScorer(imageData, minX, minY) {
+        const w = imageData.width;
+        const h = imageData.height;
+        const data = imageData.data;
+        const gw = w - minX;
+        const gh = h - minY;
+        const stride = gw + 1;
+        const gray = new Float32Array(gw * gh);
+        const sum = new Float64Array(stride * (gh + 1));
+        const sumSq = new Float64Array(stride * (gh + 1));
+
+        for (let y = 0; y < gh; y++) {
+            let rowSum = 0;
+            let rowSumSq = 0;
+            for (let x = 0; x < gw; x++) {
+                const idx = ((minY + y) * w + (minX + x)) * 4;
+                const value = data[idx] * 0.299 + data[idx + 1] * 0.587 + data[idx + 2] * 0.114;
+                gray[y * gw + x] = value;
+                rowSum += value;
+                rowSumSq += value * value;
+                sum[(y + 1) * stride + (x + 1)] = sum[y * stride + (x + 1)] + rowSum;
+                sumSq[(y + 1) * stride + (x + 1)] = sumSq[y * stride + (x + 1)] + rowSumSq;
+            }
+        }
+
+        const maskStats = new Map();
+        const getMaskStats = (mask) => {
+            let stats = maskStats.get(mask);
+            if (!stats) {
+                const n = mask.width * mask.height;
+                let sumMask = 0;
+                let sumMaskSq = 0;
+                for (let i = 0; i < n; i++) {
+                    sumMask += mask.alphas[i];
+                    sumMaskSq += mask.alphas[i] * mask.alphas[i];
+                }
+                stats = { n, sumMask, variance: sumMaskSq - (sumMask * sumMask) / n };
+                maskStats.set(mask, stats);
+            }
+            return stats;
+        };
+
+        const boxSum = (table, x, y, bw, bh) => (
+            table[(y + bh) * stride + (x + bw)] - table[y * stride + (x + bw)] -
+            table[(y + bh) * stride + x] + table[y * stride + x]
+        );
+
+        return function score(mask, px, py) {
+            const gx = px - minX;
+            const gy = py - minY;
+            if (gx < 0 || gy < 0 || gx + mask.width > gw || gy + mask.height > gh) {
+                return Number.NEGATIVE_INFINITY;
+            }
+
+            const stats = getMaskStats(mask);
+            if (stats.variance <= 0) return 0;
+
+            let cross = 0;
+            for (let my = 0; my < mask.height; my++) {
+                const rowOffset = (gy + my) * gw + gx;
+                const maskOffset = my * mask.width;
+                for (let mx = 0; mx < mask.width; mx++) {
+                    cross += mask.alphas[maskOffset + mx] * gray[rowOffset + mx];
+                }
+            }
+
+            const sumGray = boxSum(sum, gx, gy, mask.width, mask.height);
+            const grayVariance = boxSum(sumSq, gx, gy, mask.width, mask.height) - (sumGray * sumGray) / stats.n;
+            if (grayVariance <= 1e-6) return 0;
+            return (cross - (stats.sumMask * sumGray) / stats.n) / Math.sqrt(stats.variance * grayVariance);
+        };
+    }
+
+    /**
+     * 建立包含邊距資訊的區域物件，並以 scoreWatermarkCandidate 確認最終分數
+     */
+    function makeSearchRegion(imageData, mask, x, y) {
+        const region = {
+            x,
+            y,
+            width: mask.width,
+            height: mask.height,
+            marginX: imageData.width - x - mask.width,
+            marginY: imageData.height - y - mask.height,
+            score: 0
+        };
+        region.margin = Math.max(region.marginX, region.marginY);
+        region.score = scoreWatermarkCandidate(imageData, mask, region);
+        return region;
+    }
+
+    /**
+     * 在右下角的視窗內以滑動視窗搜尋最符合遮罩的位置，用於被裁切、補邊或重新輸出的圖片。
+     * 評分方式與 scoreWatermarkCandidate 相同（皮爾森相關係數），
+     * 先以積分影像加速粗略掃描，再於最佳位置附近逐像素細搜，最後以 scoreWatermarkCandidate 確認分數。
+     * @param {number} searchWindow - 允許的最大邊距 (px)
+     * @returns {Object|null} { x, y, width, height, margin, marginX, marginY, score }
+     */
+    function searchWatermarkRegion(imageData, mask, searchWindow) {
+        const maxX = imageData.width - mask.width;
+        const maxY = imageData.height - mask.height;
+        if (maxX < 0 || maxY < 0) return null;
+
+        const windowSize = Math.max(0, Math.round(searchWindow || CONSTANTS.SEARCH_WINDOW));
+        const minX = Math.max(0, maxX - windowSize);
+        const minY = Math.max(0, maxY - windowSize);
+        const scoreAt = createCornerScorer(imageData, minX, minY);
+
+        // 粗略掃描（步距依遮罩大小調整），再於最佳點附近逐像素細搜
+        const step = Math.max(1, Math.round(mask.width / 24));
+        let best = { x: maxX, y: maxY, score: Number.NEGATIVE_INFINITY };
+
+        for (let py = maxY; py >= minY; py -= step) {
+            for (let px = maxX; px >= minX; px -= step) {
+                const score = scoreAt(mask, px, py);
+                if (score > best.score) best = { x: px, y: py, score };
+            }
+        }
+
+        const coarse = best;
+        for (let py = Math.max(minY, coarse.y - step + 1); py <= Math.min(maxY, coarse.y + step - 1); py++) {
+            for (let px = Math.max(minX, coarse.x - step + 1); px <= Math.min(maxX, coarse.x + step - 1); px++) {
+                const score = scoreAt(mask, px, py);
+                if (score > best.score) best = { x: px, y: py, score };
+            }
+        }
+
+        return makeSearchRegion(imageData, mask, best.x, best.y);
+    }
+
+    /**
+     * 將遮罩重新取樣為任意尺寸（可分離的三角濾波，縮小時自動擴大取樣範圍以避免鋸齒）
+     * @returns {{ width: number, height: number, alphas: Float32Array }}
+     */
+    function resampleMask(mask, width, height) {
+        if (width === mask.width && height === mask.height) return mask;
+
+        // 計算單一軸向每個目標像素的來源索引與權重
+        const axisWeights = (srcSize, dstSize) => {
+            const scale = dstSize / srcSize;
+            const support = scale < 1 ? 1 / scale : 1;
+            const weights = [];
+            for (let d = 0; d < dstSize; d++) {
+                const center = (d + 0.5) / scale - 0.5;
+                const from = Math.max(0, Math.floor(center - support));
+                const to = Math.min(srcSize - 1, Math.ceil(center + support));
+                const taps = [];
+                let total = 0;
+                for (let s = from; s <= to; s++) {
+                    const weight = Math.max(0, 1 - Math.abs(s - center) / support);
+                    if (weight > 0) {
+                        taps.push([s, weight]);
+                        total += weight;
+                    }
+                }
+                if (total === 0) {
+                    const nearest = Math.min(srcSize - 1, Math.max(0, Math.round(center)));
+                    taps.push([nearest, 1]);
+                    total = 1;
+                }
+                weights.push(taps.map(([s, weight]) => [s, weight / total]));
+            }
+            return weights;
+        };
+
+        const xWeights = axisWeights(mask.width, width);
+        const yWeights = axisWeights(mask.height, height);
+
+        // 先水平、再垂直
+        const temp = new Float32Array(width * mask.height);
+        for (let y = 0; y < mask.height; y++) {
+            for (let x = 0; x < width; x++) {
+                let value = 0;
+                for (const [s, weight] of xWeights[x]) value += mask.alphas[y * mask.width + s] * weight;
+                temp[y * width + x] = value;
+            }
+        }
+
+        const alphas = new Float32Array(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let value = 0;
+                for (const [s, weight] of yWeights[y]) value += temp[s * width + x] * weight;
+                alphas[y * width + x] = value;
+            }
+        }
+
+        return { width, height, alphas };
+    }
+
+    /**
+     * 搜尋被縮放過的浮水印：同時搜尋遮罩尺寸與位置
+     * 邊距與浮水印尺寸成正比（例如 Gemini 舊版 2/3 倍、新版 2 倍），因此每個尺寸只需檢查各 Profile 的預期邊距。
+     * 先以皮爾森相關係數粗略掃描所有尺寸，再對最佳的幾組在 ±2px 尺寸、±3px 位置內
+     * 以 scoreDetrendedCandidate 細搜（原始相關係數對尺寸不夠敏感，容易選到略小的遮罩）。
+     * @param {Object} baseMask - 用來重新取樣的原始遮罩（建議使用最大的遮罩）
+     * @param {Function} [getMask] - 取得指定尺寸遮罩的函式（供呼叫端快取）
+     * @param {Object[]} ratios - 邊距 / 浮水印尺寸的比例 { x, y }，可附帶任意欄位（例如 profile）
+     * @returns {Object|null} { region, mask, ratio }；region 含 scale、marginX、marginY 與去趨勢分數 fit
+     */
+    function searchWatermarkScale(imageData, baseMask, getMask, ratios) {
+        const w = imageData.width;
+        const h = imageData.height;
+        const maxSize = Math.min(CONSTANTS.SCALE_MAX_SIZE, w, h);
+        if (maxSize < CONSTANTS.SCALE_MIN_SIZE || !ratios || ratios.length === 0) return null;
+
+        const fetchMask = getMask || ((size) => resampleMask(baseMask, size, size));
+        const slack = CONSTANTS.SCALE_POSITION_SLACK;
+        const maxRatio = Math.max.apply(null, ratios.map(ratio => Math.max(ratio.x, ratio.y)));
+        const extent = Math.ceil(maxSize * (1 + maxRatio)) + slack;
+        const scoreAt = createCornerScorer(imageData, Math.max(0, w - extent), Math.max(0, h - extent));
+
+        // 1. 粗略掃描：每個尺寸只評估預期邊距
+        const coarse = [];
+        for (let size = CONSTANTS.SCALE_MIN_SIZE; size <= maxSize; size += 2) {
+            const mask = fetchMask(size);
+            for (const ratio of ratios) {
+                const score = scoreAt(mask, w - Math.round(size * ratio.x) - size, h - Math.round(size * ratio.y) - size);
+                if (score > Number.NEGATIVE_INFINITY) coarse.push({ size, ratio, score });
+            }
+        }
+        if (coarse.length === 0) return null;
+
+        coarse.sort((a, b) => b.score - a.score);
+
+        // 2. 細搜：最佳的幾組附近的尺寸與位置，以去趨勢分數排序
+        let best = null;
+        const visited = new Set();
+        for (const seed of coarse.slice(0, 5)) {
+            for (let size = seed.size - 2; size <= seed.size + 2; size++) {
+                if (size < CONSTANTS.SCALE_MIN_SIZE || size > maxSize) continue;
+                const mask = fetchMask(size);
+                const baseX = w - Math.round(size * seed.ratio.x) - size;
+                const baseY = h - Math.round(size * seed.ratio.y) - size;
+
+                for (let dy = -slack; dy <= slack; dy++) {
+                    for (let dx = -slack; dx <= slack; dx++) {
+                        const x = baseX + dx;
+                        const y = baseY + dy;
+                        const key = `${size},${x},${y}`;
+                        // 位移後超出影像任一邊的候選直接略過（遮罩必須完整落在影像內）
+                        if (x < 0 || y < 0 || x + mask.width > w || y + mask.height > h || visited.has(key)) continue;
+                        visited.add(key);
+
+                        const fit = scoreDetrendedCandidate(imageData, mask, { x, y });
+                        if (!best || fit > best.fit) {
+                            best = { mask, x, y, fit, ratio: seed.ratio };
+                        }
+                    }
+                }
+            }
+        }
+
+        if (!best) return null;
+
+        const region = makeSearchRegion(imageData, best.mask, best.x, best.y);
+        region.scale = best.mask.width / baseMask.width;
+        region.fit = best.fit;
+        return { region, mask: best.mask, ratio: best.ratio };
+    }
+
+    /**
+     * 估算最佳的浮水印強度增益值 (alphaGain)
+     * 使用相關性最小化 (Pearson Correlation Minimization) 演算法。
+     * 當強度過低，殘留的浮水印是亮色，與遮罩正相關；
+     * 當強度過高，過度消除的區域變暗，與遮罩負相關。
+     * 找出相關係數絕對值最小（最接近零相關）的強度，即為最佳消除增益。
+     */
+    function estimateOptimalGain(imageData, mask, posX, posY) {
+        const data = imageData.data;
+        const w = imageData.width;
+        const h = imageData.height;
+
+        let bestGain = 0.5; // 預設的 fallback 值
+        let minAbsCorr = Number.MAX_VALUE;
+
+        const count = mask.width * mask.height;
+
+        // 1. 計算 mask 的平均值與方差 (排除 alpha <= 0.05 的無關區域)
+        let sumMask = 0;
+        let validCount = 0;
+        for (let i = 0; i < count; i++) {
+            if (mask.alphas[i] > 0.05) {
+                sumMask += mask.alphas[i];
+                validCount++;
+            }
+        }
+
+        if (validCount === 0) return 0.5;
+        const meanMask = sumMask / validCount;
+
+        let varMask = 0;
+        for (let i = 0; i < count; i++) {
+            if (mask.alphas[i] > 0.05) {
+                const diff = mask.alphas[i] - meanMask;
+                varMask += diff * diff;
+            }
+        }
+
+        const reconGray = new Float32Array(count);
+
+        // 2. 搜尋範圍從 0.1 到 1.2，以 0.02 為間距進行評估
+        for (let g = 0.1; g <= 1.2; g += 0.02) {
+            let sumGray = 0;
+
+            // 還原該強度下的區域灰階亮度
+            for (let my = 0; my < mask.height; my++) {
+                for (let mx = 0; mx < mask.width; mx++) {
+                    const ix = posX + mx;
+                    const iy = posY + my;
+                    const mIdx = my * mask.width + mx;
+
+                    if (ix >= w || iy >= h) {
+                        reconGray[mIdx] = 0;
+                        continue;
+                    }
+
+                    let alpha = mask.alphas[mIdx] * g;
+                    if (alpha > CONSTANTS.MAX_ALPHA) alpha = CONSTANTS.MAX_ALPHA;
+                    const oneMinusAlpha = 1.0 - alpha;
+
+                    const idx = (iy * w + ix) * 4;
+                    let r = (data[idx] - alpha * CONSTANTS.LOGO_VALUE) / oneMinusAlpha;
+                    let gr = (data[idx + 1] - alpha * CONSTANTS.LOGO_VALUE) / oneMinusAlpha;
+                    let b = (data[idx + 2] - alpha * CONSTANTS.LOGO_VALUE) / oneMinusAlpha;
+
+                    // 限制在有效色彩區間 [0, 255]
+                    if (r < 0) r = 0; else if (r > 255) r = 255;
+                    if (gr < 0) gr = 0; else if (gr > 255) gr = 255;
+                    if (b < 0) b = 0; else if (b > 255) b = 255;
+
+                    const gray = r * 0.299 + gr * 0.587 + b * 0.114;
+                    reconGray[mIdx] = gray;
+
+                    if (mask.alphas[mIdx] > 0.05) {
+                        sumGray += gray;
+                    }
+                }
+            }
+
+            const meanGray = sumGray / validCount;
+
+            // 計算協方差與圖像方差
+            let covariance = 0;
+            let varGray = 0;
+
+            for (let my = 0; my < mask.height; my++) {
+                for (let mx = 0; mx < mask.width; mx++) {
+                    const mIdx = my * mask.width + mx;
+                    if (mask.alphas[mIdx] > 0.05) {
+                        const diffMask = mask.alphas[mIdx] - meanMask;
+                        const diffGray = reconGray[mIdx] - meanGray;
+                        covariance += diffMask * diffGray;
+                        varGray += diffGray * diffGray;
+                    }
+                }
+            }
+
+            if (varGray > 0 && varMask > 0) {
+                const corr = covariance / Math.sqrt(varMask * varGray);
+                const absCorr = Math.abs(corr);
+                if (absCorr < minAbsCorr) {
+                    minAbsCorr = absCorr;
+                    bestGain = g;
+                }
+            }
+        }
+
+        return parseFloat(bestGain.toFixed(2));
+    }
+
+    /**
+     * 聯合估算浮水印的疊加顏色與各色版的增益
+     * 有些匯出流程會讓浮水印略帶色偏或經過 gamma 調整，單一增益搭配純白 (LOGO_VALUE) 會留下彩色光暈。
+     * 每個色版以模型 observed - B = m·g·L - m·g·B 求解 (g, L)，其中 B 是以區域外圍像素 Coons 內插的背景；
+     * 最小平方解即讓殘差與遮罩（及遮罩 × 背景）零相關。
+     * 背景平坦時 g 與 L 無法區分，因此以灰階估算的 baseGain 與純白作為先驗（嶺迴歸），
+     * 背景紋理越複雜（外圍內插誤差越大）越信任先驗，結果會退回與單一增益相同。
+     * @param {number} baseGain - estimateOptimalGain() 的結果
+     * @returns {{ gains: number[], color: number[] }} RGB 三個色版的增益與疊加顏色
+     */
+    function estimateOverlay(imageData, mask, posX, posY, baseGain) {
+        const w = imageData.width;
+        const h = imageData.height;
+        const data = imageData.data;
+        const mw = mask.width;
+        const mh = mask.height;
+        const gains = [];
+        const color = [];
+
+        for (let c = 0; c < 3; c++) {
+            const value = (x, y) => {
+                const cx = x < 0 ? 0 : (x >= w ? w - 1 : x);
+                const cy = y < 0 ? 0 : (y >= h ? h - 1 : y);
+                return data[(cy * w + cx) * 4 + c];
+            };
+
+            const c00 = value(posX - 1, posY - 1);
+            const c10 = value(posX + mw, posY - 1);
+            const c01 = value(posX - 1, posY + mh);
+            const c11 = value(posX + mw, posY + mh);
+
+            const samples = []; // [m, B, observed - B]
+            let noise = 0;
+            let noiseCount = 0;
+
+            for (let my = 0; my < mh && posY + my < h; my++) {
+                const v = (my + 1) / (mh + 1);
+                const left = value(posX - 1, posY + my);
+                const right = value(posX + mw, posY + my);
+
+                for (let mx = 0; mx < mw && posX + mx < w; mx++) {
+                    const u = (mx + 1) / (mw + 1);
+                    const background = (1 - u) * left + u * right +
+                        (1 - v) * value(posX + mx, posY - 1) + v * value(posX + mx, posY + mh) -
+                        ((1 - u) * (1 - v) * c00 + u * (1 - v) * c10 + (1 - u) * v * c01 + u * v * c11);
+                    const diff = value(posX + mx, posY + my) - background;
+                    const m = mask.alphas[my * mw + mx];
+
+                    if (m < CONSTANTS.ALPHA_THRESHOLD) {
+                        // 遮罩外的像素沒有浮水印，用來衡量背景內插的誤差
+                        noise += diff * diff;
+                        noiseCount++;
+                    } else if (m > 0.05) {
+                        samples.push(m, background, diff);
+                    }
+                }
+            }
+
+            const ridge = CONSTANTS.OVERLAY_RIDGE + (noiseCount > 0 ? noise / noiseCount : 0) / CONSTANTS.OVERLAY_NOISE_SCALE;
+            const priorP = baseGain * CONSTANTS.LOGO_VALUE;
+            const priorQ = baseGain;
+
+            // 正規方程式：diff = p·m + q·(-m·B)，p = g·L、q = g
+            let s11 = 0, s12 = 0, s22 = 0, s1y = 0, s2y = 0;
+            for (let i = 0; i < samples.length; i += 3) {
+                const x1 = samples[i];
+                const x2 = -samples[i] * samples[i + 1];
+                const y = samples[i + 2];
+                s11 += x1 * x1;
+                s12 += x1 * x2;
+                s22 += x2 * x2;
+                s1y += x1 * y;
+                s2y += x2 * y;
+            }
+
+            let gain = baseGain;
+            let overlay = CONSTANTS.LOGO_VALUE;
+
+            if (samples.length > 0) {
+                const a11 = s11 * (1 + ridge);
+                const a22 = s22 * (1 + ridge);
+                const b1 = s1y + ridge * s11 * priorP;
+                const b2 = s2y + ridge * s22 * priorQ;
+                const det = a11 * a22 - s12 * s12;
+                const q = det !== 0 ? (a11 * b2 - s12 * b1) / det : 0;
+                const p = det !== 0 ? (b1 * a22 - s12 * b2) / det : 0;
+
+                gain = q;
+                overlay = q > 0 ? p / q : Number.NaN;
+
+                // 顏色超出合理範圍時固定顏色，只重新求解增益
+                if (!(overlay >= CONSTANTS.OVERLAY_COLOR_MIN && overlay <= CONSTANTS.LOGO_VALUE)) {
+                    overlay = overlay > 0
+                        ? Math.max(CONSTANTS.OVERLAY_COLOR_MIN, Math.min(CONSTANTS.LOGO_VALUE, overlay))
+                        : CONSTANTS.LOGO_VALUE;
+                    let szz = 0, szy = 0;
+                    for (let i = 0; i < samples.length; i += 3) {
+                        const z = samples[i] * (overlay - samples[i + 1]);
+                        szz += z * z;
+                        szy += z * samples[i + 2];
+                    }
+                    gain = (szy + ridge * szz * priorQ) / (szz * (1 + ridge));
+                }
+
+                if (!(gain > 0)) {
+                    gain = baseGain;
+                    overlay = CONSTANTS.LOGO_VALUE;
+                }
+            }
+
+            gains.push(parseFloat(gain.toFixed(3)));
+            color.push(Math.round(overlay));
+        }
+
+        return { gains, color };
+    }
+
+    /**
+     * 將單一數值或 [R, G, B] 陣列統一為三個色版的陣列
+     */
+    function toChannels(value, fallback) {
+        if (Array.isArray(value)) return value;
+        const v = value === undefined ? fallback : value;
+        return [v, v, v];
+    }
+
+    /**
+     * 在指定區域套用逆向 Alpha 混合演算法，直接修改 imageData
+     * @param {number|number[]} gain - 單一增益，或 estimateOverlay() 估算的 RGB 各色版增益
+     * @param {number[]} [color] - 浮水印的 RGB 疊加顏色，預設為純白 (LOGO_VALUE)
+     */
+    function applyReverseBlend(imageData, mask, region, gain, color) {
+        const w = imageData.width;
+        const h = imageData.height;
+        const data = imageData.data;
+        const gains = toChannels(gain);
+        const colors = toChannels(color, CONSTANTS.LOGO_VALUE);
+
+        for (let my = 0; my < mask.height; my++) {
+            for (let mx = 0; mx < mask.width; mx++) {
+                const iy = region.y + my;
+                const ix = region.x + mx;
+
+                if (ix >= w || iy >= h) continue;
+
+                const mIdx = my * mask.width + mx;
+                const idx = (iy * w + ix) * 4;
+
+                for (let c = 0; c < 3; c++) {
+                    let alpha = mask.alphas[mIdx] * gains[c];
+
+                    if (alpha < CONSTANTS.ALPHA_THRESHOLD) continue;
+                    if (alpha > CONSTANTS.MAX_ALPHA) alpha = CONSTANTS.MAX_ALPHA;
+
+                    const currentVal = data[idx + c];
+                    let original = (currentVal - alpha * colors[c]) / (1.0 - alpha);
+                    if (original < 0) original = 0;
+                    if (original > 255) original = 255;
+                    data[idx + c] = original;
+                }
+            }
+        }
+    }
+
+    /**
+     * 複製浮水印區域（遮罩大小）的原始像素，供第二階段判斷還原是否被截斷
+     */
+    function copyRegionPixels(imageData, mask, region) {
+        const w = imageData.width;
+        const h = imageData.height;
+        const pixels = new Uint8ClampedArray(mask.width * mask.height * 4);
+
+        for (let my = 0; my < mask.height; my++) {
+            const iy = region.y + my;
+            if (iy >= h) break;
+            const rowEnd = Math.min(mask.width, w - region.x);
+            const start = (iy * w + region.x) * 4;
+            pixels.set(imageData.data.subarray(start, start + rowEnd * 4), my * mask.width * 4);
+        }
+        return pixels;
+    }
+
+    /**
+     * 找出逆向混合後不可靠、需要修補的像素
+     * - 還原值超出 0~255 被截斷（JPEG 壓縮誤差被 1/(1-α) 放大）
+     * - alpha 過高，還原時誤差放大倍率太大
+     * - 星形輪廓與內部殘留的環狀雜訊（與鄰近 3x3 中位數差異過大）
+     * strength (0~1) 越高，判定越寬鬆、修補的範圍越大；0 時只修補明顯截斷的像素。
+     * @param {Object} imageData - 已套用逆向混合的影像
+     * @param {Uint8ClampedArray} source - 套用前的區域像素（copyRegionPixels）
+     * @param {number|number[]} gain - 與 applyReverseBlend 相同的增益
+     * @param {number[]} [color] - 與 applyReverseBlend 相同的疊加顏色
+     * @returns {Uint8Array} 與遮罩同尺寸的旗標（1 = 需要修補）
+     */
+    function findResidualPixels(imageData, source, mask, region, gain, color, strength) {
+        const gains = toChannels(gain);
+        const colors = toChannels(color, CONSTANTS.LOGO_VALUE);
+        const maxGain = Math.max(gains[0], gains[1], gains[2]);
+        const s = Math.max(0, Math.min(1, strength));
+        const clipTolerance = 2 + 30 * (1 - s);
+        const alphaCut = 0.95 - 0.45 * s;
+        const edgeDeviation = 40 * (1 - s);
+        const interiorDeviation = 8 + 2 * edgeDeviation;
+
+        const mw = mask.width;
+        const mh = Math.min(mask.height, imageData.height - region.y);
+        const cols = Math.min(mw, imageData.width - region.x);
+        const alphas = mask.alphas;
+        const data = imageData.data;
+        const w = imageData.width;
+
+        // 還原後的亮度，用於比對鄰近中位數
+        const luma = new Float32Array(mw * mask.height);
+        for (let my = 0; my < mh; my++) {
+            for (let mx = 0; mx < cols; mx++) {
+                const idx = ((region.y + my) * w + region.x + mx) * 4;
+                luma[my * mw + mx] = 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+            }
+        }
+
+        const flags = new Uint8Array(mw * mask.height);
+        const neighborhood = [];
+
+        for (let my = 0; my < mh; my++) {
+            for (let mx = 0; mx < cols; mx++) {
+                const mIdx = my * mw + mx;
+                const alpha = Math.min(alphas[mIdx] * maxGain, CONSTANTS.MAX_ALPHA);
+
+                // 遮罩在 3x3 內的最大落差：輪廓像素（含外側光暈）
+                let edge = 0;
+                neighborhood.length = 0;
+                for (let dy = -1; dy <= 1; dy++) {
+                    const ny = my + dy;
+                    if (ny < 0 || ny >= mh) continue;
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = mx + dx;
+                        if (nx < 0 || nx >= cols) continue;
+                        edge = Math.max(edge, Math.abs(alphas[ny * mw + nx] - alphas[mIdx]));
+                        neighborhood.push(luma[ny * mw + nx]);
+                    }
+                }
+                const isEdge = edge >= 0.05;
+                if (alpha < CONSTANTS.ALPHA_THRESHOLD && !isEdge) continue;
+
+                if (alpha >= alphaCut) {
+                    flags[mIdx] = 1;
+                    continue;
+                }
+
+                if (alpha >= CONSTANTS.ALPHA_THRESHOLD) {
+                    let clipped = false;
+                    for (let c = 0; c < 3 && !clipped; c++) {
+                        const channelAlpha = Math.min(alphas[mIdx] * gains[c], CONSTANTS.MAX_ALPHA);
+                        if (channelAlpha < CONSTANTS.ALPHA_THRESHOLD) continue;
+                        const raw = (source[mIdx * 4 + c] - channelAlpha * colors[c]) / (1.0 - channelAlpha);
+                        clipped = raw < -clipTolerance || raw > 255 + clipTolerance;
+                    }
+                    if (clipped) {
+                        flags[mIdx] = 1;
+                        continue;
+                    }
+                }
+
+                if (s === 0) continue;
+                neighborhood.sort((a, b) => a - b);
+                const deviation = Math.abs(luma[mIdx] - neighborhood[neighborhood.length >> 1]);
+                if (deviation > (isEdge ? edgeDeviation : interiorDeviation)) {
+                    flags[mIdx] = 1;
+                }
+            }
+        }
+
+        // 向外擴張 1px，涵蓋 JPEG 區塊邊緣的殘留
+        const dilated = new Uint8Array(flags);
+        for (let my = 0; my < mh; my++) {
+            for (let mx = 0; mx < cols; mx++) {
+                if (!flags[my * mw + mx]) continue;
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const ny = my + dy;
+                        const nx = mx + dx;
+                        if (ny >= 0 && ny < mh && nx >= 0 && nx < cols) dilated[ny * mw + nx] = 1;
+                    }
+                }
+            }
+        }
+        return dilated;
+    }
+
+    /**
+     * 以 Telea 快速行進法 (Fast Marching Method) 修補標記的像素
+     * 由已知像素的邊界向內推進，每個像素以半徑內已知像素的加權平均填補
+     * （權重為方向、距離與等距線層級三項；省略原論文的梯度修正項）。
+     * 只在浮水印區域（加上修補半徑的邊框）內運算。
+     * @param {Uint8Array} flags - findResidualPixels() 的結果
+     * @returns {number} 修補的像素數
+     */
+    function inpaintPixels(imageData, mask, region, flags) {
+        const radius = CONSTANTS.INPAINT_RADIUS;
+        const w = imageData.width;
+        const h = imageData.height;
+        const data = imageData.data;
+
+        const x0 = Math.max(0, region.x - radius - 1);
+        const y0 = Math.max(0, region.y - radius - 1);
+        const x1 = Math.min(w, region.x + mask.width + radius + 1);
+        const y1 = Math.min(h, region.y + mask.height + radius + 1);
+        const ww = x1 - x0;
+        const wh = y1 - y0;
+
+        const KNOWN = 0, BAND = 1, INSIDE = 2;
+        const state = new Uint8Array(ww * wh);
+        const T = new Float32Array(ww * wh);
+        let count = 0;
+
+        for (let my = 0; my < mask.height; my++) {
+            for (let mx = 0; mx < mask.width; mx++) {
+                if (!flags[my * mask.width + mx]) continue;
+                const ix = region.x + mx - x0;
+                const iy = region.y + my - y0;
+                if (ix >= ww || iy >= wh) continue;
+                state[iy * ww + ix] = INSIDE;
+                T[iy * ww + ix] = 1e6;
+                count++;
+            }
+        }
+        if (count === 0) return 0;
+
+        // 最小堆積（以 T 排序），過期的項目在取出時略過
+        const heapT = [];
+        const heapIdx = [];
+        const push = (t, idx) => {
+            let i = heapT.length;
+            heapT.push(t);
+            heapIdx.push(idx);
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (heapT[parent] <= heapT[i]) break;
+                [heapT[parent], heapT[i]] = [heapT[i], heapT[parent]];
+                [heapIdx[parent], heapIdx[i]] = [heapIdx[i], heapIdx[parent]];
+                i = parent;
+            }
+        };
+        const pop = () => {
+            const top = heapIdx[0];
+            const lastT = heapT.pop();
+            const lastIdx = heapIdx.pop();
+            if (heapT.length > 0) {
+                heapT[0] = lastT;
+                heapIdx[0] = lastIdx;
+                let i = 0;
+                for (;;) {
+                    const l = i * 2 + 1;
+                    const r = l + 1;
+                    let m = i;
+                    if (l < heapT.length && heapT[l] < heapT[m]) m = l;
+                    if (r < heapT.length && heapT[r] < heapT[m]) m = r;
+                    if (m === i) break;
+                    [heapT[m], heapT[i]] = [heapT[i], heapT[m]];
+                    [heapIdx[m], heapIdx[i]] = [heapIdx[i], heapIdx[m]];
+                    i = m;
+                }
+            }
+            return top;
+        };
+
+        const isKnown = (x, y) => x >= 0 && y >= 0 && x < ww && y < wh && state[y * ww + x] === KNOWN;
+
+        // 程函方程式 |∇T| = 1 的局部解
+        const solve = (xa, ya, xb, yb) => {
+            const knownA = isKnown(xa, ya);
+            const knownB = isKnown(xb, yb);
+            const ta = knownA ? T[ya * ww + xa] : 1e6;
+            const tb = knownB ? T[yb * ww + xb] : 1e6;
+            if (knownA && knownB) {
+                const d = 2 - (ta - tb) * (ta - tb);
+                if (d > 0) {
+                    const r = Math.sqrt(d);
+                    let sol = (ta + tb - r) / 2;
+                    if (sol >= ta && sol >= tb) return sol;
+                    sol += r;
+                    if (sol >= ta && sol >= tb) return sol;
+                }
+            }
+            return Math.min(ta, tb) + 1;
+        };
+
+        const fill = (px, py) => {
+            const pIdx = py * ww + px;
+            const tp = T[pIdx];
+
+            // T 的梯度方向（等距線的法向量）
+            const tAt = (x, y) => (x >= 0 && y >= 0 && x < ww && y < wh && state[y * ww + x] !== INSIDE ? T[y * ww + x] : null);
+            const left = tAt(px - 1, py), right = tAt(px + 1, py);
+            const up = tAt(px, py - 1), down = tAt(px, py + 1);
+            let gx = 0, gy = 0;
+            if (left !== null && right !== null) gx = (right - left) / 2;
+            else if (right !== null) gx = right - tp;
+            else if (left !== null) gx = tp - left;
+            if (up !== null && down !== null) gy = (down - up) / 2;
+            else if (down !== null) gy = down - tp;
+            else if (up !== null) gy = tp - up;
+            const gLen = Math.hypot(gx, gy);
+
+            let sumW = 0, r = 0, g = 0, b = 0;
+            for (let dy = -radius; dy <= radius; dy++) {
+                const qy = py + dy;
+                if (qy < 0 || qy >= wh) continue;
+                for (let dx = -radius; dx <= radius; dx++) {
+                    const qx = px + dx;
+                    if (qx < 0 || qx >= ww || (dx === 0 && dy === 0)) continue;
+                    const dist2 = dx * dx + dy * dy;
+                    if (dist2 > radius * radius) continue;
+                    const qIdx = qy * ww + qx;
+                    if (state[qIdx] === INSIDE) continue;
+
+                    const dir = gLen > 0 ? Math.max(1e-6, Math.abs(-dx * gx - dy * gy) / (Math.sqrt(dist2) * gLen)) : 1;
+                    const lev = 1 / (1 + Math.abs(T[qIdx] - tp));
+                    const weight = dir * lev / dist2;
+
+                    const di = ((qy + y0) * w + qx + x0) * 4;
+                    r += data[di] * weight;
+                    g += data[di + 1] * weight;
+                    b += data[di + 2] * weight;
+                    sumW += weight;
+                }
+            }
+
+            if (sumW > 0) {
+                const di = ((py + y0) * w + px + x0) * 4;
+                data[di] = r / sumW;
+                data[di + 1] = g / sumW;
+                data[di + 2] = b / sumW;
+            }
+        };
+
+        // 初始窄帶：與待修補像素相鄰的已知像素
+        for (let y = 0; y < wh; y++) {
+            for (let x = 0; x < ww; x++) {
+                if (state[y * ww + x] !== KNOWN) continue;
+                if (
+                    (x > 0 && state[y * ww + x - 1] === INSIDE) ||
+                    (x < ww - 1 && state[y * ww + x + 1] === INSIDE) ||
+                    (y > 0 && state[(y - 1) * ww + x] === INSIDE) ||
+                    (y < wh - 1 && state[(y + 1) * ww + x] === INSIDE)
+                ) {
+                    state[y * ww + x] = BAND;
+                    push(0, y * ww + x);
+                }
+            }
+        }
+
+        const neighbors = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+        while (heapT.length > 0) {
+            const t = heapT[0];
+            const idx = pop();
+            if (state[idx] === KNOWN || t > T[idx]) continue;
+            state[idx] = KNOWN;
+
+            const x = idx % ww;
+            const y = (idx - x) / ww;
+            for (const [dx, dy] of neighbors) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx < 0 || ny < 0 || nx >= ww || ny >= wh) continue;
+                const nIdx = ny * ww + nx;
+                if (state[nIdx] === KNOWN) continue;
+
+                const nt = Math.min(
+                    solve(nx - 1, ny, nx, ny - 1),
+                    solve(nx + 1, ny, nx, ny - 1),
+                    solve(nx - 1, ny, nx, ny + 1),
+                    solve(nx + 1, ny, nx, ny + 1)
+                );
+                if (state[nIdx] === INSIDE) {
+                    T[nIdx] = nt;
+                    state[nIdx] = BAND;
+                    fill(nx, ny);
+                    push(nt, nIdx);
+                } else if (nt < T[nIdx]) {
+                    T[nIdx] = nt;
+                    push(nt, nIdx);
+                }
+            }
+        }
+
+        return count;
+    }
+
+    /**
+     * 修飾筆刷的權重：硬度範圍內為 1，之後以平滑曲線衰減至筆刷邊緣
+     */
+    function brushWeight(dist, radius, hardness) {
+        if (dist >= radius) return 0;
+        const inner = radius * hardness;
+        if (dist <= inner) return 1;
+        const t = (dist - inner) / (radius - inner);
+        return 1 - t * t * (3 - 2 * t);
+    }
+
+    /**
+     * 依筆刷間距展開筆畫路徑上的筆觸點
+     * 結果對路徑前綴穩定：路徑延長時先前的筆觸點不變，即時繪製可只套用新增的部分。
+     * @param {{ size: number, points: Array<{ x: number, y: number }> }} stroke
+     * @returns {Array<{ x: number, y: number }>}
+     */
+    function getStrokeDabs(stroke) {
+        const points = stroke.points || [];
+        if (points.length === 0) return [];
+
+        const spacing = Math.max(1, stroke.size * CONSTANTS.BRUSH_SPACING);
+        const dabs = [{ x: points[0].x, y: points[0].y }];
+        let travelled = 0; // 距離上一個筆觸點的路徑長度
+        for (let i = 1; i < points.length; i++) {
+            const ax = points[i - 1].x;
+            const ay = points[i - 1].y;
+            const dx = points[i].x - ax;
+            const dy = points[i].y - ay;
+            const length = Math.hypot(dx, dy);
+            if (length === 0) continue;
+
+            let t = spacing - travelled;
+            while (t <= length) {
+                dabs.push({ x: ax + dx * t / length, y: ay + dy * t / length });
+                t += spacing;
+            }
+            travelled = length - (t - spacing);
+        }
+        return dabs;
+    }
+
+    /**
+     * 修復筆刷的色彩補償：筆刷外圈目的地與來源的平均色差
+     * 讓複製來的紋理沿用目的地周圍的亮度與色調。
+     */
+    function healShift(source, w, h, cx, cy, radius, ox, oy) {
+        const outer = radius + CONSTANTS.BRUSH_HEAL_RING;
+        const reach = Math.ceil(outer);
+        const sum = [0, 0, 0];
+        let count = 0;
+
+        for (let y = Math.floor(cy) - reach; y <= Math.floor(cy) + reach; y++) {
+            if (y < 0 || y >= h || y + oy < 0 || y + oy >= h) continue;
+            for (let x = Math.floor(cx) - reach; x <= Math.floor(cx) + reach; x++) {
+                if (x < 0 || x >= w || x + ox < 0 || x + ox >= w) continue;
+                const dist = Math.hypot(x + 0.5 - cx, y + 0.5 - cy);
+                if (dist <= radius || dist > outer) continue;
+
+                const di = (y * w + x) * 4;
+                const si = ((y + oy) * w + x + ox) * 4;
+                for (let c = 0; c < 3; c++) sum[c] += source[di + c] - source[si + c];
+                count++;
+            }
+        }
+        return count > 0 ? sum.map(v => v / count) : sum;
+    }
+
+    /**
+     * 對來源影像的矩形範圍做可分離的盒狀模糊（以前綴和計算，邊界只平均影像內的像素）
+     * @returns {Float32Array} 範圍內每個像素的 RGB
+     */
+    function blurRegion(source, w, h, x0, y0, x1, y1, k) {
+        const bw = x1 - x0 + 1;
+        const bh = y1 - y0 + 1;
+        const ry0 = Math.max(0, y0 - k);
+        const ry1 = Math.min(h - 1, y1 + k);
+        const rows = ry1 - ry0 + 1;
+        const cx0 = Math.max(0, x0 - k);
+        const cx1 = Math.min(w - 1, x1 + k);
+        const span = cx1 - cx0 + 1;
+
+        // 水平方向
+        const horizontal = new Float32Array(rows * bw * 3);
+        const prefix = new Float64Array((span + 1) * 3);
+        for (let ry = 0; ry < rows; ry++) {
+            const rowStart = (ry0 + ry) * w;
+            for (let i = 0; i < span; i++) {
+                const si = (rowStart + cx0 + i) * 4;
+                for (let c = 0; c < 3; c++) prefix[(i + 1) * 3 + c] = prefix[i * 3 + c] + source[si + c];
+            }
+            for (let x = x0; x <= x1; x++) {
+                const a = Math.max(cx0, x - k) - cx0;
+                const b = Math.min(cx1, x + k) - cx0 + 1;
+                const o = (ry * bw + x - x0) * 3;
+                for (let c = 0; c < 3; c++) horizontal[o + c] = (prefix[b * 3 + c] - prefix[a * 3 + c]) / (b - a);
+            }
+        }
+
+        // 垂直方向
+        const result = new Float32Array(bw * bh * 3);
+        const column = new Float64Array((rows + 1) * 3);
+        for (let x = 0; x < bw; x++) {
+            for (let ry = 0; ry < rows; ry++) {
+                const o = (ry * bw + x) * 3;
+                for (let c = 0; c < 3; c++) column[(ry + 1) * 3 + c] = column[ry * 3 + c] + horizontal[o + c];
+            }
+            for (let y = y0; y <= y1; y++) {
+                const a = Math.max(ry0, y - k) - ry0;
+                const b = Math.min(ry1, y + k) - ry0 + 1;
+                const o = ((y - y0) * bw + x) * 3;
+                for (let c = 0; c < 3; c++) result[o + c] = (column[b * 3 + c] - column[a * 3 + c]) / (b - a);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 將筆觸點畫到影像上（原地修改）
+     * 取樣一律來自 source（筆畫開始前的快照），同一筆畫內重疊的筆觸不會彼此累積。
+     * - clone：複製 offset 位置的像素
+     * - heal：同 clone，再補償外圈的平均色差
+     * - blur：來源的盒狀模糊
+     * @param {Uint8ClampedArray} source - 與 imageData.data 同尺寸的快照
+     * @param {{ tool: 'clone'|'heal'|'blur', size: number, hardness: number, offset?: { x: number, y: number } }} stroke
+     *   size 為筆刷直徑 (px)，hardness 為 0 ~ 1，offset 為來源相對於筆觸點的位移
+     * @param {Array<{ x: number, y: number }>} dabs - getStrokeDabs() 的結果（或其中一段）
+     * @returns {{ x: number, y: number, width: number, height: number }|null} 受影響的範圍
+     */
+    function paintStrokeDabs(imageData, source, stroke, dabs) {
+        if (!BRUSH_TOOLS.includes(stroke.tool)) {
+            throw new Error(`Unknown brush tool "${stroke.tool}"`);
+        }
+        if (dabs.length === 0) return null;
+
+        const w = imageData.width;
+        const h = imageData.height;
+        const data = imageData.data;
+        const radius = Math.max(0.5, stroke.size / 2);
+        const hardness = Math.min(1, Math.max(0, stroke.hardness));
+        const reach = Math.ceil(radius);
+
+        let x0 = w, y0 = h, x1 = -1, y1 = -1;
+        for (const dab of dabs) {
+            x0 = Math.min(x0, Math.floor(dab.x) - reach);
+            y0 = Math.min(y0, Math.floor(dab.y) - reach);
+            x1 = Math.max(x1, Math.floor(dab.x) + reach);
+            y1 = Math.max(y1, Math.floor(dab.y) + reach);
+        }
+        x0 = Math.max(0, x0);
+        y0 = Math.max(0, y0);
+        x1 = Math.min(w - 1, x1);
+        y1 = Math.min(h - 1, y1);
+        if (x0 > x1 || y0 > y1) return null;
+
+        const ox = Math.round(stroke.offset ? stroke.offset.x : 0);
+        const oy = Math.round(stroke.offset ? stroke.offset.y : 0);
+        const bw = x1 - x0 + 1;
+        const blurred = stroke.tool === 'blur'
+            ? blurRegion(source, w, h, x0, y0, x1, y1, Math.max(1, Math.round(radius * CONSTANTS.BRUSH_BLUR_RATIO)))
+            : null;
+
+        for (const dab of dabs) {
+            const shift = stroke.tool === 'heal' ? healShift(source, w, h, dab.x, dab.y, radius, ox, oy) : [0, 0, 0];
+            const dy0 = Math.max(y0, Math.floor(dab.y - radius));
+            const dy1 = Math.min(y1, Math.ceil(dab.y + radius));
+            const dx0 = Math.max(x0, Math.floor(dab.x - radius));
+            const dx1 = Math.min(x1, Math.ceil(dab.x + radius));
+
+            for (let y = dy0; y <= dy1; y++) {
+                for (let x = dx0; x <= dx1; x++) {
+                    const weight = brushWeight(Math.hypot(x + 0.5 - dab.x, y + 0.5 - dab.y), radius, hardness);
+                    if (weight <= 0) continue;
+
+                    const di = (y * w + x) * 4;
+                    for (let c = 0; c < 3; c++) {
+                        let target;
+                        if (blurred) {
+                            target = blurred[((y - y0) * bw + x - x0) * 3 + c];
+                        } else {
+                            const sx = Math.min(w - 1, Math.max(0, x + ox));
+                            const sy = Math.min(h - 1, Math.max(0, y + oy));
+                            target = source[(sy * w + sx) * 4 + c] + shift[c];
+                        }
+                        data[di + c] = data[di + c] + (target - data[di + c]) * weight;
+                    }
+                }
+            }
+        }
+
+        return { x: x0, y: y0, width: x1 - x0 + 1, height: y1 - y0 + 1 };
+    }
+
+    /**
+     * 依序套用修飾筆畫（原地修改）
+     * 每一筆畫取樣自前面筆畫套用後的結果，與使用者在畫面上繪製時相同。
+     * @param {Array<Object>} strokes - paintStrokeDabs() 的 stroke 再加上 points
+     * @returns {number} 實際畫到影像上的筆畫數
+     */
+    function applyBrushStrokes(imageData, strokes) {
+        if (!strokes || strokes.length === 0) return 0;
+
+        const source = new Uint8ClampedArray(imageData.data.length);
+        let painted = 0;
+        for (const stroke of strokes) {
+            const dabs = getStrokeDabs(stroke);
+            if (dabs.length === 0) continue;
+            source.set(imageData.data);
+            if (paintStrokeDabs(imageData, source, stroke, dabs)) painted++;
+        }
+        return painted;
+    }
+
+    /**
+     * 熱度圖色階：藍 → 青 → 綠 → 黃 → 紅
+     */
+    const HEATMAP_STOPS = [[0, 0, 255], [0, 255, 255], [0, 255, 0], [255, 255, 0], [255, 0, 0]];
+
+    function heatmapColor(t) {
+        const pos = Math.min(1, Math.max(0, t)) * (HEATMAP_STOPS.length - 1);
+        const i = Math.min(HEATMAP_STOPS.length - 2, Math.floor(pos));
+        const f = pos - i;
+        const a = HEATMAP_STOPS[i];
+        const b = HEATMAP_STOPS[i + 1];
+        return [a[0] + (b[0] - a[0]) * f, a[1] + (b[1] - a[1]) * f, a[2] + (b[2] - a[2]) * f];
+    }
+
+    /**
+     * 產生原圖與處理結果的逐像素差異熱度圖（除錯檢視用）
+     * 未變更的像素以壓暗的灰階顯示處理結果作為背景；變更的像素依 RGB 最大差異著色，
+     * 色階以最大差異正規化後取平方根，讓微小的變化也看得見。
+     * @returns {{ imageData: { width: number, height: number, data: Uint8ClampedArray }, maxDiff: number, changed: number }}
+     */
+    function renderDifferenceMap(original, processed) {
+        if (original.width !== processed.width || original.height !== processed.height) {
+            throw new Error('Image sizes do not match');
+        }
+
+        const { width, height } = processed;
+        const a = original.data;
+        const b = processed.data;
+        const diffs = new Uint8Array(width * height);
+        let maxDiff = 0;
+        let changed = 0;
+        for (let p = 0, i = 0; p < diffs.length; p++, i += 4) {
+            const d = Math.max(Math.abs(a[i] - b[i]), Math.abs(a[i + 1] - b[i + 1]), Math.abs(a[i + 2] - b[i + 2]));
+            diffs[p] = d;
+            if (d > maxDiff) maxDiff = d;
+            if (d > 0) changed++;
+        }
+
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let p = 0, i = 0; p < diffs.length; p++, i += 4) {
+            if (diffs[p] === 0) {
+                const luma = (b[i] * 0.299 + b[i + 1] * 0.587 + b[i + 2] * 0.114) * CONSTANTS.HEATMAP_BACKGROUND;
+                data[i] = luma;
+                data[i + 1] = luma;
+                data[i + 2] = luma;
+            } else {
+                const color = heatmapColor(Math.sqrt(diffs[p] / maxDiff));
+                data[i] = color[0];
+                data[i + 1] = color[1];
+                data[i + 2] = color[2];
+            }
+            data[i + 3] = 255;
+        }
+
+        return { imageData: { width, height, data }, maxDiff, changed };
+    }
+
+    /**
+     * 依最終區域的分數判定偵測信心等級
+     * 固定邊距、滑動視窗搜尋與縮放搜尋的分數分布不同，各自套用對應的門檻。
+     * 手動指定的區域不評估信心，固定回傳 'manual'。
+     * @param {Object} [profileThresholds] - Profile 的 thresholds（{ fixed, search, scaled }），省略時使用 CONSTANTS
+     * @returns {'found'|'uncertain'|'none'|'manual'}
+     */
+    function assessConfidence(region, profileThresholds) {
+        if (!region) return 'none';
+        if (region.manual) return 'manual';
+
+        const levels = Object.assign({
+            fixed: CONSTANTS.CONFIDENCE_FIXED,
+            search: CONSTANTS.CONFIDENCE_SEARCH,
+            scaled: CONSTANTS.CONFIDENCE_SCALED
+        }, profileThresholds);
+        let value = region.score;
+        let thresholds = levels.fixed;
+        if (region.scale !== undefined) {
+            value = region.fit;
+            thresholds = levels.scaled;
+        } else if (region.marginX !== undefined) {
+            thresholds = levels.search;
+        }
+
+        if (value >= thresholds[0]) return 'found';
+        if (value >= thresholds[1]) return 'uncertain';
+        return 'none';
+    }
+
+    /**
+     * 將候選區域轉為可序列化的純資料（可安全地經由 postMessage 傳遞）
+     */
+    function toPlainRegion(region) {
+        if (!region) return null;
+        const plain = {
+            x: region.x,
+            y: region.y,
+            width: region.width,
+            height: region.height,
+            margin: region.margin,
+            score: region.score
+        };
+        if (region.profile !== undefined) plain.profile = region.profile;
+        if (region.manual) plain.manual = true;
+        if (region.size !== undefined) plain.size = region.size;
+        if (region.scale !== undefined) plain.scale = region.scale;
+        if (region.fit !== undefined) plain.fit = region.fit;
+        if (region.marginX !== undefined) {
+            plain.marginX = region.marginX;
+            plain.marginY = region.marginY;
+        }
+        return plain;
+    }
+
+    /**
+     * 建立浮水印去除器
+     * @param {Object} [init]
+     * @param {Object[]} [init.profiles] - loadProfiles() 產生的 Profile
+     * @param {{ small: Object, large: Object }} [init.masks] - 只提供 decodeMask() 遮罩時，套用內建的 Gemini Profile
+     * @returns {{ setProfiles: Function, setMasks: Function, detect: Function, remove: Function }}
+     */
+    function createRemover(init) {
+        let profiles = [];
+
+        // 縮放後的遮罩快取（依原始遮罩分組，以尺寸為 key 重新取樣）
+        let scaledMasks = new Map();
+        const getScaledMask = (baseMask) => {
+            let cache = scaledMasks.get(baseMask);
+            if (!cache) {
+                cache = new Map();
+                scaledMasks.set(baseMask, cache);
+            }
+            return (size) => {
+                let mask = cache.get(size);
+                if (!mask) {
+                    mask = resampleMask(baseMask, size, size);
+                    cache.set(size, mask);
+                }
+                return mask;
+            };
+        };
+
+        const setProfiles = (nextProfiles) => {
+            profiles = nextProfiles || [];
+            scaledMasks = new Map();
+        };
+
+        const setMasks = (masks) => {
+            setProfiles(masks && masks.small && masks.large
+                ? loadProfiles(DEFAULT_PROFILES, (file, sizeId) => masks[sizeId])
+                : []);
+        };
+
+        if (init && init.profiles) setProfiles(init.profiles);
+        else if (init && init.masks) setMasks(init.masks);
+
+        // 依選項決定要嘗試的 Profile：指定 profile 時只用該 Profile（即使未啟用），否則使用所有啟用的 Profile
+        const activeProfiles = (opts) => {
+            if (profiles.length === 0) {
+                throw new Error('Masks not loaded yet');
+            }
+            if (opts.profile && opts.profile !== 'auto') {
+                const selected = profiles.filter(profile => profile.id === opts.profile);
+                if (selected.length === 0) {
+                    throw new Error(`Unknown profile: ${opts.profile}`);
+                }
+                return selected;
+            }
+            const alias = POSITION_PROFILES[opts.forcePosition];
+            if (alias) return profiles.filter(profile => profile.id === alias);
+            return profiles.filter(profile => profile.enabled);
+        };
+
+        const maskOf = (region) => {
+            const profile = profiles.find(p => p.id === region.profile);
+            return profile.sizes[region.size].mask;
+        };
+
+        // 縮放搜尋：以每個 Profile 最大的遮罩為基準，共用同一遮罩的 Profile 合併為一次搜尋
+        const locateScaled = (imageData, list) => {
+            const groups = new Map();
+            list.forEach(profile => {
+                const entries = Object.values(profile.sizes);
+                const base = entries.reduce((a, b) => (b.mask.width > a.mask.width ? b : a)).mask;
+                let ratios = groups.get(base);
+                if (!ratios) {
+                    ratios = [];
+                    groups.set(base, ratios);
+                }
+                entries.forEach(({ mask, marginX, marginY }) => {
+                    const ratio = { x: marginX / mask.width, y: marginY / mask.height, profile: profile.id };
+                    const duplicate = ratios.some(r => Math.abs(r.x - ratio.x) < 1e-3 && Math.abs(r.y - ratio.y) < 1e-3);
+                    if (!duplicate) ratios.push(ratio);
+                });
+            });
+
+            let best = null;
+            groups.forEach((ratios, base) => {
+                const found = searchWatermarkScale(imageData, base, getScaledMask(base), ratios);
+                if (found && (!best || found.region.fit > best.region.fit)) best = found;
+            });
+            if (best) best.region.profile = best.ratio.profile;
+            return best;
+        };
+
+        // 滑動視窗搜尋：每個不同的遮罩各搜尋一次，取分數最高者
+        // 多個 Profile 共用同一個遮罩時，結果歸給邊距最接近找到位置的 Profile（套用它的門檻與顏色），距離相同時依優先順序
+        const locateSearch = (imageData, list, opts, frame) => {
+            const users = new Map(); // 遮罩 -> [{ profile, size }]
+            list.forEach(profile => {
+                const size = resolveProfileSize(profile, frame.imageWidth, frame.imageHeight, opts.forceMode);
+                if (!size) return;
+                const mask = profile.sizes[size].mask;
+                if (!users.has(mask)) users.set(mask, []);
+                users.get(mask).push({ profile, size });
+            });
+
+            let best = null;
+            users.forEach((entries, mask) => {
+                const region = searchWatermarkRegion(imageData, mask, opts.searchWindow);
+                if (!region || (best && region.score <= best.score)) return;
+
+                // 處理視窗貼齊原圖的右、下邊界，視窗內的邊距即原圖的邊距
+                const distance = ({ profile, size }) => (
+                    Math.abs(profile.sizes[size].marginX - region.marginX) +
+                    Math.abs(profile.sizes[size].marginY - region.marginY)
+                );
+                const owner = entries.reduce((a, b) => (distance(b) < distance(a) ? b : a));
+                region.profile = owner.profile.id;
+                region.size = owner.size;
+                best = region;
+            });
+            return best;
+        };
+
+        // 手動指定區域：不經過候選評分與搜尋，直接使用優先序最高的 Profile 中尺寸最接近的遮罩（尺寸不同時重新取樣）
+        const locateManual = (imageData, list, opts) => {
+            const profile = list[0];
+            const manual = opts.manualRegion;
+            const width = Math.round(manual.width);
+            const height = Math.round(manual.height !== undefined ? manual.height : manual.width);
+            if (
+                !profile ||
+                !(width >= CONSTANTS.MANUAL_MIN_SIZE && height >= CONSTANTS.MANUAL_MIN_SIZE) ||
+                width > imageData.width || height > imageData.height
+            ) {
+                return null;
+            }
+
+            const sizeIds = Object.keys(profile.sizes);
+            const size = profile.sizes[opts.forceMode] ? opts.forceMode : sizeIds.reduce((a, b) => (
+                Math.abs(profile.sizes[b].mask.width - width) < Math.abs(profile.sizes[a].mask.width - width) ? b : a
+            ));
+            let mask = profile.sizes[size].mask;
+            if (mask.width !== width || mask.height !== height) {
+                const base = sizeIds.map(id => profile.sizes[id].mask).reduce((a, b) => (b.width > a.width ? b : a));
+                mask = width === height ? getScaledMask(base)(width) : resampleMask(base, width, height);
+            }
+
+            const x = Math.max(0, Math.min(imageData.width - width, Math.round(manual.x) || 0));
+            const y = Math.max(0, Math.min(imageData.height - height, Math.round(manual.y) || 0));
+            const region = {
+                x,
+                y,
+                width,
+                height,
+                margin: Math.max(imageData.width - x - width, imageData.height - y - height),
+                score: 0,
+                profile: profile.id,
+                size,
+                manual: true
+            };
+            region.score = scoreWatermarkCandidate(imageData, mask, region);
+            return { region, mask };
+        };
+
+        // 決定 Profile 與尺寸並選出浮水印區域，回傳結果與內部使用的遮罩（座標為 imageData 內的座標）
+        const locate = (imageData, opts, frame) => {
+            const list = activeProfiles(opts);
+            let mask = null;
+            let candidates = [];
+            let region = null;
+
+            if (opts.manualRegion) {
+                const found = locateManual(imageData, list, opts);
+                if (found) {
+                    mask = found.mask;
+                    region = found.region;
+                    candidates = [region];
+                }
+            } else if (opts.forceMode === 'scaled') {
+                // 強制縮放搜尋：適用於被縮小或放大過的圖片
+                const found = locateScaled(imageData, list);
+                if (found) {
+                    mask = found.mask;
+                    region = found.region;
+                    candidates = [region];
+                }
+            } else {
+                // 尺寸規則依原圖大小判斷；視窗貼齊右下角，只需平移到視窗座標
+                candidates = getCandidateRegions(frame.imageWidth, frame.imageHeight, list, opts.forceMode);
+                candidates.forEach(candidate => {
+                    candidate.x -= frame.x;
+                    candidate.y -= frame.y;
+                });
+
+                if (opts.forcePosition === 'search') {
+                    // 滑動視窗搜尋：固定邊距候選只評分供參考，最終採用搜尋到的最佳位置
+                    candidates.forEach(candidate => {
+                        candidate.score = scoreWatermarkCandidate(imageData, maskOf(candidate), candidate);
+                    });
+                    region = locateSearch(imageData, list, opts, frame);
+                    if (region) candidates.push(region);
+                } else {
+                    region = selectWatermarkRegion(imageData, list, candidates);
+                }
+                if (region) mask = maskOf(region);
+
+                // 全自動時若固定尺寸與遮罩不吻合，改用縮放搜尋，避免縮小過的圖片被默默略過
+                if (opts.forceMode === 'auto' && opts.forcePosition === 'auto') {
+                    const fixedFit = region ? scoreDetrendedCandidate(imageData, mask, region) : Number.NEGATIVE_INFINITY;
+                    const found = fixedFit < CONSTANTS.SCALE_FIT_THRESHOLD ? locateScaled(imageData, list) : null;
+                    if (
+                        found &&
+                        found.region.fit >= CONSTANTS.SCALE_FIT_THRESHOLD &&
+                        found.region.fit >= fixedFit + CONSTANTS.SCALE_SCORE_MARGIN
+                    ) {
+                        mask = found.mask;
+                        region = found.region;
+                        candidates.push(region);
+                    }
+                }
+            }
+
+            const profile = region ? profiles.find(p => p.id === region.profile) : null;
+            let mode = opts.forceMode !== 'auto' ? opts.forceMode : null;
+            if (region) mode = region.manual ? 'manual' : region.scale !== undefined ? 'scaled' : region.size;
+
+            return {
+                mask,
+                profile,
+                detection: {
+                    profile: profile ? profile.id : null,
+                    mode,
+                    region: toPlainRegion(region),
+                    margin: region ? region.margin : null,
+                    scale: region ? (region.scale || 1) : null,
+                    candidates: candidates.map(toPlainRegion),
+                    confidence: assessConfidence(region, profile ? profile.thresholds : undefined)
+                }
+            };
+        };
+
+        // imageData 為整張影像時的 frame
+        const fullFrame = (imageData) => ({
+            x: 0,
+            y: 0,
+            width: imageData.width,
+            height: imageData.height,
+            imageWidth: imageData.width,
+            imageHeight: imageData.height
+        });
+
+        // 手動區域由原圖座標換算為視窗座標
+        const toFrameOptions = (opts, frame) => {
+            if (!opts.manualRegion || (frame.x === 0 && frame.y === 0)) return opts;
+            const manualRegion = Object.assign({}, opts.manualRegion, {
+                x: (Math.round(opts.manualRegion.x) || 0) - frame.x,
+                y: (Math.round(opts.manualRegion.y) || 0) - frame.y
+            });
+            return Object.assign({}, opts, { manualRegion });
+        };
+
+        // 回傳的區域與候選換算回原圖座標
+        const toImageDetection = (detection, frame) => {
+            if (frame.x === 0 && frame.y === 0) return detection;
+            const translate = (region) => {
+                if (!region) return region;
+                region.x += frame.x;
+                region.y += frame.y;
+                return region;
+            };
+            translate(detection.region);
+            detection.candidates.forEach(translate);
+            return detection;
+        };
+
+        return {
+            /**
+             * 更換 Profile（例如 Worker 收到 INIT_PROFILES 時）
+             */
+            setProfiles,
+
+            /**
+             * 只提供大小兩個 Gemini 遮罩時使用，套用內建的 Gemini Profile
+             */
+            setMasks,
+
+            /**
+             * 只偵測浮水印位置，不修改影像（frame 與 remove() 相同）
+             * @returns {{ profile: string|null, mode: string|null, region: Object|null, margin: number|null, scale: number|null, candidates: Object[], confidence: string }}
+             */
+            detect(imageData, options, frame) {
+                const view = frame || fullFrame(imageData);
+                const opts = toFrameOptions(Object.assign({}, DEFAULT_OPTIONS, options), view);
+                return toImageDetection(locate(imageData, opts, view).detection, view);
+            },
+
+            /**
+             * 偵測並去除浮水印，直接修改傳入的 imageData
+             * 處理流程：依 Profile 選擇尺寸並定位浮水印區域、自動估算強度與疊加顏色、套用逆向 Alpha 混合演算法，
+             * 開啟 inpaint 時再修補還原不可靠的殘留像素
+             * 傳入 frame 時 imageData 只是原圖的處理視窗（getProcessingWindow），回傳的區域仍為原圖座標
+             * 未找到浮水印（confidence 為 none）時像素保持不變，modified 為 false
+             * @param {ImageData} imageData
+             * @param {Object} [options]
+             * @param {{ x: number, y: number, imageWidth: number, imageHeight: number }} [frame] - 視窗在原圖中的位置與原圖尺寸
+             * @returns {{ profile: string|null, mode: string|null, region: Object|null, margin: number|null, scale: number|null, candidates: Object[], confidence: string, appliedGain: number, channelGains: number[]|null, overlayColor: number[]|null, modified: boolean, inpainted: number }}
+             */
+            remove(imageData, options, frame) {
+                const view = frame || fullFrame(imageData);
+                const opts = toFrameOptions(Object.assign({}, DEFAULT_OPTIONS, options), view);
+                const { mask, profile, detection } = locate(imageData, opts, view);
+
+                // 信心度為 none 時仍回傳最接近的區域供介面顯示，但不修改像素（避免在沒有浮水印的圖片上造成暗斑）
+                if (!detection.region || detection.confidence === 'none') {
+                    return Object.assign(toImageDetection(detection, view), {
+                        appliedGain: opts.alphaGain,
+                        channelGains: null,
+                        overlayColor: null,
+                        modified: false,
+                        inpainted: 0
+                    });
+                }
+
+                const { x, y } = detection.region;
+                let gain = opts.alphaGain;
+                let gains = [gain, gain, gain];
+                let color = profile.color.slice(); // 手動強度時使用 Profile 宣告的浮水印顏色（預設白色）
+                if (opts.autoStrength) {
+                    gain = estimateOptimalGain(imageData, mask, x, y);
+                    ({ gains, color } = estimateOverlay(imageData, mask, x, y, gain));
+                }
+
+                const source = opts.inpaint ? copyRegionPixels(imageData, mask, detection.region) : null;
+                applyReverseBlend(imageData, mask, detection.region, gains, color);
+
+                let inpainted = 0;
+                if (opts.inpaint) {
+                    const flags = findResidualPixels(imageData, source, mask, detection.region, gains, color, opts.inpaintStrength);
+                    inpainted = inpaintPixels(imageData, mask, detection.region, flags);
+                }
+
+                return Object.assign(toImageDetection(detection, view), {
+                    appliedGain: gain,
+                    channelGains: gains,
+                    overlayColor: color,
+                    modified: true,
+                    inpainted
+                });
+            }
+        };
+    }
+
+    return {
+        CONSTANTS,
+        DEFAULT_OPTIONS,
+        DEFAULT_PROFILES,
+        createRemover,
+        decodeMask,
+        encodeMask,
+        calibrateMask,
+        normalizeProfile,
+        loadProfiles,
+        listProfileMasks,
+        resolveProfileSize,
+        expectedRegion,
+        getCandidateRegions,
+        getProcessingWindow,
+        selectWatermarkRegion,
+        searchWatermarkRegion,
+        searchWatermarkScale,
+        resampleMask,
+        scoreWatermarkCandidate,
+        scoreDetrendedCandidate,
+        assessConfidence,
+        estimateOptimalGain,
+        estimateOverlay,
+        applyReverseBlend,
+        findResidualPixels,
+        inpaintPixels,
+        getStrokeDabs,
+        paintStrokeDabs,
+        applyBrushStrokes,
+        heatmapColor,
+        renderDifferenceMap
+    };
+});
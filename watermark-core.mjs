@@ -0,0 +1,46 @@
+// watermark-core.mjs
+
+/**
+ * watermark-core.js 的 ES Module 進入點（Node.js 用）
+ * import { createRemover, decodeMask } from './watermark-core.mjs';
+ */
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const WatermarkCore = require('./watermark-core.js');
+
+export const {
+    CONSTANTS,
+    DEFAULT_OPTIONS,
+    DEFAULT_PROFILES,
+    createRemover,
+    decodeMask,
+    encodeMask,
+    calibrateMask,
+    normalizeProfile,
+    loadProfiles,
+    listProfileMasks,
+    resolveProfileSize,
+    expectedRegion,
+    getCandidateRegions,
+    getProcessingWindow,
+    selectWatermarkRegion,
+    searchWatermarkRegion,
+    searchWatermarkScale,
+    resampleMask,
+    scoreWatermarkCandidate,
+    scoreDetrendedCandidate,
+    assessConfidence,
+    estimateOptimalGain,
+    estimateOverlay,
+    applyReverseBlend,
+    findResidualPixels,
+    inpaintPixels,
+    getStrokeDabs,
+    paintStrokeDabs,
+    applyBrushStrokes,
+    heatmapColor,
+    renderDifferenceMap
+} = WatermarkCore;
+
+export default WatermarkCore;
@@ -0,0 +1,295 @@
+// worker-pool.js
+
+/**
+ * Worker 執行緒池
+ * - 依 navigator.hardwareConcurrency 建立多個 Worker 平行處理圖片
+ * - 具優先順序的工作佇列（正在編輯的卡片可插隊）
+ * - 以 key 取消排隊中或執行中的工作（卡片移除、設定變更時）
+ * - Worker 當掉時自動重建並重試工作
+ *
+ * 工作以 prepare() 延遲產生訊息：直到有空閒的 Worker 才讀取像素，
+ * 避免大量圖片排隊時同時佔用記憶體，也讓當掉後的重試能重新產生已轉移的 buffer。
+ *
+ * 指定 affinity 的工作固定在同一個 Worker 執行（例如 Worker 中保存的卡片影像）：
+ * attach() 登記綁定時要送出的載入訊息，第一個工作分派時才選定 Worker 並先送出該訊息；
+ * Worker 當掉後綁定解除，重試的工作會在新的 Worker 上重新載入。
+ * 注意：訊息中的 payload.id 由執行緒池管理，用於對應 Worker 的回覆。
+ */
+class WorkerPool {
+    /**
+     * @param {string} scriptUrl - Worker 腳本路徑
+     * @param {number} [size] - Worker 數量，預設為 CPU 核心數
+     */
+    constructor(scriptUrl, size) {
+        this.scriptUrl = scriptUrl;
+        this.size = Math.max(1, size || navigator.hardwareConcurrency || 4);
+        this.slots = [];            // { worker, job }
+        this.queue = [];            // 等待中的工作
+        this.initMessages = null;   // 每個 Worker 啟動時要先收到的訊息（如 INIT_PROFILES）
+        this.affinities = new Map(); // affinity -> { load, slot }，slot 為 null 表示尚未綁定
+        this.nextJobId = 1;
+    }
+
+    /**
+     * 設定初始化訊息並開始分派工作
+     * 在此之前送入的工作會先排隊；之後新建（或重建）的 Worker 也會收到相同訊息
+     * @param {Object[]} messages
+     */
+    initialize(messages) {
+        this.initMessages = messages;
+        this.slots.forEach(slot => messages.forEach(message => slot.worker.postMessage(message)));
+        this.dispatch();
+    }
+
+    /**
+     * 送出一個工作
+     * @param {Object} options
+     * @param {string} options.key - 工作擁有者（例如卡片 id），用於取消與插隊
+     * @param {number} [options.priority] - 數字越大越優先，見 WorkerPool.PRIORITY
+     * @param {Function} options.prepare - 回傳 { message, transfer }，在分派到 Worker 前才呼叫
+     * @param {string} [options.affinity] - 以 attach() 登記的綁定，工作只在該 Worker 執行
+     * @returns {Promise<Object>} Worker 回覆的 payload
+     */
+    run({ key, priority = WorkerPool.PRIORITY.BATCH, prepare, affinity = null }) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({
+                id: `job-${this.nextJobId++}`,
+                key,
+                priority,
+                prepare,
+                affinity,
+                resolve,
+                reject,
+                attempts: 0,
+                cancelled: false
+            });
+            this.dispatch();
+        });
+    }
+
+    /**
+     * 登記一個綁定；第一個指定此 affinity 的工作分派時，選定的 Worker 會先收到 load() 產生的訊息
+     * @param {string} affinity
+     * @param {Function} load - 回傳 { message, transfer }（訊息沒有回覆）
+     */
+    attach(affinity, load) {
+        this.affinities.set(affinity, { load, slot: null });
+    }
+
+    /**
+     * 解除綁定，並通知綁定的 Worker 釋放資源（排隊中的工作應先以 cancel() 取消）
+     * @param {string} affinity
+     * @param {Object} [message] - 送給綁定 Worker 的訊息（例如 RELEASE_CARD）
+     */
+    detach(affinity, message) {
+        const binding = this.affinities.get(affinity);
+        this.affinities.delete(affinity);
+        if (binding && binding.slot && message) binding.slot.worker.postMessage(message);
+    }
+
+    /**
+     * 取消指定 key 的所有工作
+     * 排隊中的直接移除；執行中的無法中斷 Worker，改為丟棄其結果
+     */
+    cancel(key) {
+        const abort = (job) => {
+            job.cancelled = true;
+            job.reject(WorkerPool.createAbortError());
+        };
+
+        this.queue = this.queue.filter(job => {
+            if (job.key !== key) return true;
+            abort(job);
+            return false;
+        });
+
+        this.slots.forEach(slot => {
+            if (slot.job && slot.job.key === key && !slot.job.cancelled) {
+                abort(slot.job);
+            }
+        });
+    }
+
+    /**
+     * 將指定 key 的排隊工作提升到最高優先
+     */
+    prioritize(key) {
+        this.queue.forEach(job => {
+            if (job.key === key) job.priority = WorkerPool.PRIORITY.INTERACTIVE;
+        });
+    }
+
+    /**
+     * 查詢指定 key 是否仍有未完成的工作
+     */
+    isBusy(key) {
+        return this.queue.some(job => job.key === key) ||
+            this.slots.some(slot => slot.job && slot.job.key === key && !slot.job.cancelled);
+    }
+
+    /**
+     * 終止所有 Worker 並拒絕所有工作
+     */
+    terminate() {
+        this.queue.forEach(job => job.reject(WorkerPool.createAbortError()));
+        this.queue = [];
+        this.slots.forEach(slot => {
+            if (slot.job && !slot.job.cancelled) slot.job.reject(WorkerPool.createAbortError());
+            slot.worker.terminate();
+        });
+        this.slots = [];
+        this.affinities.forEach(binding => { binding.slot = null; });
+    }
+
+    /**
+     * 把排隊中的工作分派給空閒的 Worker
+     */
+    dispatch() {
+        if (!this.initMessages) return;
+
+        let next;
+        while ((next = this.takeNextJob())) {
+            const slot = next.slot === WorkerPool.SPAWN ? this.spawn() : next.slot;
+            this.start(slot, next.job);
+        }
+    }
+
+    /**
+     * 工作目前可以使用的 Worker
+     * 已綁定的工作只能等待自己的 Worker；尚未綁定的工作優先建立新的 Worker（讓卡片分散到各個 Worker），
+     * 數量已滿時使用綁定最少的空閒 Worker
+     * @returns {Object|string|null} slot、WorkerPool.SPAWN（可以建立新的 Worker）或 null（需要等待）
+     */
+    slotFor(job) {
+        const binding = job.affinity !== null ? this.affinities.get(job.affinity) : null;
+        if (binding && binding.slot) return binding.slot.job ? null : binding.slot;
+
+        const idle = this.slots.filter(slot => !slot.job);
+        if (this.slots.length < this.size && (binding || idle.length === 0)) return WorkerPool.SPAWN;
+        if (idle.length === 0) return null;
+        if (!binding) return idle[0];
+
+        const bound = slot => Array.from(this.affinities.values()).filter(b => b.slot === slot).length;
+        return idle.reduce((best, slot) => (bound(slot) < bound(best) ? slot : best));
+    }
+
+    /**
+     * 取出目前可以執行、優先順序最高的工作（同優先順序時先進先出）
+     * @returns {{ job: Object, slot: Object|string }|null}
+     */
+    takeNextJob() {
+        let best = null;
+        this.queue.forEach((job, index) => {
+            if (best && job.priority <= best.job.priority) return;
+            const slot = this.slotFor(job);
+            if (slot) best = { job, index, slot };
+        });
+        if (best) this.queue.splice(best.index, 1);
+        return best;
+    }
+
+    spawn() {
+        const slot = { worker: new Worker(this.scriptUrl), job: null };
+        slot.worker.onmessage = (e) => this.handleMessage(slot, e.data);
+        slot.worker.onerror = (e) => {
+            e.preventDefault();
+            this.handleCrash(slot, e.message);
+        };
+        slot.worker.onmessageerror = () => this.handleCrash(slot, 'Message could not be deserialized');
+
+        (this.initMessages || []).forEach(message => slot.worker.postMessage(message));
+        this.slots.push(slot);
+        return slot;
+    }
+
+    start(slot, job) {
+        const binding = job.affinity !== null ? this.affinities.get(job.affinity) : null;
+        if (job.affinity !== null && !binding) {
+            job.reject(WorkerPool.createAbortError()); // 綁定已解除（例如卡片已移除）
+            this.dispatch();
+            return;
+        }
+
+        let prepared;
+        let load = null;
+        try {
+            prepared = job.prepare();
+            if (binding && !binding.slot) load = binding.load();
+        } catch (err) {
+            job.reject(err);
+            this.dispatch();
+            return;
+        }
+
+        if (load) {
+            binding.slot = slot;
+            slot.worker.postMessage(load.message, load.transfer || []);
+        }
+
+        const { message, transfer } = prepared;
+        job.attempts++;
+        slot.job = job;
+        slot.worker.postMessage(
+            Object.assign({}, message, { payload: Object.assign({}, message.payload, { id: job.id }) }),
+            transfer || []
+        );
+    }
+
+    handleMessage(slot, data) {
+        const job = slot.job;
+        if (!job || data.id !== job.id) return;
+
+        slot.job = null;
+        if (!job.cancelled) {
+            if (typeof data.type === 'string' && data.type.endsWith('_ERROR')) {
+                job.reject(new Error(data.payload));
+            } else {
+                job.resolve(data.payload);
+            }
+        }
+        this.dispatch();
+    }
+
+    /**
+     * Worker 當掉時重建該位置，並在重試次數內將工作放回佇列最前面
+     */
+    handleCrash(slot, reason) {
+        console.error('Worker crashed, respawning:', reason);
+        const job = slot.job;
+
+        slot.worker.terminate();
+        this.slots = this.slots.filter(s => s !== slot);
+        this.affinities.forEach(binding => {
+            if (binding.slot === slot) binding.slot = null;
+        });
+
+        if (job && !job.cancelled) {
+            if (job.attempts < WorkerPool.MAX_ATTEMPTS) {
+                job.priority = WorkerPool.PRIORITY.RETRY;
+                this.queue.unshift(job);
+            } else {
+                job.reject(new Error(reason || 'Worker crashed'));
+            }
+        }
+
+        this.dispatch();
+    }
+
+    static createAbortError() {
+        const err = new Error('Job cancelled');
+        err.name = 'AbortError';
+        return err;
+    }
+}
+
+WorkerPool.PRIORITY = {
+    BATCH: 0,        // 匯入或批次重新處理
+    INTERACTIVE: 10, // 使用者正在調整的卡片
+    RETRY: 20        // Worker 當掉後重試的工作
+};
+
+// slotFor() 表示可以建立新 Worker 的標記
+WorkerPool.SPAWN = 'spawn';
+
+// 每個工作最多嘗試的次數（含第一次）
+WorkerPool.MAX_ATTEMPTS = 2;
@@ -1,334 +1,228 @@
 // worker.js
 
 /**
- * 系統常數設定
+ * 浮水印處理 Worker
+ * 演算法本身位於 watermark-core.js，與網頁主執行緒及命令列工具共用。
+ * 支援 OffscreenCanvas 時，每張卡片的原圖與合成結果都保存在這裡（ImageComposite，以卡片 id 對應，
+ * 由 WorkerPool 的 affinity 固定在同一個 Worker）：解碼、處理、疊加筆觸與 Logo、編碼都不離開 Worker，
+ * 主執行緒只收到卡片大小的預覽與編碼好的檔案。
+ * 不支援時主執行緒自行保存影像，只把處理視窗以 PROCESS_IMAGE 送來。
  */
-const CONSTANTS = {
-    LARGE_THRESHOLD: 1024,
-    MARGIN_LARGE: 64,
-    MARGIN_SMALL: 32,
-    MARGIN_LARGE_NEW: 192,
-    MARGIN_SMALL_NEW: 96,
-    LOGO_VALUE: 255.0,
-    ALPHA_THRESHOLD: 0.002,
-    MAX_ALPHA: 0.99,
-    POSITION_SCORE_TOLERANCE: 0.05,
-    POSITION_SCORE_THRESHOLD: 0.2
-};
-
-let masks = {
-    small: null,
-    large: null
-};
-
-// 監聽主執行緒的訊息
-self.onmessage = function(e) {
-    const { type, payload } = e.data;
+importScripts('watermark-core.js', 'image-metadata.js', 'image-encoder.js', 'image-composite.js');
 
-    if (type === 'INIT_MASKS') {
-        masks = payload; // { small: { width, height, alphas }, large: ... }
-    } else if (type === 'PROCESS_IMAGE') {
-        const { imageData, config } = payload;
-        try {
-            const result = removeWatermark(imageData, config);
-            const watermarkRegion = result ? result.region : null;
-            const appliedGain = result ? result.appliedGain : config.alphaGain;
-            self.postMessage({
-                type: 'PROCESS_COMPLETE',
-                payload: { imageData, watermarkRegion, appliedGain },
-                id: payload.id
-            }, [imageData.data.buffer]); // 轉移 buffer
-        } catch (err) {
-            self.postMessage({
-                type: 'PROCESS_ERROR',
-                payload: err.message,
-                id: payload.id
-            });
-        }
-    }
-};
+const remover = WatermarkCore.createRemover();
+const encoder = new ImageEncoder();
+let profiles = [];
+const cards = new Map(); // cardId -> Promise<Card>
 
 /**
- * 執行浮水印去除的核心函式
- * 包含：選擇大小模式、定位浮水印區域、自動估算強度、套用逆向 Alpha 混合演算法
+ * 讀取中繼資料並解碼圖片，依 EXIF 方向轉正
+ * 有色彩描述檔時不做色彩轉換：輸出會寫回原本的描述檔，像素必須維持原檔的數值（raw 為 true）
+ * @param {Blob} file
+ * @returns {Promise<{ bitmap: ImageBitmap, metadata: Object|null, raw: boolean }>}
  */
-function removeWatermark(imageData, config) {
-    const w = imageData.width;
-    const h = imageData.height;
-
-    // 1. 決定尺寸模式
-    let mode = config.forceMode;
-    if (mode === 'auto') {
-        if (w > CONSTANTS.LARGE_THRESHOLD && h > CONSTANTS.LARGE_THRESHOLD) {
-            mode = 'large';
-        } else {
-            mode = 'small';
-        }
+async function decodeImage(file) {
+    let metadata = null;
+    try {
+        metadata = await ImageMetadata.readMetadata(new Uint8Array(await file.arrayBuffer()));
+    } catch (err) {
+        console.warn('Failed to read metadata:', err);
     }
 
-    const mask = mode === 'large' ? masks.large : masks.small;
-    if (!mask) {
-        throw new Error('Masks not loaded yet');
+    const raw = !!(metadata && metadata.icc);
+    try {
+        const options = { imageOrientation: 'from-image' };
+        if (raw) options.colorSpaceConversion = 'none';
+        const bitmap = await createImageBitmap(file, options);
+        return { bitmap, metadata, raw };
+    } catch (err) {
+        // 舊版瀏覽器不認得 'from-image'（其預設行為已套用 EXIF 方向），改用預設選項並由瀏覽器轉換色彩
+        const bitmap = await createImageBitmap(file);
+        return { bitmap, metadata, raw: false };
     }
-
-    // 2. 智慧偵測浮水印區域
-    const region = selectWatermarkRegion(imageData, mask, mode, config.forcePosition);
-    if (!region) return null;
-
-    const posX = region.x;
-    const posY = region.y;
-
-    // 3. 處理強度增益值 (優先自動偵測)
-    const data = imageData.data;
-    let gain = config.alphaGain;
-
-    if (config.autoStrength) {
-        gain = estimateOptimalGain(imageData, mask, posX, posY);
-    }
-
-    // 4. 執行逆向 Alpha 混合演算法消除浮水印
-    for (let my = 0; my < mask.height; my++) {
-        for (let mx = 0; mx < mask.width; mx++) {
-            const iy = posY + my;
-            const ix = posX + mx;
-
-            if (ix >= w || iy >= h) continue;
-
-            const mIdx = my * mask.width + mx;
-            let alpha = mask.alphas[mIdx] * gain;
-
-            if (alpha < CONSTANTS.ALPHA_THRESHOLD) continue;
-            if (alpha > CONSTANTS.MAX_ALPHA) alpha = CONSTANTS.MAX_ALPHA;
-
-            const oneMinusAlpha = 1.0 - alpha;
-            const idx = (iy * w + ix) * 4;
-
-            for (let c = 0; c < 3; c++) {
-                const currentVal = data[idx + c];
-                let original = (currentVal - alpha * CONSTANTS.LOGO_VALUE) / oneMinusAlpha;
-                if (original < 0) original = 0;
-                if (original > 255) original = 255;
-                data[idx + c] = original;
-            }
-        }
-    }
-
-    return { region, appliedGain: gain };
 }
 
 /**
- * 依照新舊 Gemini 浮水印邊距候選值，選出最可能的浮水印區域。
- * 目前保留舊版 64/32px 邊距，同時支援新版 192/96px 邊距。
+ * 解碼卡片的原圖；configKey 與 version 記錄合成結果對應的設定與圖層
  */
-function selectWatermarkRegion(imageData, mask, mode, forcePosition) {
-    const w = imageData.width;
-    const h = imageData.height;
-    
-    let margins = [];
-    if (forcePosition === 'new') {
-        margins = [mode === 'large' ? CONSTANTS.MARGIN_LARGE_NEW : CONSTANTS.MARGIN_SMALL_NEW];
-    } else if (forcePosition === 'old') {
-        margins = [mode === 'large' ? CONSTANTS.MARGIN_LARGE : CONSTANTS.MARGIN_SMALL];
-    } else {
-        margins = mode === 'large'
-            ? [CONSTANTS.MARGIN_LARGE, CONSTANTS.MARGIN_LARGE_NEW]
-            : [CONSTANTS.MARGIN_SMALL, CONSTANTS.MARGIN_SMALL_NEW];
-    }
-
-    const candidates = margins
-        .map(margin => ({
-            margin,
-            x: w - margin - mask.width,
-            y: h - margin - mask.height,
-            width: mask.width,
-            height: mask.height,
-            score: Number.NEGATIVE_INFINITY
-        }))
-        .filter(region => region.x >= 0 && region.y >= 0);
-
-    if (candidates.length === 0) return null;
-
-    if (forcePosition && forcePosition !== 'auto') {
-        return candidates[0];
-    }
-
-    for (const candidate of candidates) {
-        candidate.score = scoreWatermarkCandidate(imageData, mask, candidate);
-    }
-
-    const best = candidates.reduce((currentBest, candidate) => (
-        candidate.score > currentBest.score ? candidate : currentBest
-    ));
-    const newerCandidate = candidates.find(candidate => (
-        candidate.margin === CONSTANTS.MARGIN_LARGE_NEW ||
-        candidate.margin === CONSTANTS.MARGIN_SMALL_NEW
-    ));
-
-    // 新版 Gemini 樣本會落在 192/96px 邊距；分數接近時優先使用新版位置。
-    if (
-        newerCandidate &&
-        newerCandidate.score >= CONSTANTS.POSITION_SCORE_THRESHOLD &&
-        newerCandidate.score >= best.score - CONSTANTS.POSITION_SCORE_TOLERANCE
-    ) {
-        return newerCandidate;
-    }
-
-    return best;
+async function loadCard(file) {
+    const { bitmap, metadata, raw } = await decodeImage(file);
+    const composite = ImageComposite.fromImage(bitmap);
+    bitmap.close();
+    return { composite, metadata, raw, result: null, configKey: null, version: null };
 }
 
 /**
- * 使用遮罩與影像灰階值的相關性評分，估計候選區域是否像 Gemini 星形浮水印。
- * 計算皮爾森相關係數 (Pearson Correlation Coefficient) 作為相關度指標。
+ * 依工作附帶的設定與圖層更新卡片：設定不同（或 Worker 重建後）時重新處理，圖層版本不同時重新疊加
+ * 每個工作都帶著完整的狀態，不依賴之前的訊息，Worker 當掉後的重試也能得到相同結果
+ * @param {Object} card
+ * @param {{ config: Object, configKey: string, layers: { strokes: Object[], logo: Object|null, version: number } }} request
  */
-function scoreWatermarkCandidate(imageData, mask, region) {
-    const data = imageData.data;
-    const stride = imageData.width * 4;
-    const sampleStep = 1;
-    let sumMask = 0;
-    let sumGray = 0;
-    let count = 0;
-
-    for (let my = 0; my < mask.height; my += sampleStep) {
-        for (let mx = 0; mx < mask.width; mx += sampleStep) {
-            const maskValue = mask.alphas[my * mask.width + mx];
-            const idx = ((region.y + my) * stride) + ((region.x + mx) * 4);
-            const gray = data[idx] * 0.299 + data[idx + 1] * 0.587 + data[idx + 2] * 0.114;
-
-            sumMask += maskValue;
-            sumGray += gray;
-            count++;
-        }
+async function updateCard(card, { config, configKey, layers }) {
+    const composite = card.composite;
+    let processed = false;
+    if (card.configKey !== configKey) {
+        const frame = WatermarkCore.getProcessingWindow(composite.width, composite.height, profiles, config);
+        const imageData = composite.readWindow(frame);
+        card.result = remover.remove(imageData, config, frame);
+        composite.applyWindow(imageData, frame);
+        card.configKey = configKey;
+        processed = true;
     }
 
-    const meanMask = sumMask / count;
-    const meanGray = sumGray / count;
-    let covariance = 0;
-    let maskVariance = 0;
-    let grayVariance = 0;
-
-    for (let my = 0; my < mask.height; my += sampleStep) {
-        for (let mx = 0; mx < mask.width; mx += sampleStep) {
-            const maskDiff = mask.alphas[my * mask.width + mx] - meanMask;
-            const idx = ((region.y + my) * stride) + ((region.x + mx) * 4);
-            const gray = data[idx] * 0.299 + data[idx + 1] * 0.587 + data[idx + 2] * 0.114;
-            const grayDiff = gray - meanGray;
-
-            covariance += maskDiff * grayDiff;
-            maskVariance += maskDiff * maskDiff;
-            grayVariance += grayDiff * grayDiff;
+    if (processed || card.version !== layers.version) {
+        let logo = null;
+        if (layers.logo) {
+            logo = { ...layers.logo, image: await createImageBitmap(layers.logo.file) };
         }
+        composite.render({
+            strokes: layers.strokes,
+            logo,
+            // 沒有偵測到浮水印時放在 Profile 預期的位置
+            region: config.manualRegion || card.result.region ||
+                WatermarkCore.expectedRegion(composite.width, composite.height, profiles, config)
+        });
+        if (logo) logo.image.close();
+        card.version = layers.version;
     }
-
-    if (maskVariance <= 0 || grayVariance <= 0) return 0;
-    return covariance / Math.sqrt(maskVariance * grayVariance);
 }
 
 /**
- * 估算最佳的浮水印強度增益值 (alphaGain)
- * 使用相關性最小化 (Pearson Correlation Minimization) 演算法。
- * 當強度過低，殘留的浮水印是亮色，與遮罩正相關；
- * 當強度過高，過度消除的區域變暗，與遮罩負相關。
- * 找出相關係數絕對值最小（最接近零相關）的強度，即為最佳消除增益。
+ * 處理結果中要交給主執行緒顯示的偵測資訊
  */
-function estimateOptimalGain(imageData, mask, posX, posY) {
-    const data = imageData.data;
-    const w = imageData.width;
-    const h = imageData.height;
-
-    let bestGain = 0.5; // 預設的 fallback 值
-    let minAbsCorr = Number.MAX_VALUE;
-
-    const count = mask.width * mask.height;
-    
-    // 1. 計算 mask 的平均值與方差 (排除 alpha <= 0.05 的無關區域)
-    let sumMask = 0;
-    let validCount = 0;
-    for (let i = 0; i < count; i++) {
-        if (mask.alphas[i] > 0.05) {
-            sumMask += mask.alphas[i];
-            validCount++;
+function describeResult(result) {
+    return {
+        watermarkRegion: result.region,
+        appliedGain: result.appliedGain,
+        detection: {
+            profile: result.profile, // 採用的 Profile id
+            mode: result.mode,
+            region: result.region,
+            margin: result.margin,
+            scale: result.scale,
+            candidates: result.candidates,
+            confidence: result.confidence, // 'found' | 'uncertain' | 'none'
+            channelGains: result.channelGains, // RGB 各色版的增益
+            overlayColor: result.overlayColor, // 估算的浮水印顏色 [r, g, b]
+            modified: result.modified,
+            inpainted: result.inpainted // 第二階段修補的像素數
         }
-    }
-    
-    if (validCount === 0) return 0.5;
-    const meanMask = sumMask / validCount;
-
-    let varMask = 0;
-    for (let i = 0; i < count; i++) {
-        if (mask.alphas[i] > 0.05) {
-            const diff = mask.alphas[i] - meanMask;
-            varMask += diff * diff;
-        }
-    }
-
-    const reconGray = new Float32Array(count);
-
-    // 2. 搜尋範圍從 0.1 到 1.2，以 0.02 為間距進行評估
-    for (let g = 0.1; g <= 1.2; g += 0.02) {
-        let sumGray = 0;
-
-        // 還原該強度下的區域灰階亮度
-        for (let my = 0; my < mask.height; my++) {
-            for (let mx = 0; mx < mask.width; mx++) {
-                const ix = posX + mx;
-                const iy = posY + my;
-                const mIdx = my * mask.width + mx;
-
-                if (ix >= w || iy >= h) {
-                    reconGray[mIdx] = 0;
-                    continue;
-                }
-
-                let alpha = mask.alphas[mIdx] * g;
-                if (alpha > CONSTANTS.MAX_ALPHA) alpha = CONSTANTS.MAX_ALPHA;
-                const oneMinusAlpha = 1.0 - alpha;
-
-                const idx = (iy * w + ix) * 4;
-                let r = (data[idx] - alpha * CONSTANTS.LOGO_VALUE) / oneMinusAlpha;
-                let gr = (data[idx + 1] - alpha * CONSTANTS.LOGO_VALUE) / oneMinusAlpha;
-                let b = (data[idx + 2] - alpha * CONSTANTS.LOGO_VALUE) / oneMinusAlpha;
-
-                // 限制在有效色彩區間 [0, 255]
-                if (r < 0) r = 0; else if (r > 255) r = 255;
-                if (gr < 0) gr = 0; else if (gr > 255) gr = 255;
-                if (b < 0) b = 0; else if (b > 255) b = 255;
-
-                const gray = r * 0.299 + gr * 0.587 + b * 0.114;
-                reconGray[mIdx] = gray;
+    };
+}
 
-                if (mask.alphas[mIdx] > 0.05) {
-                    sumGray += gray;
-                }
-            }
-        }
+/**
+ * 卡片預覽（最長邊 ImageComposite.PREVIEW_SIZE）
+ */
+function previewOf(composite, imageData) {
+    return ImageComposite.toPreview(imageData, ImageComposite.previewSize(composite.width, composite.height));
+}
 
-        const meanGray = sumGray / validCount;
+/**
+ * 合成結果的預覽；request.withLayer（修飾筆刷模式）時另附不含 Logo 的 layerPreview，供主執行緒即時繪製筆觸時取樣
+ * 沒有 Logo 時兩者是同一張
+ */
+function previewsOf(composite, request) {
+    const preview = previewOf(composite, composite.composite);
+    if (!request.withLayer) return { previews: { preview }, transfer: [preview] };
+    if (composite.layered === composite.composite) return { previews: { preview, layerPreview: preview }, transfer: [preview] };
+    const layerPreview = previewOf(composite, composite.layered);
+    return { previews: { preview, layerPreview }, transfer: [preview, layerPreview] };
+}
 
-        // 計算協方差與圖像方差
-        let covariance = 0;
-        let varGray = 0;
+/**
+ * 卡片的各種操作，回傳 { payload, transfer }
+ */
+const cardHandlers = {
+    async CARD_INFO(card) {
+        const sourcePreview = previewOf(card.composite, card.composite.source);
+        return {
+            payload: {
+                width: card.composite.width,
+                height: card.composite.height,
+                metadata: card.metadata,
+                raw: card.raw,
+                sourcePreview
+            },
+            transfer: [sourcePreview]
+        };
+    },
+
+    async PROCESS_CARD(card, request) {
+        await updateCard(card, request);
+        const { previews, transfer } = previewsOf(card.composite, request);
+        return {
+            payload: Object.assign(describeResult(card.result), previews),
+            transfer
+        };
+    },
+
+    async RENDER_CARD(card, request) {
+        await updateCard(card, request);
+        const { previews, transfer } = previewsOf(card.composite, request);
+        return { payload: previews, transfer };
+    },
+
+    async ENCODE_CARD(card, request) {
+        await updateCard(card, request);
+        const { format, quality, metadata } = request;
+        const blob = await encoder.encode(card.composite.composite, format, quality, metadata);
+        return { payload: { blob }, transfer: [] };
+    },
+
+    async DEBUG_CARD(card, request) {
+        await updateCard(card, request);
+        const map = card.composite.differenceMap();
+        const bitmap = ImageComposite.toPreview(map.imageData, request.size);
+        return {
+            payload: { bitmap, maxDiff: map.maxDiff, changed: map.changed },
+            transfer: [bitmap]
+        };
+    }
+};
 
-        for (let my = 0; my < mask.height; my++) {
-            for (let mx = 0; mx < mask.width; mx++) {
-                const mIdx = my * mask.width + mx;
-                if (mask.alphas[mIdx] > 0.05) {
-                    const diffMask = mask.alphas[mIdx] - meanMask;
-                    const diffGray = reconGray[mIdx] - meanGray;
-                    covariance += diffMask * diffGray;
-                    varGray += diffGray * diffGray;
-                }
-            }
-        }
+// 監聽主執行緒的訊息
+self.onmessage = function(e) {
+    const { type, payload } = e.data;
 
-        if (varGray > 0 && varMask > 0) {
-            const corr = covariance / Math.sqrt(varMask * varGray);
-            const absCorr = Math.abs(corr);
-            if (absCorr < minAbsCorr) {
-                minAbsCorr = absCorr;
-                bestGain = g;
-            }
+    if (type === 'INIT_PROFILES') {
+        profiles = payload; // WatermarkCore.loadProfiles() 產生的 Profile（遮罩已解碼）
+        remover.setProfiles(payload);
+        cards.forEach(promise => promise.then((card) => { card.configKey = null; }, () => {}));
+    } else if (type === 'LOAD_CARD') {
+        const promise = loadCard(payload.file);
+        promise.catch(() => {}); // 錯誤在之後的工作中回報
+        cards.set(payload.cardId, promise);
+    } else if (type === 'RELEASE_CARD') {
+        cards.delete(payload.cardId);
+    } else if (cardHandlers[type]) {
+        const card = cards.get(payload.cardId);
+        Promise.resolve(card || Promise.reject(new Error(`Card ${payload.cardId} is not loaded`)))
+            .then(loaded => cardHandlers[type](loaded, payload))
+            .then(({ payload: result, transfer }) => {
+                self.postMessage({ type: 'CARD_COMPLETE', payload: result, id: payload.id }, transfer);
+            })
+            .catch((err) => {
+                self.postMessage({ type: 'CARD_ERROR', payload: err.message, id: payload.id });
+            });
+    } else if (type === 'PROCESS_IMAGE') {
+        // imageData 只是原圖的處理視窗，frame 為視窗在原圖中的位置（WatermarkCore.getProcessingWindow）
+        const { imageData, config, frame } = payload;
+        try {
+            const result = remover.remove(imageData, config, frame);
+            self.postMessage({
+                type: 'PROCESS_COMPLETE',
+                payload: Object.assign(describeResult(result), {
+                    imageData, // 處理後的視窗，由主執行緒貼回原圖
+                    frame
+                }),
+                id: payload.id
+            }, [imageData.data.buffer]); // 轉移 buffer
+        } catch (err) {
+            self.postMessage({
+                type: 'PROCESS_ERROR',
+                payload: err.message,
+                id: payload.id
+            });
         }
     }
-
-    return parseFloat(bestGain.toFixed(2));
-}
+};